@@ -1,5 +1,6 @@
 // DOM elements
 const catalogSelect = document.getElementById('catalog-select');
+const catalogCustomInput = document.getElementById('catalog-custom-input');
 const versionSelect = document.getElementById('version-select');
 const fetchButton = document.getElementById('fetch-button');
 const operatorSelect = document.getElementById('operator-select');
@@ -9,6 +10,16 @@ const logsContent = document.getElementById('logs-content');
 const clearLogsButton = document.getElementById('clear-logs-button');
 const toggleLogsButton = document.getElementById('toggle-logs-button');
 const viewDetailsButton = document.getElementById('view-details-button');
+const catalogCacheStatus = document.getElementById('catalog-cache-status');
+const catalogCacheStatusDetails = document.getElementById('catalog-cache-status-details');
+const refreshCatalogButton = document.getElementById('refresh-catalog-button');
+const fetchProgress = document.getElementById('fetch-progress');
+const fetchProgressStep = document.getElementById('fetch-progress-step');
+const fetchProgressBar = document.getElementById('fetch-progress-bar');
+const cancelFetchButton = document.getElementById('cancel-fetch-button');
+
+// How often a running fetch job is polled (ms)
+const FETCH_JOB_POLL_INTERVAL = 1000;
 
 // Event source for server-sent events
 let eventSource = null;
@@ -16,6 +27,9 @@ let eventSource = null;
 // Cache for operators by catalog+version
 const operatorsCache = new Map();
 
+// Server-side cache status by catalog+version
+const cacheStatuses = new Map();
+
 // Current cached catalog and version
 let cachedCatalog = null;
 let cachedVersion = null;
@@ -31,6 +45,13 @@ function loadCacheFromStorage() {
             }
             console.log('Cache restored from sessionStorage:', operatorsCache.size, 'entries');
         }
+
+        const storedStatuses = sessionStorage.getItem('cacheStatuses');
+        if (storedStatuses) {
+            for (const [key, value] of Object.entries(JSON.parse(storedStatuses))) {
+                cacheStatuses.set(key, value);
+            }
+        }
         
         const storedCatalog = sessionStorage.getItem('cachedCatalog');
         const storedVersion = sessionStorage.getItem('cachedVersion');
@@ -51,6 +72,7 @@ function saveCacheToStorage() {
             cacheObj[key] = value;
         }
         sessionStorage.setItem('operatorsCache', JSON.stringify(cacheObj));
+        sessionStorage.setItem('cacheStatuses', JSON.stringify(Object.fromEntries(cacheStatuses)));
         if (cachedCatalog) sessionStorage.setItem('cachedCatalog', cachedCatalog);
         if (cachedVersion) sessionStorage.setItem('cachedVersion', cachedVersion);
     } catch (error) {
@@ -58,16 +80,124 @@ function saveCacheToStorage() {
     }
 }
 
+// Value of the "Custom image reference" option in catalog dropdowns
+const CUSTOM_CATALOG_VALUE = '__custom__';
+
+// Get the selected catalog: a configured catalog name or a custom image reference
+function getSelectedCatalog(select, customInput) {
+    if (select.value === CUSTOM_CATALOG_VALUE) {
+        return customInput ? customInput.value.trim() : '';
+    }
+    return select.value;
+}
+
+// Select a catalog in a dropdown, falling back to the custom input for image references
+function setSelectedCatalog(select, customInput, catalog) {
+    const hasOption = Array.from(select.options).some(option => option.value === catalog);
+    if (hasOption || !catalog) {
+        select.value = catalog || '';
+        if (customInput) customInput.value = '';
+    } else {
+        select.value = CUSTOM_CATALOG_VALUE;
+        if (customInput) customInput.value = catalog;
+    }
+    updateCustomCatalogInput(select, customInput);
+}
+
+// Show the custom image input only when "Custom image reference" is selected
+function updateCustomCatalogInput(select, customInput) {
+    if (customInput) {
+        customInput.style.display = select.value === CUSTOM_CATALOG_VALUE ? 'block' : 'none';
+    }
+}
+
+// Populate catalog dropdowns from the server's catalog registry
+async function loadCatalogOptions() {
+    try {
+        const response = await fetch('/api/catalogs');
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load catalogs');
+        }
+
+        ['catalog-select', 'config-catalog-select', 'compare-catalog-select'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+
+            const previousValue = select.value;
+            select.innerHTML = '<option value="">-- Select Catalog --</option>';
+            data.catalogs.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.name;
+                option.textContent = entry.label;
+                option.title = entry.image;
+                select.appendChild(option);
+            });
+
+            // Custom references are only offered when the server allows some registry
+            if (data.allowedRegistries && data.allowedRegistries.length > 0) {
+                const option = document.createElement('option');
+                option.value = CUSTOM_CATALOG_VALUE;
+                option.textContent = 'Custom image reference...';
+                option.title = `Allowed registries: ${data.allowedRegistries.join(', ')}`;
+                select.appendChild(option);
+            }
+
+            if (Array.from(select.options).some(option => option.value === previousValue)) {
+                select.value = previousValue;
+            }
+        });
+    } catch (error) {
+        console.error('Error loading catalogs:', error);
+        addLogEntry(`Could not load catalog list, using defaults: ${error.message}`, 'warning');
+    }
+}
+
+// Fill a version dropdown with the versions the registry has for a catalog
+// The built-in list stays in place when the versions cannot be discovered
+async function loadVersionOptions(select, catalog, preferredValue = select.value) {
+    if (!select || !catalog) return;
+
+    try {
+        const response = await fetch(`/api/catalog-versions?catalog=${encodeURIComponent(catalog)}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Failed to load catalog versions');
+        }
+        if (data.versions.length === 0) {
+            addLogEntry(`No versions found for ${catalog}, keeping the default list`, 'warning');
+            return;
+        }
+
+        select.innerHTML = '<option value="">-- Select Version --</option>';
+        data.versions.forEach(version => {
+            const option = document.createElement('option');
+            option.value = version;
+            option.textContent = version;
+            select.appendChild(option);
+        });
+
+        if (data.versions.includes(preferredValue)) {
+            select.value = preferredValue;
+        }
+    } catch (error) {
+        console.error('Error loading catalog versions:', error);
+        addLogEntry(`Could not load versions for ${catalog}, keeping the default list: ${error.message}`, 'warning');
+    }
+}
+
 // Enable/disable fetch button based on selections
 function updateFetchButtonState() {
-    const catalogSelected = catalogSelect.value !== '';
+    const catalogSelected = getSelectedCatalog(catalogSelect, catalogCustomInput) !== '';
     const versionSelected = versionSelect.value !== '';
     fetchButton.disabled = !(catalogSelected && versionSelected);
 }
 
 // Clear cache when catalog or version changes
 function clearCacheIfNeeded() {
-    const currentCatalog = catalogSelect.value;
+    const currentCatalog = getSelectedCatalog(catalogSelect, catalogCustomInput);
     const currentVersion = versionSelect.value;
     
     // Clear cache if catalog or version changed from what we have cached
@@ -76,9 +206,12 @@ function clearCacheIfNeeded() {
             const oldCatalog = cachedCatalog;
             const oldVersion = cachedVersion;
             operatorsCache.clear();
+            cacheStatuses.clear();
             cachedCatalog = null;
             cachedVersion = null;
+            displayCacheStatus(null);
             sessionStorage.removeItem('operatorsCache');
+            sessionStorage.removeItem('cacheStatuses');
             sessionStorage.removeItem('cachedCatalog');
             sessionStorage.removeItem('cachedVersion');
             addLogEntry(`Cache cleared: ${oldCatalog}:${oldVersion} → ${currentCatalog || 'none'}:${currentVersion || 'none'}`, 'info');
@@ -99,27 +232,94 @@ function getCachedOperators(catalog, version) {
 }
 
 // Store operators in cache
-function cacheOperators(catalog, version, operators) {
+function cacheOperators(catalog, version, operators, cacheStatus) {
     const key = getCacheKey(catalog, version);
     // Make a copy of the array to avoid reference issues
     operatorsCache.set(key, [...operators]);
+    if (cacheStatus) {
+        cacheStatuses.set(key, cacheStatus);
+    }
     cachedCatalog = catalog;
     cachedVersion = version;
     console.log('Cache stored:', { key, count: operators.length, cacheSize: operatorsCache.size });
     saveCacheToStorage();
 }
 
+// Describe the server-side catalog cache status in one line
+function formatCacheStatus(cache) {
+    const parts = [];
+    if (cache.imported) {
+        parts.push(`Imported from ${cache.imported.fileName} ${new Date(cache.cachedAt).toLocaleString()}`);
+    } else if (cache.cachedAt) {
+        parts.push(`Cached ${new Date(cache.cachedAt).toLocaleString()}`);
+    }
+    if (cache.digest) {
+        parts.push(`digest ${cache.digest.substring(0, 19)}`);
+    }
+    if (cache.stale === true) {
+        parts.push('a newer catalog image is available');
+    } else if (cache.stale === false) {
+        parts.push('up to date');
+    } else if (cache.checkError) {
+        parts.push(`freshness unknown (${cache.checkError})`);
+    }
+    return parts.join(' · ');
+}
+
+// Show the server-side cache status for the fetched catalog
+function displayCacheStatus(cache) {
+    if (!cache) {
+        catalogCacheStatus.style.display = 'none';
+        return;
+    }
+
+    catalogCacheStatusDetails.textContent = formatCacheStatus(cache);
+    if (cache.stale === true) {
+        const badge = document.createElement('span');
+        badge.className = 'stale-badge';
+        badge.textContent = 'Stale: ';
+        catalogCacheStatusDetails.prepend(badge);
+    }
+    catalogCacheStatus.classList.toggle('stale', cache.stale === true);
+    catalogCacheStatus.style.display = 'flex';
+}
+
+// Reload the Fetch Operators version list for the selected catalog
+async function refreshVersionOptions() {
+    const previousVersion = versionSelect.value;
+    await loadVersionOptions(versionSelect, getSelectedCatalog(catalogSelect, catalogCustomInput));
+    if (versionSelect.value !== previousVersion) {
+        clearCacheIfNeeded();
+        saveStateToStorage();
+    }
+    updateFetchButtonState();
+}
+
 // Event listeners for dropdown changes
 catalogSelect.addEventListener('change', () => {
+    updateCustomCatalogInput(catalogSelect, catalogCustomInput);
     clearCacheIfNeeded();
     updateFetchButtonState();
     saveStateToStorage();
-    if (catalogSelect.value) {
+    refreshVersionOptions();
+    if (catalogSelect.value && catalogSelect.value !== CUSTOM_CATALOG_VALUE) {
         const catalogName = catalogSelect.options[catalogSelect.selectedIndex].text;
         addLogEntry(`Catalog selected: ${catalogName}`, 'info');
     }
 });
 
+catalogCustomInput.addEventListener('change', () => {
+    clearCacheIfNeeded();
+    updateFetchButtonState();
+    saveStateToStorage();
+    refreshVersionOptions();
+    if (catalogCustomInput.value.trim()) {
+        addLogEntry(`Catalog selected: ${catalogCustomInput.value.trim()}`, 'info');
+    }
+});
+
+catalogCustomInput.addEventListener('input', updateFetchButtonState);
+
 versionSelect.addEventListener('change', () => {
     clearCacheIfNeeded();
     updateFetchButtonState();
@@ -152,6 +352,7 @@ function showSuccess(message) {
 // Set loading state
 function setLoading(loading) {
     fetchButton.disabled = loading;
+    refreshCatalogButton.disabled = loading;
     if (loading) {
         fetchButton.classList.add('loading');
     } else {
@@ -160,7 +361,9 @@ function setLoading(loading) {
 }
 
 // Initialize searchable dropdown
-function initSearchableDropdown(inputId, selectId, dropdownId) {
+// getSearchScope returns the { catalog, version } the options were loaded from, so typed terms
+// are also matched against the catalog's search index (display names, descriptions, keywords...)
+function initSearchableDropdown(inputId, selectId, dropdownId, getSearchScope = null) {
     const input = document.getElementById(inputId);
     const select = document.getElementById(selectId);
     const dropdown = document.getElementById(dropdownId);
@@ -175,6 +378,8 @@ function initSearchableDropdown(inputId, selectId, dropdownId) {
     let allOptions = [];
     let filteredOptions = [];
     let selectedIndex = -1;
+    let searchTimeout = null;
+    let searchTerm = '';
     
     // Populate options from select element
     function updateOptions() {
@@ -217,6 +422,12 @@ function initSearchableDropdown(inputId, selectId, dropdownId) {
                 item.classList.add('highlighted');
             }
             item.textContent = option.text;
+            if (option.detail) {
+                const detail = document.createElement('span');
+                detail.className = 'searchable-select-dropdown-detail';
+                detail.textContent = option.detail;
+                item.appendChild(detail);
+            }
             item.dataset.value = option.value;
             item.dataset.index = index;
             
@@ -341,6 +552,43 @@ function initSearchableDropdown(inputId, selectId, dropdownId) {
         }
         selectedIndex = -1;
         renderDropdown();
+        scheduleIndexSearch(term);
+    }
+    
+    // Query the catalog search index once typing pauses; index matches come first
+    function scheduleIndexSearch(term) {
+        clearTimeout(searchTimeout);
+        searchTerm = term;
+        const scope = getSearchScope ? getSearchScope() : null;
+        if (term.length < 2 || !scope || !scope.catalog || !scope.version) {
+            return;
+        }
+        
+        searchTimeout = setTimeout(async () => {
+            try {
+                const params = new URLSearchParams({ catalog: scope.catalog, version: scope.version, q: term, pageSize: '50' });
+                const response = await fetch(`/api/search?${params}`);
+                const data = await response.json();
+                if (!response.ok || term !== searchTerm) {
+                    return;
+                }
+                
+                const byValue = new Map(allOptions.map(option => [option.value, option]));
+                const matches = data.results
+                    .filter(result => byValue.has(result.name))
+                    .map(result => ({
+                        ...byValue.get(result.name),
+                        detail: [result.displayName, result.provider].filter(Boolean).join(' - ')
+                    }));
+                const matched = new Set(matches.map(option => option.value));
+                filteredOptions = [...matches, ...filteredOptions.filter(option => !matched.has(option.value))];
+                selectedIndex = -1;
+                renderDropdown();
+            } catch (error) {
+                // The search index is optional, name matches are already shown
+                console.warn('Operator search failed:', error);
+            }
+        }, 300);
     }
     
     // Input event handlers
@@ -558,9 +806,9 @@ function populateOperatorDropdown(operators) {
     updateViewDetailsButtonState();
 }
 
-// Fetch operators from API or cache
-async function fetchOperators() {
-    const catalog = catalogSelect.value;
+// Fetch operators from API or cache; refresh re-pulls the catalog on the server
+async function fetchOperators({ refresh = false } = {}) {
+    const catalog = getSelectedCatalog(catalogSelect, catalogCustomInput);
     const version = versionSelect.value;
 
     if (!catalog || !version) {
@@ -569,25 +817,47 @@ async function fetchOperators() {
         return;
     }
 
-    const catalogName = catalogSelect.options[catalogSelect.selectedIndex].text;
+    const catalogName = catalogSelect.value === CUSTOM_CATALOG_VALUE
+        ? catalog
+        : catalogSelect.options[catalogSelect.selectedIndex].text;
 
     // Check cache first
     const cached = getCachedOperators(catalog, version);
     console.log('Cache check:', { catalog, version, cached: cached ? cached.length + ' operators' : 'not found', cacheSize: operatorsCache.size });
     
-    if (cached && Array.isArray(cached) && cached.length > 0) {
+    if (!refresh && cached && Array.isArray(cached) && cached.length > 0) {
         addLogEntry(`Using cached operators for ${catalogName} ${version}`, 'info');
         populateOperatorDropdown(cached);
+        displayCacheStatus(cacheStatuses.get(getCacheKey(catalog, version)));
         showSuccess(`Loaded ${cached.length} operator(s) from cache`);
         addLogEntry(`Loaded ${cached.length} operator(s) from cache`, 'success');
         return;
     }
 
     // Not in cache, fetch from server
-    addLogEntry(`Starting fetch operation: ${catalogName} ${version}`, 'info');
+    addLogEntry(`${refresh ? 'Refreshing catalog' : 'Starting fetch operation'}: ${catalogName} ${version}`, 'info');
 
     hideMessages();
     setLoading(true);
+    resetOperatorSelection();
+
+    let job;
+    try {
+        addLogEntry('Sending request to server...', 'info');
+        job = await startFetchJob(catalog, version, refresh);
+    } catch (error) {
+        console.error('Error starting fetch:', error);
+        showError(error.message || 'An error occurred while fetching operators');
+        addLogEntry(`Error: ${error.message || 'An error occurred while fetching operators'}`, 'error');
+        setLoading(false);
+        return;
+    }
+
+    await followFetchJob(job.id, catalog, version);
+}
+
+// Clear the operator selection while a catalog is being fetched
+function resetOperatorSelection() {
     operatorSelect.disabled = true;
     operatorSelect.innerHTML = '<option value="">-- Select Operator --</option>';
     const operatorInput = document.getElementById('operator-select-input');
@@ -596,26 +866,88 @@ async function fetchOperators() {
         operatorInput.value = '';
     }
     viewDetailsButton.disabled = true;
+}
 
-    try {
-        addLogEntry('Sending request to server...', 'info');
-        const response = await fetch('/api/fetch-operators', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ catalog, version }),
-        });
+// Start a background fetch job on the server
+async function startFetchJob(catalog, version, refresh = false) {
+    const response = await fetch('/api/fetch-jobs', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ catalog, version, refresh }),
+    });
 
-        const data = await response.json();
+    const job = await response.json();
+
+    if (!response.ok) {
+        throw new Error(job.error || job.message || 'Failed to start fetch');
+    }
+    return job;
+}
+
+// Poll a fetch job until it finishes and return its result
+async function waitForFetchJob(jobId, onUpdate) {
+    while (true) {
+        const response = await fetch(`/api/fetch-jobs/${encodeURIComponent(jobId)}`);
+        const job = await response.json();
 
         if (!response.ok) {
-            throw new Error(data.error || data.message || 'Failed to fetch operators');
+            throw new Error(job.error || job.message || 'Failed to get fetch status');
+        }
+        if (onUpdate) {
+            onUpdate(job);
+        }
+
+        if (job.status === 'completed') {
+            return job.result;
+        }
+        if (job.status === 'cancelled' || job.status === 'failed') {
+            const error = new Error(job.error || 'Failed to fetch operators');
+            error.cancelled = job.status === 'cancelled';
+            throw error;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, FETCH_JOB_POLL_INTERVAL));
+    }
+}
+
+// Show the step and progress of the running fetch job
+function displayFetchProgress(job) {
+    if (!job) {
+        fetchProgress.style.display = 'none';
+        return;
+    }
+
+    fetchProgressStep.textContent = job.step;
+    if (job.progress && job.progress.total) {
+        fetchProgressBar.classList.remove('indeterminate');
+        fetchProgressBar.style.width = `${Math.round((job.progress.current / job.progress.total) * 100)}%`;
+    } else {
+        fetchProgressBar.classList.add('indeterminate');
+        fetchProgressBar.style.width = '';
+    }
+    fetchProgress.style.display = 'block';
+}
+
+// Follow a fetch job of the Fetch Operators tab until it finishes and show its operators
+// The job is remembered in sessionStorage so a page reload attaches to it again
+async function followFetchJob(jobId, catalog, version) {
+    sessionStorage.setItem('activeFetchJob', JSON.stringify({ jobId, catalog, version }));
+    cancelFetchButton.disabled = false;
+    setLoading(true);
+
+    try {
+        const data = await waitForFetchJob(jobId, displayFetchProgress);
+
+        displayCacheStatus(data.cache);
+        if (data.cache && data.cache.stale) {
+            addLogEntry('The cached catalog is older than the published image. Use "Refresh Catalog" to pull it again.', 'warning');
         }
 
         if (data.operators && data.operators.length > 0) {
             // Cache the operators
-            cacheOperators(catalog, version, data.operators);
+            cacheOperators(catalog, version, data.operators, data.cache);
             console.log('Operators cached:', { catalog, version, count: data.operators.length, cacheSize: operatorsCache.size });
             
             populateOperatorDropdown(data.operators);
@@ -627,15 +959,58 @@ async function fetchOperators() {
             operatorSelect.disabled = true;
         }
     } catch (error) {
-        console.error('Error fetching operators:', error);
-        showError(error.message || 'An error occurred while fetching operators');
-        addLogEntry(`Error: ${error.message || 'An error occurred while fetching operators'}`, 'error');
+        if (error.cancelled) {
+            showError('Fetch cancelled');
+            addLogEntry('Fetch cancelled', 'warning');
+        } else {
+            console.error('Error fetching operators:', error);
+            showError(error.message || 'An error occurred while fetching operators');
+            addLogEntry(`Error: ${error.message || 'An error occurred while fetching operators'}`, 'error');
+        }
         operatorSelect.disabled = true;
     } finally {
+        sessionStorage.removeItem('activeFetchJob');
+        displayFetchProgress(null);
         setLoading(false);
     }
 }
 
+// Attach to a fetch job that was running when the page was reloaded
+async function resumeFetchJob() {
+    const stored = sessionStorage.getItem('activeFetchJob');
+    if (!stored) return;
+
+    try {
+        const { jobId, catalog, version } = JSON.parse(stored);
+        addLogEntry(`Resuming fetch in progress: ${catalog} ${version}`, 'info');
+        resetOperatorSelection();
+        await followFetchJob(jobId, catalog, version);
+    } catch (error) {
+        console.error('Error resuming fetch:', error);
+        sessionStorage.removeItem('activeFetchJob');
+    }
+}
+
+// Cancel the running fetch job
+async function cancelFetchJob() {
+    const stored = sessionStorage.getItem('activeFetchJob');
+    if (!stored) return;
+
+    cancelFetchButton.disabled = true;
+    try {
+        const { jobId } = JSON.parse(stored);
+        const response = await fetch(`/api/fetch-jobs/${encodeURIComponent(jobId)}/cancel`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to cancel fetch');
+        }
+        addLogEntry('Cancelling fetch...', 'warning');
+    } catch (error) {
+        addLogEntry(`Error: ${error.message}`, 'error');
+        cancelFetchButton.disabled = false;
+    }
+}
+
 // Logging functions
 function getCurrentTime() {
     const now = new Date();
@@ -689,12 +1064,17 @@ function connectToLogs() {
         eventSource.close();
     }
     
-    eventSource = new EventSource('/api/logs');
+    // Ask the server to replay what was missed since the last event this tab received
+    const lastEventId = sessionStorage.getItem('lastLogEventId');
+    eventSource = new EventSource(lastEventId ? `/api/logs?lastEventId=${encodeURIComponent(lastEventId)}` : '/api/logs');
     
     eventSource.onmessage = (event) => {
+        if (event.lastEventId) {
+            sessionStorage.setItem('lastLogEventId', event.lastEventId);
+        }
         try {
             const data = JSON.parse(event.data);
-            addLogEntry(data.message, data.type || 'server');
+            addLogEntry(data.global ? `[all users] ${data.message}` : data.message, data.type || 'server');
         } catch (error) {
             addLogEntry(event.data, 'server');
         }
@@ -712,7 +1092,9 @@ function connectToLogs() {
 }
 
 // Event listeners
-fetchButton.addEventListener('click', fetchOperators);
+fetchButton.addEventListener('click', () => fetchOperators());
+refreshCatalogButton.addEventListener('click', () => fetchOperators({ refresh: true }));
+cancelFetchButton.addEventListener('click', cancelFetchJob);
 clearLogsButton.addEventListener('click', clearLogs);
 toggleLogsButton.addEventListener('click', toggleLogs);
 
@@ -761,7 +1143,7 @@ if (operatorInput) {
 // View details button handler
 viewDetailsButton.addEventListener('click', () => {
     const operator = operatorSelect.value;
-    const catalog = catalogSelect.value;
+    const catalog = getSelectedCatalog(catalogSelect, catalogCustomInput);
     const version = versionSelect.value;
 
     if (operator && catalog && version) {
@@ -776,7 +1158,7 @@ viewDetailsButton.addEventListener('click', () => {
 // Save current form state to sessionStorage
 function saveStateToStorage() {
     try {
-        sessionStorage.setItem('selectedCatalog', catalogSelect.value);
+        sessionStorage.setItem('selectedCatalog', getSelectedCatalog(catalogSelect, catalogCustomInput));
         sessionStorage.setItem('selectedVersion', versionSelect.value);
         sessionStorage.setItem('selectedOperator', operatorSelect.value);
         saveCacheToStorage();
@@ -793,7 +1175,7 @@ function restoreStateFromStorage() {
         const savedOperator = sessionStorage.getItem('selectedOperator');
         
         if (savedCatalog) {
-            catalogSelect.value = savedCatalog;
+            setSelectedCatalog(catalogSelect, catalogCustomInput, savedCatalog);
             addLogEntry('Catalog selection restored from previous session', 'info');
         }
         
@@ -826,9 +1208,14 @@ function restoreStateFromStorage() {
 
 // Initialize
 loadCacheFromStorage();
-restoreStateFromStorage();
-updateFetchButtonState();
 connectToLogs();
+// Catalog options come from the server, so restore selections once they are loaded
+loadCatalogOptions().then(async () => {
+    restoreStateFromStorage();
+    await loadVersionOptions(versionSelect, getSelectedCatalog(catalogSelect, catalogCustomInput), sessionStorage.getItem('selectedVersion'));
+    updateFetchButtonState();
+    resumeFetchJob();
+});
 
 // Update initial log entry time
 document.querySelector('.log-entry .log-time').textContent = getCurrentTime();
@@ -849,40 +1236,78 @@ tabButtons.forEach(button => {
         
         button.classList.add('active');
         document.getElementById(`${targetTab}-tab`).classList.add('active');
+
+        if (targetTab === 'cache') {
+            loadCacheEntries();
+        }
     });
 });
 
 // Feature 2: Create ImageSetConfiguration
 const configCatalogSelect = document.getElementById('config-catalog-select');
+const configCatalogCustomInput = document.getElementById('config-catalog-custom-input');
 const configVersionSelect = document.getElementById('config-version-select');
 const configFetchOperatorsButton = document.getElementById('config-fetch-operators-button');
 const configOperatorSelect = document.getElementById('config-operator-select');
 const configChannelSelect = document.getElementById('config-channel-select');
 const defaultChannelIndicator = document.getElementById('default-channel-indicator');
 const configVersionSelectOperator = document.getElementById('config-version-select-operator');
+const configSelectionMode = document.getElementById('config-selection-mode');
+const configVersionGroup = document.getElementById('config-version-group');
+const configMaxVersionGroup = document.getElementById('config-max-version-group');
+const configMaxVersionSelect = document.getElementById('config-max-version-select');
+const configBundlesGroup = document.getElementById('config-bundles-group');
+const configBundlesSelect = document.getElementById('config-bundles-select');
+const configCatalogFullCheckbox = document.getElementById('config-catalog-full-checkbox');
+const configSkipDependenciesCheckbox = document.getElementById('config-skip-dependencies-checkbox');
 const configAddOperatorButton = document.getElementById('config-add-operator-button');
 const configGenerateButton = document.getElementById('config-generate-button');
 const selectedOperatorsList = document.getElementById('selected-operators-list');
 const selectedOperatorsSection = document.getElementById('selected-operators-section');
+const dependenciesSection = document.getElementById('dependencies-section');
+const dependenciesList = document.getElementById('dependencies-list');
+const unresolvedDependenciesList = document.getElementById('unresolved-dependencies-list');
+const addAllDependenciesButton = document.getElementById('add-all-dependencies-button');
 const configResult = document.getElementById('config-result');
 const configYamlOutput = document.getElementById('config-yaml-output');
 const configDownloadButton = document.getElementById('config-download-button');
 
+// One selection per catalog and operator: { operator, catalog, catalogVersion, channels: [{ name, minVersion, maxVersion }],
+// minVersion, maxVersion (package level), bundles: [{ name, version, channel }], full, defaultChannel, ... }
 let selectedOperators = [];
+// full and skipDependencies of each catalog: { catalog, catalogVersion, full, skipDependencies }
+let selectedCatalogOptions = [];
 let currentConfigCatalog = null;
 let currentConfigVersion = null;
 let currentOperatorChannels = null;
 let currentOperatorDefaultChannel = null;
+let currentOperatorDeprecations = null;
+
+// Collect the deprecation messages that apply to an operator, channel and version
+function getDeprecationWarnings(deprecations, channel, version) {
+    const warnings = [];
+    if (deprecations && deprecations.package) {
+        warnings.push(`Operator deprecated: ${deprecations.package}`);
+    }
+    if (channel && channel.deprecation) {
+        warnings.push(`Channel ${channel.name} deprecated: ${channel.deprecation}`);
+    }
+    if (channel && channel.deprecatedVersions && channel.deprecatedVersions[version]) {
+        warnings.push(`Version ${version} deprecated: ${channel.deprecatedVersions[version]}`);
+    }
+    return warnings;
+}
 
 // Update fetch button state
 function updateConfigFetchButtonState() {
-    const catalogSelected = configCatalogSelect.value !== '';
+    const catalogSelected = getSelectedCatalog(configCatalogSelect, configCatalogCustomInput) !== '';
     const versionSelected = configVersionSelect.value !== '';
     configFetchOperatorsButton.disabled = !(catalogSelected && versionSelected);
 }
 
 if (configCatalogSelect && configVersionSelect) {
     configCatalogSelect.addEventListener('change', () => {
+        updateCustomCatalogInput(configCatalogSelect, configCatalogCustomInput);
         updateConfigFetchButtonState();
         // Clear operator and channel selections when catalog changes
         if (configOperatorSelect) configOperatorSelect.value = '';
@@ -896,16 +1321,27 @@ if (configCatalogSelect && configVersionSelect) {
         if (configOperatorSelect) configOperatorSelect.disabled = true;
         if (configChannelSelect) configChannelSelect.disabled = true;
         if (configVersionSelectOperator) configVersionSelectOperator.disabled = true;
+        if (configMaxVersionSelect) configMaxVersionSelect.disabled = true;
+        if (configBundlesSelect) configBundlesSelect.disabled = true;
         if (defaultChannelIndicator) defaultChannelIndicator.style.display = 'none';
         currentOperatorDefaultChannel = null;
+        if (configCatalogSelect.value !== CUSTOM_CATALOG_VALUE) {
+            loadVersionOptions(configVersionSelect, configCatalogSelect.value).then(updateConfigFetchButtonState);
+        }
     });
     configVersionSelect.addEventListener('change', updateConfigFetchButtonState);
+    if (configCatalogCustomInput) {
+        configCatalogCustomInput.addEventListener('input', updateConfigFetchButtonState);
+        configCatalogCustomInput.addEventListener('change', () => {
+            loadVersionOptions(configVersionSelect, configCatalogCustomInput.value.trim()).then(updateConfigFetchButtonState);
+        });
+    }
 }
 
 // Fetch operators for config creation
 if (configFetchOperatorsButton) {
     configFetchOperatorsButton.addEventListener('click', async () => {
-        const catalog = configCatalogSelect.value;
+        const catalog = getSelectedCatalog(configCatalogSelect, configCatalogCustomInput);
         const version = configVersionSelect.value;
         
         if (!catalog || !version) {
@@ -913,12 +1349,8 @@ if (configFetchOperatorsButton) {
             return;
         }
         
-        // Clear selected operators list when fetching new catalog
-        selectedOperators = [];
-        updateSelectedOperatorsDisplay();
-        if (configGenerateButton) {
-            configGenerateButton.disabled = true;
-        }
+        // Selected operators are kept: each remembers its catalog, so a configuration can
+        // mirror operators from several catalogs
         
         // Disable button immediately
         configFetchOperatorsButton.disabled = true;
@@ -926,19 +1358,22 @@ if (configFetchOperatorsButton) {
         currentConfigCatalog = catalog;
         currentConfigVersion = version;
         
+        // Show the options of the fetched catalog
+        const options = selectedCatalogOptions.find(entry => isSameCatalog(entry, catalog, version));
+        if (configCatalogFullCheckbox && configSkipDependenciesCheckbox) {
+            configCatalogFullCheckbox.checked = Boolean(options && options.full);
+            configSkipDependenciesCheckbox.checked = Boolean(options && options.skipDependencies);
+            configCatalogFullCheckbox.disabled = false;
+            configSkipDependenciesCheckbox.disabled = false;
+        }
+        
+        const buttonLabel = configFetchOperatorsButton.textContent;
         try {
-            const response = await fetch('/api/fetch-operators', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ catalog, version })
+            const job = await startFetchJob(catalog, version);
+            const data = await waitForFetchJob(job.id, update => {
+                configFetchOperatorsButton.textContent = update.step;
             });
             
-            const data = await response.json();
-            
-            if (!response.ok) {
-                throw new Error(data.error || 'Failed to fetch operators');
-            }
-            
             // Populate operator dropdown
             configOperatorSelect.innerHTML = '<option value="">-- Select Operator --</option>';
             data.operators.forEach(op => {
@@ -961,6 +1396,7 @@ if (configFetchOperatorsButton) {
             showError(error.message);
         } finally {
             // Re-enable button after operation completes (success or error)
+            configFetchOperatorsButton.textContent = buttonLabel;
             configFetchOperatorsButton.disabled = false;
         }
     });
@@ -993,6 +1429,19 @@ if (configOperatorSelect) {
                 throw new Error(data.error || 'Failed to get operator details');
             }
             
+            // Mark a deprecated operator in the operator dropdown
+            if (data.deprecations && data.deprecations.package) {
+                const operatorOption = configOperatorSelect.options[configOperatorSelect.selectedIndex];
+                if (operatorOption && !operatorOption.textContent.endsWith(' (Deprecated)')) {
+                    operatorOption.textContent = `${operator} (Deprecated)`;
+                    operatorOption.title = data.deprecations.package;
+                }
+                const configOperatorInput = document.getElementById('config-operator-select-input');
+                if (configOperatorInput) {
+                    configOperatorInput.value = `${operator} (Deprecated)`;
+                }
+            }
+            
             // Populate channel dropdown
             configChannelSelect.innerHTML = '<option value="">-- Select Channel --</option>';
             data.channels.forEach(ch => {
@@ -1004,12 +1453,17 @@ if (configOperatorSelect) {
                 } else {
                     option.textContent = ch.name;
                 }
+                if (ch.deprecation) {
+                    option.textContent += ' (Deprecated)';
+                    option.title = ch.deprecation;
+                }
                 configChannelSelect.appendChild(option);
             });
             
             configChannelSelect.disabled = false;
             currentOperatorChannels = data.channels;
             currentOperatorDefaultChannel = data.defaultChannel || null;
+            currentOperatorDeprecations = data.deprecations || null;
             
             // Pre-select default channel if available
             if (data.defaultChannel) {
@@ -1037,6 +1491,7 @@ if (configOperatorSelect) {
                     defaultChannelIndicator.style.display = 'none';
                 }
             }
+            updateSelectionModeFields();
         } catch (error) {
             showError(error.message);
         }
@@ -1052,16 +1507,34 @@ if (configChannelSelect) {
         const channel = currentOperatorChannels.find(c => c.name === channelName);
         if (!channel) return;
         
-        // Populate version dropdown
+        // Populate version dropdowns; bundles are listed by version and selected by bundle name
         configVersionSelectOperator.innerHTML = '<option value="">-- Select Version --</option>';
+        if (configMaxVersionSelect) configMaxVersionSelect.innerHTML = '<option value="">-- No Maximum --</option>';
+        if (configBundlesSelect) configBundlesSelect.innerHTML = '';
         channel.versions.forEach(ver => {
             const option = document.createElement('option');
             option.value = ver;
             option.textContent = ver;
+            if (channel.deprecatedVersions && channel.deprecatedVersions[ver]) {
+                option.textContent += ' (Deprecated)';
+                option.title = channel.deprecatedVersions[ver];
+            }
             configVersionSelectOperator.appendChild(option);
+            if (configMaxVersionSelect) {
+                configMaxVersionSelect.appendChild(option.cloneNode(true));
+            }
+            if (configBundlesSelect && channel.bundles && channel.bundles[ver]) {
+                const bundleOption = option.cloneNode(true);
+                bundleOption.value = channel.bundles[ver];
+                bundleOption.dataset.version = ver;
+                bundleOption.textContent = `${ver} (${channel.bundles[ver]})${option.title ? ' (Deprecated)' : ''}`;
+                configBundlesSelect.appendChild(bundleOption);
+            }
         });
         
         configVersionSelectOperator.disabled = false;
+        if (configMaxVersionSelect) configMaxVersionSelect.disabled = false;
+        if (configBundlesSelect) configBundlesSelect.disabled = false;
         updateConfigAddButtonState();
     });
 }
@@ -1069,38 +1542,153 @@ if (configChannelSelect) {
 if (configVersionSelectOperator) {
     configVersionSelectOperator.addEventListener('change', updateConfigAddButtonState);
 }
+if (configBundlesSelect) {
+    configBundlesSelect.addEventListener('change', updateConfigAddButtonState);
+}
+if (configSelectionMode) {
+    configSelectionMode.addEventListener('change', updateSelectionModeFields);
+}
+
+// Show the fields of the selected mirror mode
+// Package-level ranges and full packages follow the default channel, so it is selected for them
+function updateSelectionModeFields() {
+    const mode = configSelectionMode ? configSelectionMode.value : 'channel';
+    const operatorLoaded = Boolean(configOperatorSelect.value && currentOperatorChannels);
+    const followsDefaultChannel = mode === 'package' || mode === 'full';
+    
+    if (operatorLoaded && followsDefaultChannel && currentOperatorDefaultChannel && configChannelSelect.value !== currentOperatorDefaultChannel) {
+        configChannelSelect.value = currentOperatorDefaultChannel;
+        configChannelSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    configChannelSelect.disabled = !operatorLoaded || followsDefaultChannel;
+    
+    const showsRange = mode === 'channel' || mode === 'package';
+    if (configVersionGroup) configVersionGroup.style.display = showsRange ? 'block' : 'none';
+    if (configMaxVersionGroup) configMaxVersionGroup.style.display = showsRange ? 'block' : 'none';
+    if (configBundlesGroup) configBundlesGroup.style.display = mode === 'bundles' ? 'block' : 'none';
+    updateConfigAddButtonState();
+}
 
 function updateConfigAddButtonState() {
+    const mode = configSelectionMode ? configSelectionMode.value : 'channel';
     const operator = configOperatorSelect.value;
     const channel = configChannelSelect.value;
     const version = configVersionSelectOperator.value;
+    const bundleCount = configBundlesSelect ? configBundlesSelect.selectedOptions.length : 0;
+    
+    let ready;
+    if (mode === 'full') {
+        ready = Boolean(operator);
+    } else if (mode === 'bundles') {
+        ready = Boolean(operator && channel && bundleCount > 0);
+    } else {
+        ready = Boolean(operator && channel && version);
+    }
     if (configAddOperatorButton) {
-        configAddOperatorButton.disabled = !(operator && channel && version);
+        configAddOperatorButton.disabled = !ready;
+    }
+}
+
+// Record full and skipDependencies for the fetched catalog
+function updateCatalogOptions() {
+    if (!currentConfigCatalog || !currentConfigVersion) return;
+    let options = selectedCatalogOptions.find(entry => isSameCatalog(entry, currentConfigCatalog, currentConfigVersion));
+    if (!options) {
+        options = { catalog: currentConfigCatalog, catalogVersion: currentConfigVersion };
+        selectedCatalogOptions.push(options);
+    }
+    options.full = configCatalogFullCheckbox.checked;
+    options.skipDependencies = configSkipDependenciesCheckbox.checked;
+    updateSelectedOperatorsDisplay();
+    updateConfigGenerateButtonState();
+}
+
+if (configCatalogFullCheckbox && configSkipDependenciesCheckbox) {
+    configCatalogFullCheckbox.addEventListener('change', updateCatalogOptions);
+    configSkipDependenciesCheckbox.addEventListener('change', updateCatalogOptions);
+}
+
+// Catalog options that end up in the configuration: a catalog is only added without
+// selected operators when all of its bundles are mirrored
+function getCatalogOptionsInUse() {
+    return selectedCatalogOptions.filter(options =>
+        options.full || (options.skipDependencies && selectedOperators.some(sel => isSameCatalog(sel, options.catalog, options.catalogVersion)))
+    );
+}
+
+function updateConfigGenerateButtonState() {
+    if (configGenerateButton) {
+        configGenerateButton.disabled = selectedOperators.length === 0 && getCatalogOptionsInUse().length === 0;
     }
 }
 
 // Add operator to selection
+// An operator is listed once per catalog; adding it again extends it with another channel or more bundles,
+// as long as the new selection can be combined with what the operator already has
 if (configAddOperatorButton) {
     configAddOperatorButton.addEventListener('click', () => {
+        const mode = configSelectionMode ? configSelectionMode.value : 'channel';
         const operator = configOperatorSelect.value;
         const channel = configChannelSelect.value;
         const version = configVersionSelectOperator.value;
+        // Version ranges only apply to channel and package-level selections
+        const maxVersion = configMaxVersionSelect && (mode === 'channel' || mode === 'package') ? configMaxVersionSelect.value : '';
+        const bundleOptions = configBundlesSelect ? Array.from(configBundlesSelect.selectedOptions) : [];
         
-        if (!operator || !channel || !version) return;
+        if (!operator) return;
+        
+        // Versions are listed newest first, so a maximum listed after the minimum is lower than it
+        const selectedChannel = currentOperatorChannels ? currentOperatorChannels.find(c => c.name === channel) : null;
+        if (maxVersion && selectedChannel && selectedChannel.versions.indexOf(maxVersion) > selectedChannel.versions.indexOf(version)) {
+            showError('The maximum version must not be lower than the minimum version');
+            return;
+        }
         
         // Check if already added
-        if (selectedOperators.some(sel => sel.operator === operator && sel.channel === channel)) {
-            showError('This operator and channel combination is already added');
+        const existing = selectedOperators.find(sel => isSameCatalog(sel, currentConfigCatalog, currentConfigVersion) && sel.operator === operator);
+        if (existing && mode === 'channel' && existing.channels.some(c => c.name === channel)) {
+            showError('This operator and channel combination is already added for this catalog');
+            return;
+        }
+        if (existing && mode === 'package' && (existing.minVersion || existing.maxVersion)) {
+            showError('A package version range is already set for this operator');
+            return;
+        }
+        if (existing && mode === 'full' && existing.full) {
+            showError('All bundles of this operator are already added');
+            return;
+        }
+        const conflict = existing ? getSelectionModeConflict(existing, mode) : null;
+        if (conflict) {
+            showError(conflict);
             return;
         }
         
-        // Include default channel information if available
-        const selection = {
+        const selection = existing || {
             operator,
-            channel,
-            version
+            catalog: currentConfigCatalog,
+            catalogVersion: currentConfigVersion,
+            channels: []
         };
         
+        if (mode === 'channel') {
+            selection.channels.push({ name: channel, minVersion: version, ...(maxVersion && { maxVersion }) });
+        } else if (mode === 'package') {
+            selection.minVersion = version;
+            if (maxVersion) {
+                selection.maxVersion = maxVersion;
+            }
+        } else if (mode === 'bundles') {
+            selection.bundles = selection.bundles || [];
+            bundleOptions.forEach(option => {
+                if (!selection.bundles.some(bundle => bundle.name === option.value)) {
+                    selection.bundles.push({ name: option.value, version: option.dataset.version, channel });
+                }
+            });
+        } else {
+            selection.full = true;
+        }
+        
         // Always store defaultChannel if it exists (for use in defaultChannel parameter when not selected)
         if (currentOperatorDefaultChannel) {
             selection.defaultChannel = currentOperatorDefaultChannel;
@@ -1108,19 +1696,29 @@ if (configAddOperatorButton) {
             // Store default channel version (not used when defaultChannel parameter is used, but kept for reference)
             if (currentOperatorChannels) {
                 const defaultChannelObj = currentOperatorChannels.find(c => c.name === currentOperatorDefaultChannel);
-                if (defaultChannelObj && defaultChannelObj.versions && defaultChannelObj.versions.length > 0) {
-                    // Versions are sorted, first is latest
-                    selection.defaultChannelVersion = defaultChannelObj.versions[0];
+                if (defaultChannelObj && defaultChannelObj.latestVersion) {
+                    // The channel head, which is not always the highest version
+                    selection.defaultChannelVersion = defaultChannelObj.latestVersion;
                 }
             }
         }
         
-        selectedOperators.push(selection);
-        updateSelectedOperatorsDisplay();
-        if (configGenerateButton) {
-            configGenerateButton.disabled = selectedOperators.length === 0;
+        // Warn about deprecated content; it can still be mirrored
+        const versions = mode === 'bundles' ? bundleOptions.map(option => option.dataset.version) : [version];
+        const deprecationWarnings = [...new Set(versions.flatMap(ver =>
+            getDeprecationWarnings(currentOperatorDeprecations, mode === 'full' ? null : selectedChannel, ver)
+        ))].filter(warning => !(selection.deprecations || []).includes(warning));
+        if (deprecationWarnings.length > 0) {
+            selection.deprecations = [...(selection.deprecations || []), ...deprecationWarnings];
+            deprecationWarnings.forEach(warning => addLogEntry(`${operator}: ${warning}`, 'warning'));
         }
         
+        if (!existing) {
+            selectedOperators.push(selection);
+        }
+        updateSelectedOperatorsDisplay();
+        updateConfigGenerateButtonState();
+        
         // Reset form for next selection
         configOperatorSelect.value = '';
         const configOperatorInput = document.getElementById('config-operator-select-input');
@@ -1131,6 +1729,14 @@ if (configAddOperatorButton) {
         configVersionSelectOperator.value = '';
         configChannelSelect.disabled = true;
         configVersionSelectOperator.disabled = true;
+        if (configMaxVersionSelect) {
+            configMaxVersionSelect.value = '';
+            configMaxVersionSelect.disabled = true;
+        }
+        if (configBundlesSelect) {
+            configBundlesSelect.innerHTML = '';
+            configBundlesSelect.disabled = true;
+        }
         currentOperatorDefaultChannel = null;
         if (defaultChannelIndicator) {
             defaultChannelIndicator.style.display = 'none';
@@ -1139,8 +1745,66 @@ if (configAddOperatorButton) {
     });
 }
 
+// Check whether a selection comes from the given catalog and version
+function isSameCatalog(sel, catalog, catalogVersion) {
+    return sel.catalog === catalog && sel.catalogVersion === catalogVersion;
+}
+
+// Check whether a mirror mode can be added to an existing selection
+// Bundles cannot be combined with channels or ranges, nor a package-level range with channel ranges
+function getSelectionModeConflict(sel, mode) {
+    const hasChannels = (sel.channels || []).length > 0;
+    const hasPackageRange = Boolean(sel.minVersion || sel.maxVersion);
+    const hasBundles = (sel.bundles || []).length > 0;
+    
+    if (mode === 'bundles' && (hasChannels || hasPackageRange)) {
+        return 'Bundles cannot be added to an operator that already has channels or a version range';
+    }
+    if ((mode === 'channel' || mode === 'package') && hasBundles) {
+        return 'Version ranges cannot be added to an operator that already has specific bundles';
+    }
+    if (mode === 'channel' && hasPackageRange) {
+        return 'Channel ranges cannot be added to an operator that already has a package version range';
+    }
+    if (mode === 'package' && hasChannels) {
+        return 'A package version range cannot be added to an operator that already has channel ranges';
+    }
+    if (mode === 'full' && (hasPackageRange || (sel.channels || []).some(channel => channel.minVersion || channel.maxVersion))) {
+        return 'Full cannot be added to an operator that already has a version range';
+    }
+    if ((mode === 'channel' || mode === 'package') && sel.full) {
+        return 'Version ranges cannot be added to an operator that already mirrors all bundles (full)';
+    }
+    return null;
+}
+
+// Format a version range of a selection
+function formatVersionRange(minVersion, maxVersion) {
+    if (minVersion && maxVersion) {
+        return `${minVersion} to ${maxVersion}`;
+    }
+    return maxVersion ? `up to ${maxVersion}` : `from ${minVersion}`;
+}
+
+// Describe what a selection mirrors, one line per channel, range, bundle list or full
+function describeSelection(sel) {
+    const lines = (sel.channels || []).map(channel => `Channel ${channel.name}: ${formatVersionRange(channel.minVersion, channel.maxVersion)}`);
+    if (sel.minVersion || sel.maxVersion) {
+        lines.push(`Default channel${sel.defaultChannel ? ` ${sel.defaultChannel}` : ''} (package level): ${formatVersionRange(sel.minVersion, sel.maxVersion)}`);
+    }
+    if (sel.bundles && sel.bundles.length > 0) {
+        lines.push(`Bundles: ${sel.bundles.map(bundle => bundle.name).join(', ')}`);
+    }
+    if (sel.full) {
+        lines.push('All bundles of every channel (full)');
+    }
+    return lines;
+}
+
 function updateSelectedOperatorsDisplay() {
-    if (selectedOperators.length === 0) {
+    refreshDependencies();
+    const catalogOptions = getCatalogOptionsInUse();
+    if (selectedOperators.length === 0 && catalogOptions.length === 0) {
         if (selectedOperatorsSection) {
             selectedOperatorsSection.style.display = 'none';
         }
@@ -1153,36 +1817,224 @@ function updateSelectedOperatorsDisplay() {
     if (selectedOperatorsList) {
         selectedOperatorsList.innerHTML = '';
         
-        selectedOperators.forEach((sel, index) => {
+        // Options of whole catalogs
+        catalogOptions.forEach(options => {
             const div = document.createElement('div');
             div.className = 'selected-operator-item';
             div.innerHTML = `
                 <div class="operator-info">
-                    <strong>${sel.operator}</strong> - Channel: ${sel.channel} - Version: ${sel.version}
+                    <strong>Catalog options</strong>
+                    <div class="selected-operator-option"></div>
+                    <div class="selected-operator-catalog"></div>
                 </div>
-                <button class="remove-operator-button" data-index="${index}">Remove</button>
             `;
+            const flags = [options.full && 'all bundles (full)', options.skipDependencies && 'skip dependencies'].filter(Boolean);
+            const noSelections = !selectedOperators.some(sel => isSameCatalog(sel, options.catalog, options.catalogVersion));
+            div.querySelector('.selected-operator-option').textContent = `${flags.join(', ')}${noSelections ? ' of every package in the catalog' : ''}`;
+            div.querySelector('.selected-operator-catalog').textContent = `Catalog: ${options.catalog}:${options.catalogVersion}`;
             selectedOperatorsList.appendChild(div);
         });
         
-        // Add remove handlers
-        selectedOperatorsList.querySelectorAll('.remove-operator-button').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const index = parseInt(btn.dataset.index);
-                selectedOperators.splice(index, 1);
-                updateSelectedOperatorsDisplay();
-                if (configGenerateButton) {
-                    configGenerateButton.disabled = selectedOperators.length === 0;
-                }
-            });
-        });
+        selectedOperators.forEach((sel, index) => {
+            const selectionLines = describeSelection(sel);
+            const div = document.createElement('div');
+            div.className = 'selected-operator-item';
+            div.innerHTML = `
+                <div class="operator-info">
+                    <strong>${sel.operator}</strong>
+                    ${selectionLines.map(() => '<div class="selected-operator-option"></div>').join('')}
+                    <div class="selected-operator-catalog"></div>
+                    ${(sel.deprecations || []).map(() => '<div class="deprecation-warning"></div>').join('')}
+                    ${(sel.dependencyReasons || []).map(() => '<div class="dependency-note"></div>').join('')}
+                </div>
+                <button class="remove-operator-button" data-index="${index}">Remove</button>
+            `;
+            // Catalogs can be custom images, and deprecation messages and dependency reasons come from the catalog, so they are set as text
+            div.querySelector('.selected-operator-catalog').textContent = `Catalog: ${sel.catalog}:${sel.catalogVersion}`;
+            div.querySelectorAll('.selected-operator-option').forEach((lineEl, lineIndex) => {
+                lineEl.textContent = selectionLines[lineIndex];
+            });
+            div.querySelectorAll('.deprecation-warning').forEach((warningEl, warningIndex) => {
+                warningEl.textContent = sel.deprecations[warningIndex];
+            });
+            div.querySelectorAll('.dependency-note').forEach((noteEl, noteIndex) => {
+                noteEl.textContent = `Added as a dependency: ${sel.dependencyReasons[noteIndex]}`;
+            });
+            selectedOperatorsList.appendChild(div);
+        });
+        
+        // Add remove handlers
+        selectedOperatorsList.querySelectorAll('.remove-operator-button').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const index = parseInt(btn.dataset.index);
+                selectedOperators.splice(index, 1);
+                updateSelectedOperatorsDisplay();
+                updateConfigGenerateButtonState();
+            });
+        });
+    }
+}
+
+// Missing dependencies of the selected operators, from /api/resolve-dependencies
+let missingDependencies = [];
+let dependencyRequestId = 0;
+
+// Packages to check the dependencies of a selection for, one per channel, range or bundle
+// The server checks every bundle of a range, so both ends of it are sent
+function getDependencyPackages(sel) {
+    const packages = (sel.channels || []).map(channel => ({
+        name: sel.operator,
+        channel: channel.name,
+        version: channel.minVersion,
+        ...(channel.maxVersion && { maxVersion: channel.maxVersion })
+    }));
+    if (sel.defaultChannel && (sel.minVersion || sel.maxVersion)) {
+        packages.push({
+            name: sel.operator,
+            channel: sel.defaultChannel,
+            ...(sel.minVersion && { version: sel.minVersion }),
+            ...(sel.maxVersion && { maxVersion: sel.maxVersion })
+        });
+    }
+    (sel.bundles || []).forEach(bundle => {
+        packages.push({ name: sel.operator, channel: bundle.channel, version: bundle.version, maxVersion: bundle.version });
+    });
+    if (sel.full && sel.defaultChannel) {
+        packages.push({ name: sel.operator, channel: sel.defaultChannel, full: true });
+    }
+    return packages;
+}
+
+// Ask the server which dependencies the selected operators need
+// Each catalog of the selection is resolved on its own; a dependency selected from any
+// catalog counts as satisfied, as OLM resolves it from every catalog source
+async function refreshDependencies() {
+    const requestId = ++dependencyRequestId;
+    if (selectedOperators.length === 0) {
+        displayDependencies([], []);
+        return;
+    }
+    
+    const catalogGroups = [];
+    selectedOperators.forEach(sel => {
+        let group = catalogGroups.find(entry => isSameCatalog(sel, entry.catalog, entry.catalogVersion));
+        if (!group) {
+            group = { catalog: sel.catalog, catalogVersion: sel.catalogVersion, selections: [] };
+            catalogGroups.push(group);
+        }
+        group.selections.push(sel);
+    });
+    
+    try {
+        const results = await Promise.all(catalogGroups.map(async group => {
+            const response = await fetch('/api/resolve-dependencies', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    catalog: group.catalog,
+                    version: group.catalogVersion,
+                    packages: group.selections.flatMap(getDependencyPackages)
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || data.error || 'Failed to resolve dependencies');
+            }
+            return { group, data };
+        }));
+        
+        // A newer selection has been sent in the meantime
+        if (requestId !== dependencyRequestId) return;
+        
+        const dependencies = [];
+        const unresolved = [];
+        results.forEach(({ group, data }) => {
+            data.dependencies.forEach(dep => {
+                if (dep.selected || dependencies.some(entry => entry.name === dep.name && isSameCatalog(entry, group.catalog, group.catalogVersion))) return;
+                if (selectedOperators.some(sel => sel.operator === dep.name && isSameCatalog(sel, group.catalog, group.catalogVersion))) return;
+                dependencies.push({ ...dep, catalog: group.catalog, catalogVersion: group.catalogVersion });
+            });
+            unresolved.push(...data.unresolved);
+        });
+        displayDependencies(dependencies, unresolved);
+    } catch (error) {
+        // A newer selection has been sent in the meantime
+        if (requestId !== dependencyRequestId) return;
+        
+        console.error('Error resolving dependencies:', error);
+        addLogEntry(`Could not resolve dependencies: ${error.message}`, 'error');
     }
 }
 
+// Show the missing dependencies with a button to add each of them
+function displayDependencies(dependencies, unresolved) {
+    missingDependencies = dependencies;
+    if (!dependenciesSection) return;
+    
+    dependenciesList.innerHTML = '';
+    dependencies.forEach(dep => {
+        const div = document.createElement('div');
+        div.className = 'selected-operator-item';
+        div.innerHTML = `
+            <div class="operator-info">
+                <strong></strong> - Channel: <span class="dependency-channel"></span> - Min version: <span class="dependency-version"></span>
+                <div class="selected-operator-catalog"></div>
+                ${dep.reasons.map(() => '<div class="dependency-note"></div>').join('')}
+            </div>
+            <button class="add-dependency-button">Add</button>
+        `;
+        // Names and reasons come from the catalog, so they are set as text
+        div.querySelector('strong').textContent = dep.name;
+        div.querySelector('.dependency-channel').textContent = dep.channel;
+        div.querySelector('.dependency-version').textContent = dep.minVersion;
+        div.querySelector('.selected-operator-catalog').textContent = `Catalog: ${dep.catalog}:${dep.catalogVersion}`;
+        div.querySelectorAll('.dependency-note').forEach((noteEl, noteIndex) => {
+            noteEl.textContent = dep.reasons[noteIndex];
+        });
+        div.querySelector('.add-dependency-button').addEventListener('click', () => addDependencies([dep]));
+        dependenciesList.appendChild(div);
+    });
+    
+    unresolvedDependenciesList.innerHTML = '';
+    unresolved.forEach(item => {
+        const warning = document.createElement('div');
+        warning.className = 'deprecation-warning';
+        warning.textContent = `Unresolved: ${item.requiredBy} requires ${item.requirement} (${item.reason})`;
+        unresolvedDependenciesList.appendChild(warning);
+    });
+    
+    addAllDependenciesButton.style.display = dependencies.length > 1 ? 'inline-block' : 'none';
+    dependenciesSection.style.display = dependencies.length > 0 || unresolved.length > 0 ? 'block' : 'none';
+}
+
+// Add dependencies to the selection, remembering why they were added
+function addDependencies(dependencies) {
+    dependencies.forEach(dep => {
+        if (selectedOperators.some(sel => sel.operator === dep.name && isSameCatalog(sel, dep.catalog, dep.catalogVersion))) return;
+        selectedOperators.push({
+            operator: dep.name,
+            channels: [{ name: dep.channel, minVersion: dep.minVersion }],
+            catalog: dep.catalog,
+            catalogVersion: dep.catalogVersion,
+            dependencyReasons: dep.reasons
+        });
+        addLogEntry(`Added dependency ${dep.name} (${dep.channel}, from ${dep.minVersion}): ${dep.reasons.join('; ')}`, 'info');
+    });
+    updateSelectedOperatorsDisplay();
+    updateConfigGenerateButtonState();
+}
+
+if (addAllDependenciesButton) {
+    addAllDependenciesButton.addEventListener('click', () => addDependencies(missingDependencies));
+}
+
 // Generate ImageSetConfiguration
 if (configGenerateButton) {
     configGenerateButton.addEventListener('click', async () => {
-        if (selectedOperators.length === 0) {
+        const catalogOptions = getCatalogOptionsInUse();
+        if (selectedOperators.length === 0 && catalogOptions.length === 0) {
             showError('Please add at least one operator');
             return;
         }
@@ -1204,10 +2056,12 @@ if (configGenerateButton) {
             const response = await fetch('/api/generate-imageset-config', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
+                // Every selection names its catalog; the first catalog is the one targetCatalog applies to
                 body: JSON.stringify({
-                    catalog: currentConfigCatalog,
-                    version: currentConfigVersion,
-                    selections: selectedOperators,
+                    catalog: (selectedOperators[0] || catalogOptions[0]).catalog,
+                    version: (selectedOperators[0] || catalogOptions[0]).catalogVersion,
+                    selections: selectedOperators.map(sel => ({ ...sel, bundles: sel.bundles ? sel.bundles.map(bundle => bundle.name) : undefined })),
+                    catalogOptions,
                     targetCatalog: targetCatalog || undefined,
                     archiveSize: archiveSize ? parseFloat(archiveSize) : undefined
                 })
@@ -1268,9 +2122,11 @@ const configUpdateDownloadButton = document.getElementById('config-update-downlo
 let parsedConfig = null;
 let originalConfigContent = null;
 let versionUpdates = [];
-let channelReplacements = new Map(); // Track channel replacements: operator -> newChannel
-let defaultChannelAdditions = new Map(); // Track default channel additions: operator -> {channel, version}
-let defaultChannelReplacements = new Map(); // Track default channel replacements: operator -> {channel, version} (replaces all channels)
+// The maps are keyed by the index of the operator in currentVersionInfo, as the same
+// operator can be configured in several catalogs
+let channelReplacements = new Map(); // Track channel replacements: index -> newChannel
+let defaultChannelAdditions = new Map(); // Track default channel additions: index -> {channel, version}
+let defaultChannelReplacements = new Map(); // Track default channel replacements: index -> {channel, version} (replaces all channels)
 
 // Handle file upload
 if (configFileInput) {
@@ -1296,12 +2152,12 @@ if (configFileInput) {
             
             parsedConfig = data;
             if (configParseStatus) {
-                configParseStatus.textContent = `Parsed configuration: ${data.catalog}:${data.version}`;
+                configParseStatus.textContent = `Parsed configuration: ${data.catalogs.map(entry => `${entry.catalog}:${entry.version}`).join(', ')}`;
                 configParseStatus.className = 'status-message success';
                 configParseStatus.style.display = 'block';
             }
             
-            // Get latest versions
+            // Get latest versions; every package names the catalog it is mirrored from
             const versionsResponse = await fetch('/api/get-latest-versions', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
@@ -1318,6 +2174,12 @@ if (configFileInput) {
                 throw new Error(versionsData.error || 'Failed to get latest versions');
             }
             
+            const staleCatalogs = versionsData.catalogs.filter(entry => entry.cache && entry.cache.stale);
+            if (configParseStatus && staleCatalogs.length > 0) {
+                configParseStatus.textContent += ` — the cached catalog ${staleCatalogs.map(entry => `${entry.catalog}:${entry.version}`).join(', ')} is stale; latest versions may be out of date. Refresh the catalog from the Fetch Operators tab.`;
+                configParseStatus.className = 'status-message warning';
+            }
+            
             // Display version comparison
             displayVersionComparison(versionsData.versionInfo);
             if (configUpdateSection) {
@@ -1351,12 +2213,12 @@ function checkChannelReplacementsComplete() {
     
     // Find all operators that require channel replacement
     const operatorsRequiringReplacement = currentVersionInfo
-        .filter(info => info.channelNotFound && !info.operatorNotFound)
-        .map(info => info.name);
+        .map((info, index) => (info.channelNotFound && !info.operatorNotFound ? index : null))
+        .filter(index => index !== null);
     
     // Check if all have been replaced
-    const allReplaced = operatorsRequiringReplacement.every(operator => 
-        channelReplacements.has(operator)
+    const allReplaced = operatorsRequiringReplacement.every(index => 
+        channelReplacements.has(index)
     );
     
     // Enable button only if all replacements are complete
@@ -1365,6 +2227,20 @@ function checkChannelReplacementsComplete() {
     }
 }
 
+// Whether to offer adding or switching to the default channel for an entry of currentVersionInfo
+// Only the first configured channel of a package gets the choice, and only when none of its
+// channels is the default; packages without channels follow the default channel already
+function needsDefaultChannelChoice(info, index) {
+    const configured = parsedConfig.packages[index] || {};
+    if (!info.defaultChannel || !info.channel || info.operatorNotFound || info.channelNotFound) {
+        return false;
+    }
+    if ((configured.configuredChannels || [info.channel]).includes(info.defaultChannel)) {
+        return false;
+    }
+    return currentVersionInfo.findIndex(other => other.name === info.name && other.catalogImage === info.catalogImage && other.channel) === index;
+}
+
 function displayVersionComparison(versionInfo) {
     if (!operatorVersionsList) return;
     
@@ -1375,16 +2251,18 @@ function displayVersionComparison(versionInfo) {
     defaultChannelReplacements.clear(); // Reset default channel replacements
     currentVersionInfo = versionInfo; // Store for channel replacement handler
     
-    versionInfo.forEach(info => {
+    versionInfo.forEach((info, index) => {
         const div = document.createElement('div');
         div.className = 'version-comparison-item';
+        // The configured channel, range, bundles and full flag, from the parsed configuration
+        const configured = parsedConfig.packages[index] || {};
         
         const hasUpdate = info.hasUpdate && !info.error;
         const updateClass = hasUpdate ? 'has-update' : '';
         const errorClass = info.error ? 'has-error' : '';
         
         // Check if current channel is not the default channel
-        const isNonDefaultChannel = info.defaultChannel && info.channel !== info.defaultChannel;
+        const isNonDefaultChannel = needsDefaultChannelChoice(info, index);
         
         // Build default channel display
         const defaultChannelDisplay = info.defaultChannel 
@@ -1400,7 +2278,7 @@ function displayVersionComparison(versionInfo) {
                 <div class="error-message">Channel "${info.channel}" not found.</div>
                 <div class="channel-replacement-section">
                     <label>Select replacement channel:</label>
-                    <select class="channel-replacement-select" data-operator="${info.name}" data-original-channel="${info.channel}">
+                    <select class="channel-replacement-select" data-index="${index}" data-original-channel="${info.channel}">
                         <option value="">-- Select Channel --</option>
                         ${info.availableChannels ? info.availableChannels.map(ch => 
                             `<option value="${ch}">${ch}${ch === info.defaultChannel ? ' (Default)' : ''}</option>`
@@ -1412,6 +2290,23 @@ function displayVersionComparison(versionInfo) {
             errorDisplay = `<div class="error-message">${info.error}</div>`;
         }
         
+        // Warn about deprecated content the configuration keeps or updates to
+        const deprecationWarnings = [];
+        if (info.deprecations) {
+            if (info.deprecations.package) {
+                deprecationWarnings.push(`Operator deprecated: ${info.deprecations.package}`);
+            }
+            if (info.deprecations.channel) {
+                deprecationWarnings.push(`Channel ${info.channel} deprecated: ${info.deprecations.channel}`);
+            }
+            if (info.deprecations.currentVersion) {
+                deprecationWarnings.push(`Current version ${info.currentVersion} deprecated: ${info.deprecations.currentVersion}`);
+            }
+            if (info.deprecations.latestVersion && info.latestVersion !== info.currentVersion) {
+                deprecationWarnings.push(`Latest version ${info.latestVersion} deprecated: ${info.deprecations.latestVersion}`);
+            }
+        }
+        
         // Build default channel options (Add or Replace)
         let defaultChannelOption = '';
         if (info.defaultChannel && !info.operatorNotFound && !info.channelNotFound) {
@@ -1423,7 +2318,7 @@ function displayVersionComparison(versionInfo) {
                 // Show both "Add" and "Replace" options
                 if (defaultLatestVersion) {
                     // Default to "Add" option (checked) - automatically add default channel alongside existing
-                    defaultChannelAdditions.set(info.name, {
+                    defaultChannelAdditions.set(index, {
                         channel: info.defaultChannel,
                         version: defaultLatestVersion
                     });
@@ -1435,9 +2330,9 @@ function displayVersionComparison(versionInfo) {
                             </div>
                             <div class="default-channel-choices" style="margin-left: 20px;">
                                 <label style="display: block; margin-bottom: 8px;">
-                                    <input type="radio" name="default-channel-action-${info.name}" 
+                                    <input type="radio" name="default-channel-action-${index}" 
                                            class="default-channel-action-radio" 
-                                           data-operator="${info.name}" 
+                                           data-index="${index}" 
                                            data-action="add"
                                            data-channel="${info.defaultChannel}" 
                                            data-version="${defaultLatestVersion}"
@@ -1445,18 +2340,18 @@ function displayVersionComparison(versionInfo) {
                                     <strong>Add:</strong> Add the new default channel "${info.defaultChannel}" (version ${defaultLatestVersion}) alongside the existing channel "${info.channel}"
                                 </label>
                                 <label style="display: block; margin-bottom: 8px;">
-                                    <input type="radio" name="default-channel-action-${info.name}" 
+                                    <input type="radio" name="default-channel-action-${index}" 
                                            class="default-channel-action-radio" 
-                                           data-operator="${info.name}" 
+                                           data-index="${index}" 
                                            data-action="replace"
                                            data-channel="${info.defaultChannel}" 
                                            data-version="${defaultLatestVersion}">
                                     <strong>Replace:</strong> Replace the current channel configuration with the new default channel "${info.defaultChannel}" (version ${defaultLatestVersion})
                                 </label>
                                 <label style="display: block; margin-bottom: 8px;">
-                                    <input type="radio" name="default-channel-action-${info.name}" 
+                                    <input type="radio" name="default-channel-action-${index}" 
                                            class="default-channel-action-radio" 
-                                           data-operator="${info.name}" 
+                                           data-index="${index}" 
                                            data-action="none">
                                     <strong>None:</strong> Keep current channel only (use defaultChannel parameter for reference)
                                 </label>
@@ -1471,25 +2366,47 @@ function displayVersionComparison(versionInfo) {
         div.innerHTML = `
             <div class="operator-version-info ${updateClass} ${errorClass}">
                 <div class="operator-name"><strong>${info.name}</strong></div>
+                <div class="catalog-info"></div>
                 ${defaultChannelDisplay}
-                <div class="channel-info">Channel: ${info.channel}</div>
+                <div class="channel-info"></div>
                 <div class="version-info">
-                    <span class="current-version">Current: ${info.currentVersion}</span>
+                    ${configured.maxVersion ? `<span class="current-version">Range: ${formatVersionRange(configured.minVersion, configured.maxVersion)}</span>` : ''}
+                    <span class="current-version">Current: ${info.currentVersion || '-'}</span>
                     ${!info.operatorNotFound && !info.channelNotFound ? `<span class="latest-version">Latest: ${info.latestVersion}</span>` : ''}
+                    ${info.highestVersion && info.highestVersion !== info.latestVersion ? `<span class="highest-version" title="Not the channel head">Highest: ${info.highestVersion}</span>` : ''}
                 </div>
                 ${errorDisplay}
+                ${deprecationWarnings.map(() => '<div class="deprecation-warning"></div>').join('')}
                 ${defaultChannelOption}
             </div>
             <div class="version-action">
                 ${hasUpdate ? `
                     <label>
-                        <input type="checkbox" class="update-checkbox" data-name="${info.name}" data-channel="${info.channel}" data-version="${info.latestVersion}">
-                        Update to ${info.latestVersion}
+                        <input type="checkbox" class="update-checkbox" data-index="${index}" data-name="${info.name}" data-channel="${info.channel}" data-version="${info.latestVersion}">
+                        ${configured.maxVersion ? `Raise maximum to ${info.latestVersion}` : `Update to ${info.latestVersion}`}
                     </label>
-                ` : info.operatorNotFound || info.channelNotFound ? '<span class="no-update">-</span>' : '<span class="no-update">No update available</span>'}
+                ` : info.operatorNotFound || info.channelNotFound ? '<span class="no-update">-</span>'
+                    : configured.full || (configured.bundles && configured.bundles.length > 0) ? '<span class="no-update">Not updated</span>'
+                    : '<span class="no-update">No update available</span>'}
             </div>
         `;
         
+        // Catalogs can be custom images and bundle names come from the configuration, so they are set as text
+        div.querySelector('.catalog-info').textContent = `Catalog: ${info.catalog}:${info.catalogVersion}`;
+        const channelLines = [info.channel
+            ? `Channel: ${info.channel}`
+            : `Channel: ${info.defaultChannel ? `${info.defaultChannel} (default, package level)` : 'default (package level)'}`];
+        if (configured.bundles && configured.bundles.length > 0) {
+            channelLines.push(`Bundles: ${configured.bundles.join(', ')}`);
+        }
+        if (configured.full) {
+            channelLines.push('All bundles of every channel (full)');
+        }
+        div.querySelector('.channel-info').textContent = channelLines.join(' - ');
+        div.querySelectorAll('.deprecation-warning').forEach((warningEl, warningIndex) => {
+            warningEl.textContent = deprecationWarnings[warningIndex];
+        });
+        
         operatorVersionsList.appendChild(div);
     });
     
@@ -1499,14 +2416,15 @@ function displayVersionComparison(versionInfo) {
             const name = checkbox.dataset.name;
             const channel = checkbox.dataset.channel;
             const version = checkbox.dataset.version;
+            const catalogImage = currentVersionInfo[parseInt(checkbox.dataset.index)].catalogImage;
             
             if (e.target.checked) {
-                const existing = versionUpdates.find(u => u.name === name && u.channel === channel);
+                const existing = versionUpdates.find(u => u.name === name && u.channel === channel && u.catalogImage === catalogImage);
                 if (!existing) {
-                    versionUpdates.push({ name, channel, newVersion: version });
+                    versionUpdates.push({ name, channel, newVersion: version, catalogImage });
                 }
             } else {
-                versionUpdates = versionUpdates.filter(u => !(u.name === name && u.channel === channel));
+                versionUpdates = versionUpdates.filter(u => !(u.name === name && u.channel === channel && u.catalogImage === catalogImage));
             }
         });
     });
@@ -1514,19 +2432,21 @@ function displayVersionComparison(versionInfo) {
     // Add channel replacement handlers
     operatorVersionsList.querySelectorAll('.channel-replacement-select').forEach(select => {
         select.addEventListener('change', async (e) => {
-            const operator = select.dataset.operator;
+            const index = parseInt(select.dataset.index);
             const originalChannel = select.dataset.originalChannel;
             const newChannel = select.value;
             
             if (!newChannel) return;
             
-            // Find the original info to get current version
-            const originalInfo = currentVersionInfo.find(i => i.name === operator && i.channel === originalChannel);
-            const currentVersion = originalInfo ? originalInfo.currentVersion : '';
+            // Find the original info to get current version and catalog
+            const originalInfo = currentVersionInfo[index];
+            const operator = originalInfo.name;
+            const currentVersion = originalInfo.currentVersion;
+            const catalogImage = originalInfo.catalogImage;
             
             // Fetch operator details to get versions for the new channel
             try {
-                const response = await fetch(`/api/operator-details?catalog=${encodeURIComponent(parsedConfig.catalog)}&version=${encodeURIComponent(parsedConfig.version)}&operator=${encodeURIComponent(operator)}`);
+                const response = await fetch(`/api/operator-details?catalog=${encodeURIComponent(originalInfo.catalog)}&version=${encodeURIComponent(originalInfo.catalogVersion)}&operator=${encodeURIComponent(operator)}`);
                 const data = await response.json();
                 
                 if (!response.ok) {
@@ -1535,7 +2455,7 @@ function displayVersionComparison(versionInfo) {
                 
                 const channel = data.channels.find(c => c.name === newChannel);
                 if (channel && channel.versions && channel.versions.length > 0) {
-                    const latestVersion = channel.versions[0];
+                    const latestVersion = channel.latestVersion;
                     
                     // Update the display to show the new channel info
                     const itemDiv = select.closest('.version-comparison-item');
@@ -1552,7 +2472,7 @@ function displayVersionComparison(versionInfo) {
                     const actionDiv = itemDiv.querySelector('.version-action');
                     actionDiv.innerHTML = `
                         <label>
-                            <input type="checkbox" class="update-checkbox" data-name="${operator}" data-channel="${newChannel}" data-version="${latestVersion}" data-original-channel="${originalChannel}">
+                            <input type="checkbox" class="update-checkbox" data-index="${index}" data-name="${operator}" data-channel="${newChannel}" data-version="${latestVersion}" data-original-channel="${originalChannel}">
                             Update to ${latestVersion}
                         </label>
                     `;
@@ -1568,15 +2488,16 @@ function displayVersionComparison(versionInfo) {
                     newCheckbox.addEventListener('change', (e) => {
                         if (e.target.checked) {
                             // Remove old entry if exists
-                            versionUpdates = versionUpdates.filter(u => !(u.name === operator && u.originalChannel === originalChannel));
+                            versionUpdates = versionUpdates.filter(u => !(u.name === operator && u.originalChannel === originalChannel && u.catalogImage === catalogImage));
                             versionUpdates.push({ 
                                 name: operator, 
                                 channel: newChannel, 
                                 newVersion: latestVersion,
-                                originalChannel: originalChannel
+                                originalChannel: originalChannel,
+                                catalogImage
                             });
                         } else {
-                            versionUpdates = versionUpdates.filter(u => !(u.name === operator && u.channel === newChannel));
+                            versionUpdates = versionUpdates.filter(u => !(u.name === operator && u.channel === newChannel && u.catalogImage === catalogImage));
                         }
                     });
                     
@@ -1588,7 +2509,7 @@ function displayVersionComparison(versionInfo) {
                     }
                     
                     // Track this channel replacement
-                    channelReplacements.set(operator, newChannel);
+                    channelReplacements.set(index, newChannel);
                     
                     // Check if all required replacements are complete
                     checkChannelReplacementsComplete();
@@ -1604,23 +2525,23 @@ function displayVersionComparison(versionInfo) {
         radio.addEventListener('change', (e) => {
             if (!e.target.checked) return; // Only process when this radio is selected
             
-            const operator = radio.dataset.operator;
+            const index = parseInt(radio.dataset.index);
             const action = radio.dataset.action;
             const channel = radio.dataset.channel;
             const version = radio.dataset.version;
             
             if (action === 'add') {
                 // Add: Add default channel alongside existing channel
-                defaultChannelAdditions.set(operator, { channel, version });
-                defaultChannelReplacements.delete(operator);
+                defaultChannelAdditions.set(index, { channel, version });
+                defaultChannelReplacements.delete(index);
             } else if (action === 'replace') {
                 // Replace: Replace all channels with default channel only
-                defaultChannelReplacements.set(operator, { channel, version });
-                defaultChannelAdditions.delete(operator);
+                defaultChannelReplacements.set(index, { channel, version });
+                defaultChannelAdditions.delete(index);
             } else if (action === 'none') {
                 // None: Keep current channel only, use defaultChannel parameter
-                defaultChannelAdditions.delete(operator);
-                defaultChannelReplacements.delete(operator);
+                defaultChannelAdditions.delete(index);
+                defaultChannelReplacements.delete(index);
             }
         });
     });
@@ -1646,7 +2567,8 @@ if (configSelectAllButton) {
             versionUpdates.push({
                 name: name,
                 channel: channel,
-                newVersion: version
+                newVersion: version,
+                catalogImage: currentVersionInfo[parseInt(checkbox.dataset.index)].catalogImage
             });
         });
     });
@@ -1655,14 +2577,14 @@ if (configSelectAllButton) {
 // Update configuration
 if (configUpdateButton) {
     configUpdateButton.addEventListener('click', async () => {
-        // Get list of operators that are not found
+        // Get list of operators that are not found, each removed from its own catalog only
         const missingOperators = currentVersionInfo
             .filter(info => info.operatorNotFound)
-            .map(info => info.name);
+            .map(info => ({ name: info.name, catalogImage: info.catalogImage, label: `${info.name} (${info.catalog}:${info.catalogVersion})` }));
         
         // Show confirmation if there are missing operators
         if (missingOperators.length > 0) {
-            const operatorList = missingOperators.join(', ');
+            const operatorList = missingOperators.map(operator => operator.label).join(', ');
             const confirmMessage = `The following operator(s) were not found and will be removed from the configuration:\n\n${operatorList}\n\nDo you want to continue?`;
             
             if (!confirm(confirmMessage)) {
@@ -1676,32 +2598,32 @@ if (configUpdateButton) {
         }
         
         // Collect default channel additions (Add option selected)
-        const defaultChannelAdds = Array.from(defaultChannelAdditions.entries()).map(([operator, data]) => ({
-            operator,
+        const defaultChannelAdds = Array.from(defaultChannelAdditions.entries()).map(([index, data]) => ({
+            operator: currentVersionInfo[index].name,
             channel: data.channel,
-            version: data.version
+            version: data.version,
+            catalogImage: currentVersionInfo[index].catalogImage
         }));
         
         // Collect default channel replacements (Replace option selected)
-        const defaultChannelReplaces = Array.from(defaultChannelReplacements.entries()).map(([operator, data]) => ({
-            operator,
+        const defaultChannelReplaces = Array.from(defaultChannelReplacements.entries()).map(([index, data]) => ({
+            operator: currentVersionInfo[index].name,
             channel: data.channel,
-            version: data.version
+            version: data.version,
+            catalogImage: currentVersionInfo[index].catalogImage
         }));
         
         // Collect operators that need defaultChannel parameter (non-default channel, action is "none")
         const operatorsNeedingDefaultChannelParam = [];
-        currentVersionInfo.forEach(info => {
-            if (info.defaultChannel && 
-                !info.operatorNotFound && 
-                !info.channelNotFound && 
-                info.channel !== info.defaultChannel) {
+        currentVersionInfo.forEach((info, index) => {
+            if (needsDefaultChannelChoice(info, index)) {
                 // Operator uses non-default channel
                 // Check if default channel is NOT in additions or replacements (action is "none")
-                if (!defaultChannelAdditions.has(info.name) && !defaultChannelReplacements.has(info.name)) {
+                if (!defaultChannelAdditions.has(index) && !defaultChannelReplacements.has(index)) {
                     operatorsNeedingDefaultChannelParam.push({
                         operator: info.name,
-                        defaultChannel: info.defaultChannel
+                        defaultChannel: info.defaultChannel,
+                        catalogImage: info.catalogImage
                     });
                 }
             }
@@ -1714,7 +2636,7 @@ if (configUpdateButton) {
                 body: JSON.stringify({
                     originalConfig: originalConfigContent,
                     updates: versionUpdates,
-                    removeOperators: missingOperators,
+                    removeOperators: missingOperators.map(({ name, catalogImage }) => ({ name, catalogImage })),
                     addDefaultChannels: defaultChannelAdds,
                     replaceWithDefaultChannels: defaultChannelReplaces,
                     setDefaultChannelParam: operatorsNeedingDefaultChannelParam
@@ -1767,16 +2689,624 @@ if (configUpdateDownloadButton) {
     });
 }
 
+// Feature 4: Catalog Cache
+const cacheReloadButton = document.getElementById('cache-reload-button');
+const cacheClearButton = document.getElementById('cache-clear-button');
+const cacheSummary = document.getElementById('cache-summary');
+const cacheStatusMessage = document.getElementById('cache-status-message');
+const cacheEntriesList = document.getElementById('cache-entries-list');
+
+// Format a size in bytes for display
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '-';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// Show a status message in the cache tab
+function showCacheStatus(message, type) {
+    cacheStatusMessage.textContent = message;
+    cacheStatusMessage.className = `status-message ${type}`;
+    cacheStatusMessage.style.display = 'block';
+}
+
+// Create a table cell with text content
+function createCell(text, className) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (className) cell.className = className;
+    return cell;
+}
+
+// Load and display the server-side catalog cache
+async function loadCacheEntries() {
+    try {
+        const response = await fetch('/api/cache');
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || data.message || 'Failed to load catalog cache');
+        }
+
+        const limit = data.maxSize ? ` of ${formatBytes(data.maxSize)} limit` : ' (no size limit)';
+        cacheSummary.textContent = `${data.entries.length} cached catalog(s) using ${formatBytes(data.totalSize)}${limit} in ${data.directory}`;
+        cacheClearButton.disabled = data.entries.length === 0;
+        displayCacheEntries(data.entries);
+    } catch (error) {
+        showCacheStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// Render cache entries as a table
+function displayCacheEntries(entries) {
+    cacheEntriesList.innerHTML = '';
+
+    if (entries.length === 0) {
+        cacheEntriesList.innerHTML = '<p style="color: #666;">The catalog cache is empty.</p>';
+        return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'cache-table';
+    table.innerHTML = '<thead><tr><th>Catalog</th><th>Size</th><th>Digest</th><th>Last Accessed</th><th></th></tr></thead>';
+    const tbody = document.createElement('tbody');
+
+    for (const entry of entries) {
+        const row = document.createElement('tr');
+
+        const nameCell = createCell(entry.key);
+        if (entry.image) {
+            const image = document.createElement('div');
+            image.className = 'cache-image';
+            image.textContent = entry.image;
+            nameCell.appendChild(image);
+        }
+        row.appendChild(nameCell);
+        row.appendChild(createCell(formatBytes(entry.size)));
+        const digestCell = createCell(entry.digest ? entry.digest.substring(0, 19) : '-', 'cache-digest');
+        digestCell.title = entry.digest || '';
+        row.appendChild(digestCell);
+        row.appendChild(createCell(entry.lastAccessedAt ? new Date(entry.lastAccessedAt).toLocaleString() : '-'));
+
+        const actionsCell = document.createElement('td');
+        const actions = document.createElement('div');
+        actions.className = 'cache-entry-actions';
+        const inspectButton = document.createElement('button');
+        inspectButton.className = 'cache-inspect-button';
+        inspectButton.textContent = 'Inspect';
+        inspectButton.addEventListener('click', () => inspectCacheEntry(entry.key, row));
+        const evictButton = document.createElement('button');
+        evictButton.className = 'remove-operator-button';
+        evictButton.textContent = 'Evict';
+        evictButton.addEventListener('click', () => evictCacheEntry(entry.key));
+        actions.appendChild(inspectButton);
+        actions.appendChild(evictButton);
+        actionsCell.appendChild(actions);
+        row.appendChild(actionsCell);
+
+        tbody.appendChild(row);
+    }
+
+    table.appendChild(tbody);
+    cacheEntriesList.appendChild(table);
+}
+
+// Show details of a cache entry in a row below it
+async function inspectCacheEntry(key, row) {
+    const existing = row.nextElementSibling;
+    if (existing && existing.classList.contains('cache-entry-details')) {
+        existing.remove();
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/cache/${encodeURIComponent(key)}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || data.message || 'Failed to inspect cache entry');
+        }
+
+        let freshness = 'unknown';
+        if (data.stale === true) {
+            freshness = `stale, the registry now serves ${data.remoteDigest}`;
+        } else if (data.stale === false) {
+            freshness = 'up to date';
+        } else if (data.checkError) {
+            freshness = `unknown (${data.checkError})`;
+        }
+
+        const detailsRow = document.createElement('tr');
+        detailsRow.className = 'cache-entry-details';
+        const cell = createCell([
+            `Packages: ${data.packageCount}`,
+            `Extracted: ${data.extractedAt ? new Date(data.extractedAt).toLocaleString() : '-'}`,
+            `Source: ${data.source || '-'}`,
+            `Digest: ${data.digest || '-'}`,
+            `Freshness: ${freshness}`
+        ].join(' · '));
+        cell.colSpan = 5;
+        detailsRow.appendChild(cell);
+        row.after(detailsRow);
+    } catch (error) {
+        showCacheStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// Evict a single cache entry
+async function evictCacheEntry(key) {
+    try {
+        const response = await fetch(`/api/cache/${encodeURIComponent(key)}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || data.message || 'Failed to evict cache entry');
+        }
+
+        showCacheStatus(`Evicted ${key}`, 'success');
+        addLogEntry(`Evicted cached catalog ${key}`, 'info');
+        await loadCacheEntries();
+    } catch (error) {
+        showCacheStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+if (cacheReloadButton) {
+    cacheReloadButton.addEventListener('click', () => {
+        cacheStatusMessage.style.display = 'none';
+        loadCacheEntries();
+    });
+}
+
+if (cacheClearButton) {
+    cacheClearButton.addEventListener('click', async () => {
+        if (!confirm('Remove every cached catalog? They will be pulled again on next use.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/cache', { method: 'DELETE' });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || data.message || 'Failed to clear catalog cache');
+            }
+
+            showCacheStatus(`Evicted ${data.evicted.length} cached catalog(s)`, 'success');
+            addLogEntry(`Cleared catalog cache (${data.evicted.length} entries)`, 'info');
+            await loadCacheEntries();
+        } catch (error) {
+            showCacheStatus(`Error: ${error.message}`, 'error');
+        }
+    });
+}
+
+// Feature 5: Catalog Import
+const importFileInput = document.getElementById('import-file-input');
+const importCatalogInput = document.getElementById('import-catalog-input');
+const importVersionInput = document.getElementById('import-version-input');
+const importImageInput = document.getElementById('import-image-input');
+const importButton = document.getElementById('import-button');
+const importStatusMessage = document.getElementById('import-status-message');
+
+// Show a message in the import section (type: success, error or warning)
+function showImportStatus(message, type) {
+    importStatusMessage.textContent = message;
+    importStatusMessage.className = `status-message ${type}`;
+    importStatusMessage.style.display = 'block';
+}
+
+// Enable the import button once an archive and a catalog name are given
+function updateImportButtonState() {
+    importButton.disabled = !(importFileInput.files.length > 0 && importCatalogInput.value.trim());
+}
+
+// Upload the selected archive and select the imported catalog
+async function importCatalog() {
+    const file = importFileInput.files[0];
+    const params = new URLSearchParams({ catalog: importCatalogInput.value.trim(), filename: file.name });
+    if (importVersionInput.value.trim()) {
+        params.set('version', importVersionInput.value.trim());
+    }
+    if (importImageInput.value.trim()) {
+        params.set('image', importImageInput.value.trim());
+    }
+
+    importButton.disabled = true;
+    importButton.classList.add('loading');
+    showImportStatus(`Uploading ${file.name}...`, 'warning');
+    addLogEntry(`Importing catalog archive ${file.name}`, 'info');
+
+    try {
+        const response = await fetch(`/api/catalog-imports?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Failed to import catalog');
+        }
+
+        showImportStatus(`Imported ${data.label} ${data.version}: ${data.packageCount} operator(s) from a ${data.format} archive`, 'success');
+        addLogEntry(`Imported catalog ${data.cacheKey} (${data.format})`, 'success');
+
+        // Operators listed earlier for this catalog and version are out of date now
+        operatorsCache.delete(getCacheKey(data.catalog, data.version));
+        cacheStatuses.delete(getCacheKey(data.catalog, data.version));
+        saveCacheToStorage();
+
+        await loadCatalogOptions();
+        setSelectedCatalog(catalogSelect, catalogCustomInput, data.catalog);
+        await loadVersionOptions(versionSelect, data.catalog, data.version);
+        if (!Array.from(versionSelect.options).some(option => option.value === data.version)) {
+            const option = document.createElement('option');
+            option.value = data.version;
+            option.textContent = data.version;
+            versionSelect.appendChild(option);
+        }
+        versionSelect.value = data.version;
+        clearCacheIfNeeded();
+        updateFetchButtonState();
+        saveStateToStorage();
+        await fetchOperators();
+    } catch (error) {
+        console.error('Error importing catalog:', error);
+        showImportStatus(`Error: ${error.message}`, 'error');
+        addLogEntry(`Error importing catalog: ${error.message}`, 'error');
+    } finally {
+        importButton.classList.remove('loading');
+        updateImportButtonState();
+    }
+}
+
+if (importButton) {
+    importFileInput.addEventListener('change', updateImportButtonState);
+    importCatalogInput.addEventListener('input', updateImportButtonState);
+    importButton.addEventListener('click', importCatalog);
+}
+
+// Feature 6: Catalog Comparison
+const compareCatalogSelect = document.getElementById('compare-catalog-select');
+const compareCatalogCustomInput = document.getElementById('compare-catalog-custom-input');
+const compareFromSelect = document.getElementById('compare-from-select');
+const compareToSelect = document.getElementById('compare-to-select');
+const compareButton = document.getElementById('compare-button');
+const compareStatusMessage = document.getElementById('compare-status-message');
+const compareResults = document.getElementById('compare-results');
+const compareSummary = document.getElementById('compare-summary');
+const historyVersionSelect = document.getElementById('history-version-select');
+const historyFromSelect = document.getElementById('history-from-select');
+const historyToSelect = document.getElementById('history-to-select');
+const historyButton = document.getElementById('history-button');
+const historyStatusMessage = document.getElementById('history-status-message');
+const historyResults = document.getElementById('history-results');
+const historySummary = document.getElementById('history-summary');
+const historyChanges = document.getElementById('history-changes');
+
+// Show a message in the compare tab (type: success, error or warning)
+function showCompareStatus(message, type) {
+    compareStatusMessage.textContent = message;
+    compareStatusMessage.className = `status-message ${type}`;
+    compareStatusMessage.style.display = 'block';
+}
+
+// Enable the compare button once a catalog and two different versions are selected
+function updateCompareButtonState() {
+    const catalogSelected = getSelectedCatalog(compareCatalogSelect, compareCatalogCustomInput) !== '';
+    const versionsSelected = compareFromSelect.value !== '' && compareToSelect.value !== '';
+    compareButton.disabled = !(catalogSelected && versionsSelected && compareFromSelect.value !== compareToSelect.value);
+}
+
+// Load the versions of the selected catalog into the version dropdowns
+async function loadCompareVersions(catalog) {
+    await loadVersionOptions(compareFromSelect, catalog);
+    await loadVersionOptions(compareToSelect, catalog);
+    await loadVersionOptions(historyVersionSelect, catalog);
+    updateCompareButtonState();
+    loadSnapshots();
+}
+
+// Create a line describing one change of a package
+function createCompareChange(text) {
+    const line = document.createElement('div');
+    line.className = 'compare-change';
+    line.textContent = text;
+    return line;
+}
+
+// Create the list item of a package, titled by its name and display name
+function createComparePackageItem(pkg) {
+    const item = document.createElement('div');
+    item.className = 'selected-operator-item';
+    const name = document.createElement('strong');
+    name.textContent = pkg.name;
+    item.appendChild(name);
+    if (pkg.displayName) {
+        item.appendChild(document.createTextNode(` (${pkg.displayName})`));
+    }
+    return item;
+}
+
+// Fill one group of the comparison (added, removed or changed packages)
+function displayCompareGroup(id, title, packages, describe) {
+    const group = document.getElementById(id);
+    group.innerHTML = '';
+    group.style.display = packages.length > 0 ? 'block' : 'none';
+
+    const heading = document.createElement('h3');
+    heading.textContent = `${title} (${packages.length})`;
+    group.appendChild(heading);
+
+    for (const pkg of packages) {
+        const item = createComparePackageItem(pkg);
+        describe(pkg).forEach(text => item.appendChild(createCompareChange(text)));
+        group.appendChild(item);
+    }
+}
+
+// Describe a channel head by its version; a channel with several heads has no single head bundle
+function formatCompareHead({ head, version }) {
+    if (!version) return 'none';
+    return head ? version : `${version} (highest of several heads)`;
+}
+
+// Show the differences between two catalogs
+function displayCatalogDiff(data) {
+    compareSummary.textContent = `${data.from.image} (${data.from.packageCount} operators) → ${data.to.image} (${data.to.packageCount} operators): ` +
+        `${data.added.length} added, ${data.removed.length} removed, ${data.changed.length} changed, ${data.unchanged} unchanged`;
+
+    const describeChannels = pkg => [
+        `Default channel: ${pkg.defaultChannel || 'none'}`,
+        `Channels: ${pkg.channels.join(', ') || 'none'}`
+    ];
+    displayCompareGroup('compare-added', 'Added Operators', data.added, describeChannels);
+    displayCompareGroup('compare-removed', 'Removed Operators', data.removed, describeChannels);
+    displayCompareGroup('compare-changed', 'Changed Operators', data.changed, pkg => {
+        const changes = [];
+        if (pkg.defaultChannel) {
+            changes.push(`Default channel: ${pkg.defaultChannel.from || 'none'} → ${pkg.defaultChannel.to || 'none'}`);
+        }
+        if (pkg.addedChannels.length > 0) {
+            changes.push(`Channels added: ${pkg.addedChannels.join(', ')}`);
+        }
+        if (pkg.removedChannels.length > 0) {
+            changes.push(`Channels removed: ${pkg.removedChannels.join(', ')}`);
+        }
+        for (const change of pkg.headChanges) {
+            changes.push(`${change.channel} head: ${formatCompareHead(change.from)} → ${formatCompareHead(change.to)}`);
+        }
+        return changes;
+    });
+
+    compareResults.style.display = 'block';
+    if (data.unparsed.length > 0) {
+        showCompareStatus(`${data.unparsed.length} operator(s) could not be parsed and were not compared: ${data.unparsed.join(', ')}`, 'warning');
+    }
+}
+
+// Compare the selected versions of the catalog
+async function compareCatalogs() {
+    const catalog = getSelectedCatalog(compareCatalogSelect, compareCatalogCustomInput);
+    const from = compareFromSelect.value;
+    const to = compareToSelect.value;
+    const params = new URLSearchParams({ catalog, from, to });
+
+    compareButton.disabled = true;
+    compareButton.classList.add('loading');
+    compareResults.style.display = 'none';
+    showCompareStatus(`Comparing ${from} with ${to}. Catalogs that are not cached yet are pulled and indexed first, which can take a few minutes...`, 'warning');
+    addLogEntry(`Comparing ${catalog} ${from} with ${to}`, 'info');
+
+    try {
+        const response = await fetch(`/api/catalog-diff?${params}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Failed to compare catalogs');
+        }
+
+        compareStatusMessage.style.display = 'none';
+        displayCatalogDiff(data);
+        addLogEntry(`Compared ${catalog} ${from} with ${to}: ${data.added.length} added, ${data.removed.length} removed, ${data.changed.length} changed`, 'success');
+    } catch (error) {
+        console.error('Error comparing catalogs:', error);
+        showCompareStatus(`Error: ${error.message}`, 'error');
+        addLogEntry(`Error comparing catalogs: ${error.message}`, 'error');
+    } finally {
+        compareButton.classList.remove('loading');
+        updateCompareButtonState();
+    }
+}
+
+// Show a message in the catalog history section (type: success, error or warning)
+function showHistoryStatus(message, type) {
+    historyStatusMessage.textContent = message;
+    historyStatusMessage.className = `status-message ${type}`;
+    historyStatusMessage.style.display = 'block';
+}
+
+// Enable the history button once two different snapshots are selected
+function updateHistoryButtonState() {
+    historyButton.disabled = !(historyFromSelect.value && historyToSelect.value && historyFromSelect.value !== historyToSelect.value);
+}
+
+// Describe a snapshot for the snapshot dropdowns
+function formatSnapshot(snapshot) {
+    const digest = snapshot.digest ? snapshot.digest.substring(0, 19) : 'local tree';
+    return `${new Date(snapshot.takenAt).toLocaleString()} (${digest}, ${snapshot.bundleCount} bundles)`;
+}
+
+// List the snapshots of the selected catalog version, preselecting the two newest
+async function loadSnapshots() {
+    const catalog = getSelectedCatalog(compareCatalogSelect, compareCatalogCustomInput);
+    const version = historyVersionSelect.value;
+    historyResults.style.display = 'none';
+    historyStatusMessage.style.display = 'none';
+    [historyFromSelect, historyToSelect].forEach(select => {
+        select.innerHTML = '<option value="">-- Select Snapshot --</option>';
+        select.disabled = true;
+    });
+    updateHistoryButtonState();
+    if (!catalog || !version) return;
+
+    try {
+        const params = new URLSearchParams({ catalog, version });
+        const response = await fetch(`/api/catalog-snapshots?${params}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Failed to list catalog snapshots');
+        }
+
+        if (data.snapshots.length < 2) {
+            showHistoryStatus(`${data.snapshots.length} snapshot(s) of ${data.image} so far. Two are needed to see what changed; the next one is recorded when the catalog content changes.`, 'warning');
+        }
+        [historyFromSelect, historyToSelect].forEach(select => {
+            data.snapshots.forEach(snapshot => {
+                const option = document.createElement('option');
+                option.value = snapshot.id;
+                option.textContent = formatSnapshot(snapshot);
+                select.appendChild(option);
+            });
+            select.disabled = data.snapshots.length === 0;
+        });
+        if (data.snapshots.length >= 2) {
+            historyToSelect.value = data.snapshots[0].id;
+            historyFromSelect.value = data.snapshots[1].id;
+        }
+        updateHistoryButtonState();
+    } catch (error) {
+        console.error('Error listing catalog snapshots:', error);
+        showHistoryStatus(`Error: ${error.message}`, 'error');
+    }
+}
+
+// Build one group of the changelog, one item per entry titled by its package
+function createChangelogGroup(title, type, entries, describe) {
+    const group = document.createElement('div');
+    group.className = `selected-operators-section compare-group ${type}`;
+    const heading = document.createElement('h3');
+    heading.textContent = `${title} (${entries.length})`;
+    group.appendChild(heading);
+
+    for (const entry of entries) {
+        const item = createComparePackageItem({ name: entry.package || entry.name });
+        describe(entry).forEach(text => item.appendChild(createCompareChange(text)));
+        group.appendChild(item);
+    }
+    return group;
+}
+
+// Show the changes between two snapshots
+function displayChangelog(data) {
+    historySummary.textContent = `${data.image}: ${formatSnapshot(data.from)} → ${formatSnapshot(data.to)}`;
+    historyChanges.innerHTML = '';
+
+    const describePackage = pkg => [
+        `Default channel: ${pkg.defaultChannel || 'none'}`,
+        `Channels: ${pkg.channels.join(', ') || 'none'}`,
+        `${pkg.bundleCount} bundle(s)`
+    ];
+    const describeBundle = entry => [`${entry.version || entry.bundle} (${entry.bundle})${entry.channels.length > 0 ? ` in ${entry.channels.join(', ')}` : ''}`];
+    const describeDeprecation = entry => [`${entry.scope === 'package' ? 'Package' : `${entry.scope === 'channel' ? 'Channel' : 'Bundle'} ${entry.name}`}: ${entry.message}`];
+    const groups = [
+        ['Added Operators', 'added', data.addedPackages, describePackage],
+        ['Removed Operators', 'removed', data.removedPackages, describePackage],
+        ['Default Channel Changes', 'changed', data.defaultChannelChanges, entry => [`${entry.from || 'none'} → ${entry.to || 'none'}`]],
+        ['New Channels', 'added', data.addedChannels, entry => [entry.channel]],
+        ['Removed Channels', 'removed', data.removedChannels, entry => [entry.channel]],
+        ['New Bundles', 'added', data.addedBundles, describeBundle],
+        ['Removed Bundles', 'removed', data.removedBundles, describeBundle],
+        ['New Deprecations', 'changed', data.addedDeprecations, describeDeprecation],
+        ['Lifted Deprecations', 'changed', data.removedDeprecations, describeDeprecation]
+    ];
+
+    let changes = 0;
+    for (const [title, type, entries, describe] of groups) {
+        if (entries.length > 0) {
+            historyChanges.appendChild(createChangelogGroup(title, type, entries, describe));
+            changes += entries.length;
+        }
+    }
+    if (changes === 0) {
+        historyChanges.innerHTML = '<p style="color: #666;">No changes between these snapshots.</p>';
+    }
+    historyResults.style.display = 'block';
+}
+
+// Compare the selected snapshots
+async function showCatalogChanges() {
+    const catalog = getSelectedCatalog(compareCatalogSelect, compareCatalogCustomInput);
+    const params = new URLSearchParams({
+        catalog,
+        version: historyVersionSelect.value,
+        from: historyFromSelect.value,
+        to: historyToSelect.value
+    });
+
+    historyButton.disabled = true;
+    historyStatusMessage.style.display = 'none';
+    try {
+        const response = await fetch(`/api/catalog-changelog?${params}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Failed to build catalog changelog');
+        }
+
+        displayChangelog(data);
+        addLogEntry(`Listed changes of ${data.image} between ${data.from.id} and ${data.to.id}`, 'info');
+    } catch (error) {
+        console.error('Error building catalog changelog:', error);
+        showHistoryStatus(`Error: ${error.message}`, 'error');
+    } finally {
+        updateHistoryButtonState();
+    }
+}
+
+if (compareButton) {
+    compareCatalogSelect.addEventListener('change', () => {
+        updateCustomCatalogInput(compareCatalogSelect, compareCatalogCustomInput);
+        updateCompareButtonState();
+        if (compareCatalogSelect.value !== CUSTOM_CATALOG_VALUE) {
+            loadCompareVersions(compareCatalogSelect.value);
+        }
+    });
+    compareCatalogCustomInput.addEventListener('input', updateCompareButtonState);
+    compareCatalogCustomInput.addEventListener('change', () => {
+        loadCompareVersions(compareCatalogCustomInput.value.trim());
+    });
+    compareFromSelect.addEventListener('change', updateCompareButtonState);
+    compareToSelect.addEventListener('change', updateCompareButtonState);
+    compareButton.addEventListener('click', compareCatalogs);
+    historyVersionSelect.addEventListener('change', loadSnapshots);
+    historyFromSelect.addEventListener('change', updateHistoryButtonState);
+    historyToSelect.addEventListener('change', updateHistoryButtonState);
+    historyButton.addEventListener('click', showCatalogChanges);
+}
+
 // Initialize searchable dropdowns when DOM is ready
 function initializeSearchableDropdowns() {
     // Initialize searchable dropdown for "Fetch Operators" tab
-    const result1 = initSearchableDropdown('operator-select-input', 'operator-select', 'operator-select-dropdown');
+    const result1 = initSearchableDropdown('operator-select-input', 'operator-select', 'operator-select-dropdown', () => (
+        operatorSelect.disabled ? null : { catalog: getSelectedCatalog(catalogSelect, catalogCustomInput), version: versionSelect.value }
+    ));
     if (!result1) {
         console.warn('Failed to initialize operator select dropdown');
     }
     
     // Initialize searchable dropdown for "Create ImageSetConfiguration" tab
-    const result2 = initSearchableDropdown('config-operator-select-input', 'config-operator-select', 'config-operator-select-dropdown');
+    const result2 = initSearchableDropdown('config-operator-select-input', 'config-operator-select', 'config-operator-select-dropdown', () => (
+        { catalog: currentConfigCatalog, version: currentConfigVersion }
+    ));
     if (!result2) {
         console.warn('Failed to initialize config operator select dropdown');
     }
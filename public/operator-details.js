@@ -14,10 +14,41 @@ const versionList = document.getElementById('version-list');
 const errorMessage = document.getElementById('error-message');
 const loadingMessage = document.getElementById('loading-message');
 const backButton = document.getElementById('back-button');
+const cachedAtItem = document.getElementById('operator-cached-at-item');
+const cachedAtEl = document.getElementById('operator-cached-at');
+const digestItem = document.getElementById('operator-digest-item');
+const digestEl = document.getElementById('operator-digest');
+const staleWarning = document.getElementById('operator-stale-warning');
+const diagnosticsWarning = document.getElementById('operator-diagnostics');
+const diagnosticsSummary = document.getElementById('operator-diagnostics-summary');
+const diagnosticsList = document.getElementById('operator-diagnostics-list');
+const operatorIconEl = document.getElementById('operator-icon');
+const displayNameEl = document.getElementById('operator-display-name');
+const metadataEl = document.getElementById('operator-metadata');
+const descriptionEl = document.getElementById('operator-description');
+const bundleDetailsEl = document.getElementById('bundle-details');
+const deprecationWarning = document.getElementById('operator-deprecation');
+const channelDeprecationEl = document.getElementById('channel-deprecation');
+const pathFromChannel = document.getElementById('path-from-channel');
+const pathFromVersion = document.getElementById('path-from-version');
+const pathToChannel = document.getElementById('path-to-channel');
+const pathToVersion = document.getElementById('path-to-version');
+const pathViaInput = document.getElementById('path-via-input');
+const pathButton = document.getElementById('path-button');
+const pathResult = document.getElementById('path-result');
+const availabilityButton = document.getElementById('availability-button');
+const availabilityFetchButton = document.getElementById('availability-fetch-button');
+const availabilityStatus = document.getElementById('availability-status');
+const availabilityMatrix = document.getElementById('availability-matrix');
 
 // Store operator data
 let operatorData = null;
 
+// Last availability matrix from /api/operator-availability
+let availabilityData = null;
+// Whether missing catalogs are being fetched for the matrix
+let availabilityFetching = false;
+
 // Initialize page
 async function init() {
     // Validate URL parameters
@@ -51,7 +82,12 @@ async function loadOperatorDetails() {
         operatorData = data;
 
         // Populate UI
+        displayCacheStatus(data.cache);
+        displayDiagnostics(data.diagnostics);
+        displayMetadata(data.metadata);
+        displayPackageDeprecation(data.deprecations);
         populateChannels(data);
+        populateUpgradePathForm(data);
         showLoading(false);
 
     } catch (error) {
@@ -61,6 +97,139 @@ async function loadOperatorDetails() {
     }
 }
 
+// Show when the catalog was cached and whether it is stale
+function displayCacheStatus(cache) {
+    if (!cache) return;
+
+    if (cache.cachedAt) {
+        cachedAtEl.textContent = new Date(cache.cachedAt).toLocaleString();
+        cachedAtItem.style.display = 'flex';
+    }
+    if (cache.digest) {
+        digestEl.textContent = cache.digest;
+        digestEl.title = cache.digest;
+        digestItem.style.display = 'flex';
+    }
+    staleWarning.style.display = cache.stale === true ? 'block' : 'none';
+}
+
+// List the catalog files and objects the server could not parse
+function displayDiagnostics(diagnostics) {
+    if (!diagnostics || diagnostics.length === 0) {
+        diagnosticsWarning.style.display = 'none';
+        return;
+    }
+
+    diagnosticsSummary.textContent = `The catalog data for this operator is incomplete: ${diagnostics.length} problem(s) were found while parsing it.`;
+    diagnosticsList.innerHTML = '';
+    diagnostics.forEach(diagnostic => {
+        const item = document.createElement('li');
+        const location = diagnostic.line ? `${diagnostic.file}:${diagnostic.line} (offset ${diagnostic.offset})` : diagnostic.file;
+        item.textContent = `${location}: ${diagnostic.message}`;
+        diagnosticsList.appendChild(item);
+    });
+    diagnosticsWarning.style.display = 'block';
+}
+
+// Show the deprecation message of the whole package
+function displayPackageDeprecation(deprecations) {
+    if (deprecations && deprecations.package) {
+        deprecationWarning.textContent = `This operator is deprecated: ${deprecations.package}`;
+        deprecationWarning.style.display = 'block';
+    } else {
+        deprecationWarning.style.display = 'none';
+    }
+}
+
+// Build a text node for the metadata section
+function createText(text) {
+    const span = document.createElement('span');
+    span.textContent = text;
+    return span;
+}
+
+// Build a link that only opens http(s) and mailto URLs, showing plain text otherwise
+function createLink(url, text) {
+    if (!/^(https?:\/\/|mailto:)/i.test(url)) {
+        return createText(text);
+    }
+    const link = document.createElement('a');
+    link.href = url;
+    link.textContent = text;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    return link;
+}
+
+// Add a labelled row to the metadata section
+function addMetadataItem(label, valueNode) {
+    const item = document.createElement('div');
+    item.className = 'info-item';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'info-label';
+    labelEl.textContent = label;
+    valueNode.classList.add('info-value');
+    item.append(labelEl, valueNode);
+    metadataEl.appendChild(item);
+}
+
+// Show the package description, icon and CSV metadata
+function displayMetadata(metadata) {
+    if (!metadata) return;
+
+    if (metadata.icon) {
+        operatorIconEl.src = `data:${metadata.icon.mediatype};base64,${metadata.icon.base64data}`;
+        operatorIconEl.style.display = 'block';
+    }
+    if (metadata.displayName && metadata.displayName !== operator) {
+        displayNameEl.textContent = metadata.displayName;
+        displayNameEl.style.display = 'block';
+    }
+
+    metadataEl.innerHTML = '';
+    if (metadata.provider) {
+        addMetadataItem('Provider:', createLink(metadata.provider.url || '', metadata.provider.name));
+    }
+    if (metadata.capabilities) {
+        addMetadataItem('Capability:', createText(metadata.capabilities));
+    }
+    if (metadata.categories.length > 0) {
+        const tags = document.createElement('div');
+        tags.className = 'category-tags';
+        metadata.categories.forEach(category => {
+            const tag = document.createElement('span');
+            tag.className = 'category-tag';
+            tag.textContent = category;
+            tags.appendChild(tag);
+        });
+        addMetadataItem('Categories:', tags);
+    }
+    if (metadata.repository) {
+        addMetadataItem('Repository:', createLink(metadata.repository, metadata.repository));
+    }
+    if (metadata.maintainers.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'maintainer-list';
+        metadata.maintainers.forEach(maintainer => {
+            const item = document.createElement('li');
+            item.appendChild(maintainer.email
+                ? createLink(`mailto:${maintainer.email}`, maintainer.name || maintainer.email)
+                : createText(maintainer.name));
+            list.appendChild(item);
+        });
+        addMetadataItem('Maintainers:', list);
+    }
+    if (metadata.bundle) {
+        addMetadataItem('From bundle:', createText(metadata.bundle));
+    }
+    metadataEl.style.display = metadataEl.children.length > 0 ? 'flex' : 'none';
+
+    if (metadata.description) {
+        descriptionEl.textContent = metadata.description;
+        descriptionEl.style.display = 'block';
+    }
+}
+
 // Populate channels dropdown and default channel
 function populateChannels(data) {
     // Set default channel
@@ -77,7 +246,7 @@ function populateChannels(data) {
         data.channels.forEach(channel => {
             const option = document.createElement('option');
             option.value = channel.name;
-            option.textContent = channel.name;
+            option.textContent = channel.deprecation ? `${channel.name} (Deprecated)` : channel.name;
             if (channel.name === data.defaultChannel) {
                 option.selected = true;
             }
@@ -91,7 +260,7 @@ function populateChannels(data) {
         if (data.defaultChannel) {
             const defaultChannelData = data.channels.find(c => c.name === data.defaultChannel);
             if (defaultChannelData) {
-                displayVersions(defaultChannelData.versions);
+                displayVersions(defaultChannelData);
             }
         }
     } else {
@@ -100,8 +269,17 @@ function populateChannels(data) {
     }
 }
 
-// Display versions for selected channel
-function displayVersions(versions) {
+// Display versions for selected channel, marking the channel head, the highest version and
+// deprecated versions
+function displayVersions(channel) {
+    const versions = channel.versions;
+    if (channel.deprecation) {
+        channelDeprecationEl.textContent = `Channel ${channel.name} is deprecated: ${channel.deprecation}`;
+        channelDeprecationEl.style.display = 'block';
+    } else {
+        channelDeprecationEl.style.display = 'none';
+    }
+
     if (!versions || versions.length === 0) {
         versionList.innerHTML = '<div class="version-list-placeholder">No versions available for this channel</div>';
         return;
@@ -110,27 +288,427 @@ function displayVersions(versions) {
     versionList.innerHTML = '';
     versions.forEach(version => {
         const versionItem = document.createElement('div');
-        versionItem.className = 'version-item';
+        versionItem.className = 'version-item clickable';
+        versionItem.title = 'Show bundle details';
         versionItem.innerHTML = `<span class="version-name">${version}</span>`;
+        if (version === channel.headVersion) {
+            versionItem.innerHTML += '<span class="version-badge head" title="The version OLM upgrades to in this channel">head</span>';
+        }
+        if (version === channel.highestVersion && version !== channel.headVersion) {
+            versionItem.innerHTML += '<span class="version-badge highest" title="Highest version, but not the channel head">highest</span>';
+        }
+        const deprecation = channel.deprecatedVersions && channel.deprecatedVersions[version];
+        if (deprecation) {
+            const badge = document.createElement('span');
+            badge.className = 'version-badge deprecated';
+            badge.textContent = 'deprecated';
+            badge.title = deprecation;
+            versionItem.appendChild(badge);
+        }
+        versionItem.addEventListener('click', () => {
+            versionList.querySelectorAll('.version-item.selected').forEach(item => item.classList.remove('selected'));
+            versionItem.classList.add('selected');
+            loadBundleDetails(version);
+        });
         versionList.appendChild(versionItem);
     });
 }
 
+// Load and show the details of one bundle
+async function loadBundleDetails(bundle) {
+    bundleDetailsEl.className = 'bundle-details';
+    bundleDetailsEl.textContent = 'Loading bundle details...';
+    bundleDetailsEl.style.display = 'block';
+
+    try {
+        const params = new URLSearchParams({ catalog, version, operator, bundle });
+        const response = await fetch(`/api/bundle-details?${params}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Failed to load bundle details');
+        }
+        displayBundleDetails(data.bundle);
+    } catch (error) {
+        console.error('Error loading bundle details:', error);
+        bundleDetailsEl.className = 'bundle-details error';
+        bundleDetailsEl.textContent = error.message;
+    }
+}
+
+// Add a titled list to the bundle details, or a placeholder when it is empty
+function addBundleList(title, items, format) {
+    const heading = document.createElement('h5');
+    heading.textContent = `${title} (${items.length})`;
+    bundleDetailsEl.appendChild(heading);
+    if (items.length === 0) {
+        bundleDetailsEl.appendChild(createText('None'));
+        return;
+    }
+    const list = document.createElement('ul');
+    items.forEach(item => {
+        const listItem = document.createElement('li');
+        listItem.textContent = format(item);
+        list.appendChild(listItem);
+    });
+    bundleDetailsEl.appendChild(list);
+}
+
+// Render a normalised bundle from /api/bundle-details
+function displayBundleDetails(bundle) {
+    bundleDetailsEl.innerHTML = '';
+
+    const title = document.createElement('h4');
+    title.textContent = bundle.name;
+    bundleDetailsEl.appendChild(title);
+
+    if (bundle.deprecation) {
+        const warning = document.createElement('div');
+        warning.className = 'stale-warning channel-deprecation';
+        warning.textContent = `This bundle is deprecated: ${bundle.deprecation}`;
+        bundleDetailsEl.appendChild(warning);
+    }
+
+    const info = document.createElement('div');
+    info.className = 'info-section';
+    const addInfo = (label, value, className) => {
+        const item = document.createElement('div');
+        item.className = 'info-item';
+        const labelEl = document.createElement('span');
+        labelEl.className = 'info-label';
+        labelEl.textContent = label;
+        const valueEl = createText(value || '-');
+        valueEl.className = `info-value${className ? ` ${className}` : ''}`;
+        item.append(labelEl, valueEl);
+        info.appendChild(item);
+    };
+    addInfo('Version:', bundle.version);
+    addInfo('Created:', bundle.createdAt);
+    addInfo('Image:', bundle.image, 'bundle-image');
+    bundleDetailsEl.appendChild(info);
+
+    addBundleList('Channels', bundle.channels, channel => {
+        const fields = [
+            channel.head ? 'head' : null,
+            channel.deprecation ? 'deprecated channel' : null,
+            channel.replaces ? `replaces ${channel.replaces}` : null,
+            channel.skips.length > 0 ? `skips ${channel.skips.join(', ')}` : null,
+            channel.skipRange ? `skipRange ${channel.skipRange}` : null
+        ].filter(Boolean);
+        return fields.length > 0 ? `${channel.name}: ${fields.join('; ')}` : channel.name;
+    });
+    addBundleList('Related Images', bundle.relatedImages, related => related.name ? `${related.name}: ${related.image}` : related.image);
+    addBundleList('Required Packages', bundle.requiredPackages, required => `${required.packageName} ${required.versionRange || ''}`.trim());
+    addBundleList('Provided APIs', bundle.providedAPIs, formatGVK);
+    if (bundle.requiredAPIs.length > 0) {
+        addBundleList('Required APIs', bundle.requiredAPIs, formatGVK);
+    }
+}
+
+// Format an olm.gvk property as Kind (group/version)
+function formatGVK(gvk) {
+    return `${gvk.kind} (${gvk.group ? `${gvk.group}/` : ''}${gvk.version})`;
+}
+
 // Handle channel selection change
 channelSelect.addEventListener('change', (e) => {
     const selectedChannelName = e.target.value;
     
     if (!selectedChannelName) {
         versionList.innerHTML = '<div class="version-list-placeholder">Select a channel to view versions</div>';
+        channelDeprecationEl.style.display = 'none';
         return;
     }
 
     const selectedChannel = operatorData.channels.find(c => c.name === selectedChannelName);
     if (selectedChannel) {
-        displayVersions(selectedChannel.versions);
+        displayVersions(selectedChannel);
     }
 });
 
+// Fill a select with options, keeping the first option (if any) as a placeholder
+function fillSelect(select, values, firstOption) {
+    select.innerHTML = '';
+    if (firstOption) {
+        const option = document.createElement('option');
+        option.value = firstOption.value;
+        option.textContent = firstOption.label;
+        select.appendChild(option);
+    }
+    values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value;
+        select.appendChild(option);
+    });
+}
+
+// Set up the upgrade path form from the operator's channels
+function populateUpgradePathForm(data) {
+    const channelNames = (data.channels || []).map(channel => channel.name);
+    if (channelNames.length === 0) return;
+
+    fillSelect(pathFromChannel, channelNames);
+    fillSelect(pathToChannel, channelNames);
+    if (data.defaultChannel) {
+        pathFromChannel.value = data.defaultChannel;
+        pathToChannel.value = data.defaultChannel;
+    }
+    [pathFromChannel, pathFromVersion, pathToChannel, pathToVersion].forEach(select => {
+        select.disabled = false;
+    });
+    pathButton.disabled = false;
+    updatePathVersions();
+}
+
+// List the versions of the selected channels in the version dropdowns
+function updatePathVersions() {
+    const findVersions = name => {
+        const channel = operatorData.channels.find(c => c.name === name);
+        return channel ? channel.versions : [];
+    };
+    fillSelect(pathFromVersion, findVersions(pathFromChannel.value));
+    fillSelect(pathToVersion, findVersions(pathToChannel.value), { value: '', label: 'Channel head' });
+}
+
+// Show the computed upgrade path, one step per line
+function displayUpgradePath(data) {
+    pathResult.className = 'path-result';
+    pathResult.innerHTML = '';
+
+    const summary = document.createElement('div');
+    summary.className = 'path-summary';
+    const target = `${data.to.version || data.to.bundle}${data.to.head ? ' (channel head)' : ''}`;
+    summary.textContent = data.steps.length === 0
+        ? `${data.from.version || data.from.bundle} is already the target version`
+        : `${data.from.version || data.from.bundle} → ${target}: ${data.hops} upgrade(s) through ${data.channels.join(' → ')}`;
+    pathResult.appendChild(summary);
+
+    const list = document.createElement('ol');
+    list.className = 'path-steps';
+    data.steps.forEach(step => {
+        const item = document.createElement('li');
+        const versions = document.createElement('span');
+        versions.className = 'path-step-versions';
+        if (step.type === 'switch') {
+            item.className = 'path-switch';
+            versions.textContent = `Switch channel: ${step.fromChannel} → ${step.toChannel}`;
+        } else {
+            versions.textContent = `${step.fromVersion || step.from} → ${step.toVersion || step.to} (${step.edge})`;
+        }
+        const explanation = document.createElement('span');
+        explanation.className = 'path-step-explanation';
+        explanation.textContent = step.explanation;
+        item.append(versions, explanation);
+        list.appendChild(item);
+    });
+    pathResult.appendChild(list);
+    pathResult.style.display = 'block';
+}
+
+// Ask the server for the shortest upgrade path
+async function findUpgradePath() {
+    const params = new URLSearchParams({
+        catalog,
+        version,
+        operator,
+        from: pathFromVersion.value,
+        fromChannel: pathFromChannel.value,
+        toChannel: pathToChannel.value
+    });
+    if (pathToVersion.value) {
+        params.set('to', pathToVersion.value);
+    }
+    if (pathViaInput.value.trim()) {
+        params.set('via', pathViaInput.value.trim());
+    }
+
+    pathButton.disabled = true;
+    try {
+        const response = await fetch(`/api/upgrade-path?${params}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Failed to compute upgrade path');
+        }
+        displayUpgradePath(data);
+    } catch (error) {
+        console.error('Error computing upgrade path:', error);
+        pathResult.className = 'path-result error';
+        pathResult.textContent = error.message;
+        pathResult.style.display = 'block';
+    } finally {
+        pathButton.disabled = false;
+    }
+}
+
+pathFromChannel.addEventListener('change', updatePathVersions);
+pathToChannel.addEventListener('change', updatePathVersions);
+pathButton.addEventListener('click', findUpgradePath);
+
+// Show a message above the availability matrix, or hide it without one
+function showAvailabilityStatus(message, type = '') {
+    availabilityStatus.textContent = message || '';
+    availabilityStatus.className = `availability-status ${type}`;
+    availabilityStatus.style.display = message ? 'block' : 'none';
+}
+
+// Ask the server where the operator is available
+// With only, the given catalog version is fetched and checked instead of the whole matrix
+async function requestAvailability(only) {
+    const params = new URLSearchParams({ operator });
+    if (only) {
+        params.set('catalogs', only.catalog);
+        params.set('versions', only.version);
+        params.set('fetch', 'true');
+    }
+
+    const response = await fetch(`/api/operator-availability?${params}`);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to check operator availability');
+    }
+    return data;
+}
+
+// Fill one cell of the availability matrix
+function fillAvailabilityCell(td, cell) {
+    td.className = cell.status;
+
+    if (cell.status === 'available') {
+        const link = document.createElement('a');
+        link.href = `operator-details.html?catalog=${encodeURIComponent(cell.catalog)}&version=${encodeURIComponent(cell.version)}&operator=${encodeURIComponent(operator)}`;
+        link.title = `Channels: ${cell.channels.join(', ')}`;
+        const channel = document.createElement('span');
+        channel.className = 'availability-channel';
+        channel.textContent = cell.defaultChannel || 'no default channel';
+        const head = document.createElement('span');
+        head.className = 'availability-head';
+        head.textContent = cell.headVersion || '-';
+        link.appendChild(channel);
+        link.appendChild(head);
+        td.appendChild(link);
+        if (cell.deprecated) {
+            td.classList.add('deprecated');
+            td.title = `Deprecated: ${cell.deprecated}`;
+        }
+    } else if (cell.status === 'not-cached') {
+        td.appendChild(document.createTextNode('Not cached'));
+        const button = document.createElement('button');
+        button.className = 'availability-cell-button';
+        button.textContent = 'Fetch';
+        button.disabled = availabilityFetching;
+        button.addEventListener('click', () => fetchAvailabilityCells([cell]));
+        td.appendChild(document.createElement('br'));
+        td.appendChild(button);
+    } else if (cell.status === 'absent') {
+        td.textContent = 'Not in catalog';
+    } else if (cell.status === 'unpublished') {
+        td.textContent = '—';
+        td.title = 'The catalog is not published for this version';
+    } else {
+        td.textContent = 'Error';
+        td.title = cell.error || '';
+    }
+
+    if (cell.catalog === catalog && cell.version === version) {
+        td.classList.add('current');
+    }
+}
+
+// Render the matrix: one row per catalog, one column per OpenShift version
+function displayAvailability(data) {
+    const cells = new Map(data.cells.map(cell => [`${cell.catalog}|${cell.version}`, cell]));
+
+    const table = document.createElement('table');
+    table.className = 'availability-table';
+    const headerRow = document.createElement('tr');
+    const corner = document.createElement('th');
+    corner.textContent = 'Catalog';
+    headerRow.appendChild(corner);
+    data.versions.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column;
+        headerRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    data.catalogs.forEach(entry => {
+        const row = document.createElement('tr');
+        const name = document.createElement('th');
+        name.textContent = entry.label;
+        name.title = entry.image;
+        row.appendChild(name);
+        data.versions.forEach(column => {
+            const td = document.createElement('td');
+            const cell = cells.get(`${entry.catalog}|${column}`);
+            if (cell) {
+                fillAvailabilityCell(td, cell);
+            }
+            row.appendChild(td);
+        });
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+
+    availabilityMatrix.innerHTML = '';
+    availabilityMatrix.appendChild(table);
+
+    const missing = data.cells.filter(cell => cell.status === 'not-cached').length;
+    availabilityFetchButton.style.display = missing > 0 ? 'inline-block' : 'none';
+    availabilityFetchButton.disabled = availabilityFetching;
+    availabilityButton.disabled = availabilityFetching;
+}
+
+// Load the availability matrix from the cached catalogs
+async function loadAvailability() {
+    availabilityButton.disabled = true;
+    showAvailabilityStatus('Checking the cached catalogs...');
+    try {
+        availabilityData = await requestAvailability();
+        displayAvailability(availabilityData);
+        showAvailabilityStatus();
+    } catch (error) {
+        console.error('Error checking operator availability:', error);
+        showAvailabilityStatus(error.message, 'error');
+    } finally {
+        availabilityButton.disabled = false;
+    }
+}
+
+// Fetch the catalogs of the given cells one at a time and update the matrix as each completes
+async function fetchAvailabilityCells(cellsToFetch) {
+    availabilityFetching = true;
+    displayAvailability(availabilityData);
+
+    try {
+        for (const [index, cell] of cellsToFetch.entries()) {
+            showAvailabilityStatus(`Fetching ${cell.image} (${index + 1} of ${cellsToFetch.length}). Pulling a catalog can take a few minutes...`);
+            const data = await requestAvailability(cell);
+            const updated = data.cells[0];
+            availabilityData.cells = availabilityData.cells.map(existing => (
+                existing.catalog === updated.catalog && existing.version === updated.version ? updated : existing
+            ));
+            displayAvailability(availabilityData);
+        }
+        showAvailabilityStatus();
+    } catch (error) {
+        console.error('Error fetching catalog:', error);
+        showAvailabilityStatus(error.message, 'error');
+    } finally {
+        availabilityFetching = false;
+        displayAvailability(availabilityData);
+    }
+}
+
+availabilityButton.addEventListener('click', loadAvailability);
+availabilityFetchButton.addEventListener('click', () => {
+    fetchAvailabilityCells(availabilityData.cells.filter(cell => cell.status === 'not-cached'));
+});
+
 // Show/hide loading message
 function showLoading(show) {
     loadingMessage.style.display = show ? 'block' : 'none';
@@ -1,29 +1,103 @@
 const express = require('express');
 const cors = require('cors');
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs').promises;
+const { readFileSync, createReadStream, createWriteStream } = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const yaml = require('js-yaml');
 const { glob } = require('glob');
+const tar = require('tar');
+const semver = require('semver');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const readline = require('readline');
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Store active SSE connections
-const sseClients = new Set();
+// Store active SSE connections, mapped to the browser session they belong to
+const sseClients = new Map();
 
-// Catalog cache directory
-const CATALOG_CACHE_DIR = path.join(os.tmpdir(), 'operator-catalog-cache');
+// Log events reach only the browser session whose request produced them; events raised
+// outside a request, or explicitly marked global, reach every session. The session id
+// lives in a cookie so every request from a browser, including the EventSource, carries it.
+// Background jobs such as the scheduled refresh log to the console only, apart from global events.
+const LOG_SESSION_COOKIE = 'catalog_viewer_session';
+const logContext = new AsyncLocalStorage();
 
-// Helper function to broadcast log messages to all connected clients
-function broadcastLog(message, type = 'server') {
-    const data = JSON.stringify({ message, type, timestamp: new Date().toISOString() });
-    sseClients.forEach(client => {
+// Recent log events, replayed to an EventSource that reconnects with Last-Event-ID
+const LOG_BUFFER_SIZE = 500;
+const logBuffer = [];
+let lastLogEventId = 0;
+
+// Catalog cache directory; point it at a persistent volume to keep catalogs across restarts
+const CATALOG_CACHE_DIR = process.env.CATALOG_CACHE_DIR || path.join(os.tmpdir(), 'operator-catalog-cache');
+
+// Maximum total size of the catalog cache (e.g. "20G", "500Mi" or bytes); unset means unlimited
+const CACHE_MAX_SIZE = parseSize(process.env.CACHE_MAX_SIZE);
+
+// Largest catalog archive accepted for import (same format as CACHE_MAX_SIZE)
+const IMPORT_MAX_SIZE = parseSize(process.env.IMPORT_MAX_SIZE || '8G');
+
+// Catalog source backend: 'podman' pulls catalog images with podman, 'registry' pulls
+// them with the built-in OCI client, 'local' reads extracted FBC trees
+const CATALOG_SOURCE = process.env.CATALOG_SOURCE || 'podman';
+const LOCAL_CATALOG_DIR = process.env.LOCAL_CATALOG_DIR || '';
+
+// How long a remote digest lookup is reused before the registry is asked again (ms)
+const CACHE_DIGEST_CHECK_INTERVAL = Number(process.env.CACHE_DIGEST_CHECK_INTERVAL || 300) * 1000;
+
+// Registry client settings: credentials file, plain-HTTP registries and image platform
+const REGISTRY_AUTH_FILE = process.env.REGISTRY_AUTH_FILE || '';
+const INSECURE_REGISTRIES = (process.env.INSECURE_REGISTRIES || '').split(',').map(r => r.trim()).filter(Boolean);
+const CATALOG_PLATFORM = process.env.CATALOG_PLATFORM || 'linux/amd64';
+
+// How long discovered catalog versions are reused before the registry is asked again (ms)
+const CATALOG_VERSIONS_TTL = Number(process.env.CATALOG_VERSIONS_TTL || 3600) * 1000;
+
+// Snapshots of each catalog version's parsed model, and how many are kept per catalog version
+const CATALOG_SNAPSHOT_DIR = process.env.CATALOG_SNAPSHOT_DIR || path.join(os.tmpdir(), 'operator-catalog-snapshots');
+const CATALOG_SNAPSHOT_LIMIT = Number(process.env.CATALOG_SNAPSHOT_LIMIT || 30);
+
+// Scheduled refresh: how often catalogs are checked for new content (ms, 0 disables it) and
+// which catalog images (with tag) are checked; by default every cached catalog
+const CATALOG_REFRESH_INTERVAL = Number(process.env.CATALOG_REFRESH_INTERVAL || 0) * 1000;
+const CATALOG_REFRESH_CATALOGS = (process.env.CATALOG_REFRESH_CATALOGS || '').split(',').map(r => r.trim()).filter(Boolean);
+
+// Optional YAML/JSON file listing named catalog images and allowed registries
+const CATALOGS_CONFIG = process.env.CATALOGS_CONFIG || '';
+
+// Helper function to send log messages to the clients of the current session
+// (or to all connected clients for global notices and events outside a request)
+function broadcastLog(message, type = 'server', { global = false } = {}) {
+    const context = logContext.getStore();
+    if (context && context.serverOnly && !global) {
+        console.log(`[${type}] ${message}`);
+        return;
+    }
+    const sessionId = global || !context ? null : context.sessionId;
+    const event = {
+        id: ++lastLogEventId,
+        sessionId,
+        data: JSON.stringify({ message, type, timestamp: new Date().toISOString(), global: sessionId === null })
+    };
+
+    logBuffer.push(event);
+    if (logBuffer.length > LOG_BUFFER_SIZE) {
+        logBuffer.shift();
+    }
+
+    sseClients.forEach((clientSessionId, client) => {
+        if (event.sessionId !== null && event.sessionId !== clientSessionId) {
+            return;
+        }
         try {
-            client.write(`data: ${data}\n\n`);
+            client.write(`id: ${event.id}\ndata: ${event.data}\n\n`);
         } catch (error) {
             console.error('Error sending SSE message:', error);
             sseClients.delete(client);
@@ -31,15 +105,56 @@ function broadcastLog(message, type = 'server') {
     });
 }
 
+// Helper function to read a cookie from a request
+function getCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
+
+// Tag every request with its browser session so its log events reach only that browser
+app.use((req, res, next) => {
+  let sessionId = getCookie(req, LOG_SESSION_COOKIE);
+  if (!sessionId || !/^[\w-]{1,64}$/.test(sessionId)) {
+    sessionId = crypto.randomUUID();
+    res.cookie(LOG_SESSION_COOKIE, sessionId, { httpOnly: true, sameSite: 'lax' });
+  }
+  req.sessionId = sessionId;
+  logContext.run({ sessionId }, next);
+});
+
 app.use(express.static('public'));
 
-// Helper function to execute shell commands
-async function executeCommand(command, options = {}) {
+// Helper function to parse a size such as "20G", "500Mi" or "1048576" into bytes
+function parseSize(value) {
+  if (!value) {
+    return null;
+  }
+
+  // Suffixes are binary: "G" and "Gi" both mean 1024^3
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)i?b?$/i);
+  if (!match) {
+    throw new Error(`Invalid size "${value}". Use bytes or a number with a K, M, G or T suffix`);
+  }
+  const exponent = ['', 'k', 'm', 'g', 't'].indexOf(match[2].toLowerCase());
+  return Math.floor(Number(match[1]) * Math.pow(1024, exponent));
+}
+
+// Helper function to execute commands
+// Arguments are passed straight to the program, never through a shell, so request values
+// cannot inject commands
+async function executeCommand(file, args = [], options = {}) {
   try {
-    const { stdout, stderr } = await execAsync(command, {
+    const { stdout, stderr } = await execFileAsync(file, args, {
       ...options,
       maxBuffer: 10 * 1024 * 1024, // 10MB buffer
     });
@@ -55,7 +170,7 @@ async function executeCommand(command, options = {}) {
 
 // Helper function to get image ID from image name
 async function getImageId(imageName) {
-  const { stdout, success } = await executeCommand(`podman images --format "{{.ID}}" ${imageName}`);
+  const { stdout, success } = await executeCommand('podman', ['images', '--format', '{{.ID}}', imageName]);
   if (!success || !stdout) {
     throw new Error(`Failed to get image ID for ${imageName}`);
   }
@@ -63,6 +178,16 @@ async function getImageId(imageName) {
   return stdout.split('\n')[0].trim();
 }
 
+// Helper function to get the digests of a local podman image (image digest first, then repo digests)
+async function getImageDigests(imageId) {
+  const { stdout, success } = await executeCommand('podman', ['image', 'inspect', '--format', '{{.Digest}}{{range .RepoDigests}} {{.}}{{end}}', imageId]);
+  if (!success || !stdout) {
+    return [];
+  }
+  const digests = stdout.split(/\s+/).map(entry => entry.substring(entry.indexOf('sha256:'))).filter(entry => entry.startsWith('sha256:'));
+  return [...new Set(digests)];
+}
+
 // Helper function to list directories in a path
 async function listDirectories(dirPath) {
   try {
@@ -76,553 +201,4479 @@ async function listDirectories(dirPath) {
   }
 }
 
-// API endpoint to fetch operators
-app.post('/api/fetch-operators', async (req, res) => {
-  const { catalog, version } = req.body;
-
-  // Validate input
-  if (!catalog || !version) {
-    return res.status(400).json({
-      error: 'Missing required fields: catalog and version are required'
-    });
+// Helper function to check whether a path exists
+async function pathExists(targetPath) {
+  try {
+    await fs.access(targetPath);
+    return true;
+  } catch {
+    return false;
   }
+}
 
-  const validCatalogs = [
-    'redhat-operator-index',
-    'certified-operator-index',
-    'community-operator-index',
-    'redhat-marketplace-index'
-  ];
+// ===== Catalog registry =====
+// Catalogs are addressed either by a configured name (e.g. "redhat-operator-index")
+// or by a full image repository reference (e.g. "quay.example.com/mirror/my-index").
+// The version is the image tag (or a sha256 digest).
 
-  if (!validCatalogs.includes(catalog)) {
-    return res.status(400).json({
-      error: `Invalid catalog. Must be one of: ${validCatalogs.join(', ')}`
-    });
-  }
+const DEFAULT_CATALOGS = [
+  { name: 'redhat-operator-index', label: 'Red Hat', image: 'registry.redhat.io/redhat/redhat-operator-index' },
+  { name: 'certified-operator-index', label: 'Certified', image: 'registry.redhat.io/redhat/certified-operator-index' },
+  { name: 'community-operator-index', label: 'Community', image: 'registry.redhat.io/redhat/community-operator-index' },
+  { name: 'redhat-marketplace-index', label: 'Marketplace', image: 'registry.redhat.io/redhat/redhat-marketplace-index' }
+];
 
-  let tempDir = null;
-  let containerId = null;
-  let imageId = null;
+// Image reference grammar (subset of the distribution reference spec)
+const REGISTRY_HOST_PATTERN = /^(localhost|[a-zA-Z0-9-]+(\.[a-zA-Z0-9-]+)+|[a-zA-Z0-9-]+)(:[0-9]+)?$/;
+const REPOSITORY_COMPONENT_PATTERN = /^[a-z0-9]+((\.|_|__|-+)[a-z0-9]+)*$/;
+const TAG_PATTERN = /^[\w][\w.-]{0,127}$/;
+const DIGEST_PATTERN = /^sha256:[a-f0-9]{64}$/;
 
-  try {
-    // Construct image name
-    const imageName = `registry.redhat.io/redhat/${catalog}:${version}`;
-    console.log(`Pulling image: ${imageName}`);
-    broadcastLog(`Pulling image: ${imageName}`, 'info');
-
-    // Step 1: Pull the image
-    broadcastLog('Starting podman pull...', 'info');
-    const pullResult = await executeCommand(`podman pull ${imageName}`);
-    if (!pullResult.success) {
-      broadcastLog(`Failed to pull image: ${pullResult.stderr}`, 'error');
-      throw new Error(`Failed to pull image: ${pullResult.stderr}`);
-    }
-    console.log('Image pulled successfully');
-    broadcastLog('Image pulled successfully', 'success');
-
-    // Step 2: Get image ID
-    broadcastLog('Getting image ID...', 'info');
-    imageId = await getImageId(imageName);
-    console.log(`Image ID: ${imageId}`);
-    broadcastLog(`Image ID: ${imageId}`, 'info');
-
-    // Step 3: Create cache directory structure
-    const cacheKey = `${catalog}-${version}`;
-    const cacheDir = path.join(CATALOG_CACHE_DIR, cacheKey);
-    
-    // Check if already cached
-    let extractPath;
-    try {
-      await fs.access(cacheDir);
-      console.log(`Using cached catalog: ${cacheKey}`);
-      broadcastLog(`Using cached catalog: ${cacheKey}`, 'info');
-      extractPath = path.join(cacheDir, 'configs');
-    } catch {
-      // Not cached, need to extract
-      await fs.mkdir(cacheDir, { recursive: true });
-      console.log(`Created cache directory: ${cacheDir}`);
-      broadcastLog(`Created cache directory: ${cacheDir}`, 'info');
-      extractPath = path.join(cacheDir, 'configs');
-      tempDir = cacheDir; // Mark for potential cleanup on error
-    }
+// Helper function to split an image reference into registry, repository, tag and digest
+function parseImageReference(reference) {
+  if (typeof reference !== 'string' || !reference.trim()) {
+    throw new Error('Image reference must be a non-empty string');
+  }
 
-    // Step 4: Create a container from the image (only if not cached)
-    if (tempDir) {
-      broadcastLog('Creating container from image...', 'info');
-      const createResult = await executeCommand(`podman create --name catalog-temp-${Date.now()} ${imageId}`);
-      if (!createResult.success) {
-        broadcastLog(`Failed to create container: ${createResult.stderr}`, 'error');
-        throw new Error(`Failed to create container: ${createResult.stderr}`);
-      }
-      containerId = createResult.stdout.trim();
-      console.log(`Created container: ${containerId}`);
-      broadcastLog(`Created container: ${containerId}`, 'info');
-    }
+  let remainder = reference.trim();
+  let digest = null;
+  let tag = null;
 
-    // Step 5: Extract /configs directory from container (if not cached)
-    if (tempDir) {
-      broadcastLog('Extracting /configs directory from container...', 'info');
-      const copyResult = await executeCommand(`podman cp ${containerId}:/configs ${tempDir}/`);
-      if (!copyResult.success) {
-        broadcastLog(`Failed to extract configs directory: ${copyResult.stderr}`, 'error');
-        throw new Error(`Failed to extract configs directory: ${copyResult.stderr}`);
-      }
-      console.log('Configs directory extracted successfully');
-      broadcastLog('Configs directory extracted successfully', 'success');
+  const digestIndex = remainder.indexOf('@');
+  if (digestIndex !== -1) {
+    digest = remainder.substring(digestIndex + 1);
+    remainder = remainder.substring(0, digestIndex);
+    if (!DIGEST_PATTERN.test(digest)) {
+      throw new Error(`Invalid digest in image reference: ${reference}`);
     }
+  }
 
-    // Step 6: List operator directories
-    broadcastLog('Scanning for operators...', 'info');
-    const operators = await listDirectories(extractPath);
-    console.log(`Found ${operators.length} operators`);
-    broadcastLog(`Found ${operators.length} operator(s)`, 'success');
-
-    // Step 7: Cleanup container (only if we created one)
-    if (containerId && tempDir) {
-      broadcastLog('Cleaning up container...', 'info');
-      await executeCommand(`podman rm ${containerId}`);
-      console.log('Container removed');
-      broadcastLog('Container removed', 'info');
+  const lastSlash = remainder.lastIndexOf('/');
+  const lastColon = remainder.lastIndexOf(':');
+  if (lastColon > lastSlash) {
+    tag = remainder.substring(lastColon + 1);
+    remainder = remainder.substring(0, lastColon);
+    if (!TAG_PATTERN.test(tag)) {
+      throw new Error(`Invalid tag in image reference: ${reference}`);
     }
+  }
+
+  const components = remainder.split('/');
+  let registry = 'docker.io';
+  // The first component is a registry host if it looks like one (docker.io rules)
+  if (components.length > 1 && (/[.:]/.test(components[0]) || components[0] === 'localhost')) {
+    registry = components.shift();
+  }
+  if (!REGISTRY_HOST_PATTERN.test(registry)) {
+    throw new Error(`Invalid registry host in image reference: ${reference}`);
+  }
+  if (registry === 'docker.io' && components.length === 1) {
+    components.unshift('library');
+  }
+  if (!components.every(component => REPOSITORY_COMPONENT_PATTERN.test(component))) {
+    throw new Error(`Invalid repository in image reference: ${reference}`);
+  }
 
-    // Step 8: Don't cleanup - keep cached for operator details view
-    // Catalog is now cached in CATALOG_CACHE_DIR for later use
+  const repository = components.join('/');
+  return {
+    registry,
+    repository,
+    name: `${registry}/${repository}`,
+    tag,
+    digest
+  };
+}
 
-    // Return operators list
-    res.json({ operators });
+// Helper function to build an image reference from a repository name and a tag or digest
+function formatImageReference(name, version) {
+  return DIGEST_PATTERN.test(version) ? `${name}@${version}` : `${name}:${version}`;
+}
 
-  } catch (error) {
-    console.error('Error fetching operators:', error);
-    broadcastLog(`Error: ${error.message}`, 'error');
+// Helper function to load the catalog registry from CATALOGS_CONFIG (YAML or JSON)
+function loadCatalogRegistry() {
+  let catalogs = DEFAULT_CATALOGS;
+  let allowedRegistries = null;
 
-    // Cleanup on error
-    try {
-      if (containerId) {
-        broadcastLog('Cleaning up container after error...', 'warning');
-        await executeCommand(`podman rm -f ${containerId}`);
-      }
-      if (tempDir) {
-        broadcastLog('Cleaning up temporary directory after error...', 'warning');
-        await fs.rm(tempDir, { recursive: true, force: true });
+  if (CATALOGS_CONFIG) {
+    const config = yaml.load(readFileSync(CATALOGS_CONFIG, 'utf8')) || {};
+    if (config.catalogs !== undefined) {
+      if (!Array.isArray(config.catalogs)) {
+        throw new Error(`${CATALOGS_CONFIG}: "catalogs" must be a list`);
       }
-    } catch (cleanupError) {
-      console.error('Cleanup error:', cleanupError);
-      broadcastLog(`Cleanup error: ${cleanupError.message}`, 'error');
+      catalogs = config.catalogs.map(entry => {
+        if (!entry || !entry.name || !entry.image) {
+          throw new Error(`${CATALOGS_CONFIG}: every catalog needs a name and an image`);
+        }
+        const ref = parseImageReference(entry.image);
+        if (ref.tag || ref.digest) {
+          throw new Error(`${CATALOGS_CONFIG}: catalog image "${entry.image}" must not include a tag or digest`);
+        }
+        return { name: String(entry.name), label: String(entry.label || entry.name), image: ref.name };
+      });
+    }
+    if (config.allowedRegistries !== undefined) {
+      allowedRegistries = config.allowedRegistries;
     }
+  }
 
-    res.status(500).json({
-      error: 'Failed to fetch operators',
-      message: error.message
-    });
+  if (process.env.ALLOWED_CATALOG_REGISTRIES !== undefined) {
+    allowedRegistries = process.env.ALLOWED_CATALOG_REGISTRIES.split(',');
   }
-});
 
-// Server-Sent Events endpoint for real-time logs
-app.get('/api/logs', (req, res) => {
-  // Set headers for SSE
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+  // By default, arbitrary references are allowed from the registries of the named catalogs
+  if (!allowedRegistries) {
+    allowedRegistries = [...new Set(catalogs.map(entry => parseImageReference(entry.image).registry))];
+  }
 
-  // Add client to the set
-  sseClients.add(res);
+  return {
+    catalogs,
+    allowedRegistries: allowedRegistries.map(prefix => String(prefix).trim().replace(/\/+$/, '')).filter(Boolean)
+  };
+}
 
-  // Send initial connection message
-  res.write(`data: ${JSON.stringify({ message: 'Connected to log stream', type: 'info' })}\n\n`);
+const catalogRegistry = loadCatalogRegistry();
 
-  // Handle client disconnect
-  req.on('close', () => {
-    sseClients.delete(res);
-    res.end();
-  });
-});
+// Helper function to check an image repository name against the allow-list
+// An entry matches a whole registry host ("quay.io") or a repository prefix ("quay.io/org")
+function isAllowedCatalogImage(name) {
+  return catalogRegistry.allowedRegistries.some(prefix =>
+    prefix === '*' || name === prefix || name.startsWith(`${prefix}/`)
+  );
+}
 
-// Helper function to parse FBC (File-Based Catalog) directory
-async function parseFBCDirectory(operatorDir) {
-  try {
-    // Find all JSON and YAML files in the operator directory
-    const jsonFiles = await glob('**/*.json', { cwd: operatorDir, absolute: true });
-    const yamlFiles = await glob('**/*.yaml', { cwd: operatorDir, absolute: true });
-    const ymlFiles = await glob('**/*.yml', { cwd: operatorDir, absolute: true });
-    
-    const allFiles = [...jsonFiles, ...yamlFiles, ...ymlFiles];
-    
-    if (allFiles.length === 0) {
-      throw new Error(`No catalog files (json/yaml) found in ${operatorDir}`);
-    }
+// Helper function to build the cache key of a catalog version, e.g. redhat-operator-index-v4.18
+// or quay.example.com_mirror_my-index-v1 for image references
+// Slashes become underscores; other characters that would make two keys alike are
+// percent-encoded (_, : and % in the catalog, - : and % in the version), so the key's last
+// dash always separates the catalog from the version and distinct catalogs never share a key
+function getCatalogCacheKey(catalog, version) {
+  const encode = (value, pattern) => value.replace(pattern, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${encode(catalog, /[%_:]/g).replace(/\//g, '_')}-${encode(version, /[%:-]/g)}`;
+}
 
-    const parsedObjects = [];
-    const hasYaml = yamlFiles.length > 0 || ymlFiles.length > 0;
+// Helper function to move cache directories of the earlier <catalog>-<version> layout to
+// their cache key, which differs when the version is encoded (e.g. a tag with a dash)
+// The longest catalog name a directory starts with is taken as its catalog. Entries with
+// metadata were written under their cache key already and are left alone.
+async function migrateLegacyCacheDirs() {
+  if (!await pathExists(CATALOG_CACHE_DIR)) {
+    return;
+  }
 
-    // Parse all files
-    for (const file of allFiles) {
-      try {
-        const content = await fs.readFile(file, 'utf8');
-        let parsed;
-        
-        if (file.endsWith('.json')) {
-          // Try parsing as single JSON first
-          try {
-            parsed = JSON.parse(content);
-          } catch (parseError) {
-            // If that fails, try parsing as JSON stream
-            // FBC format can have multiple JSON objects separated by newlines or on same line
-            const streamObjects = [];
-            let remainingContent = content.trim();
-            let position = 0;
-            
-            // Try to parse JSON objects from the content
-            while (position < remainingContent.length) {
-              // Skip whitespace
-              while (position < remainingContent.length && /\s/.test(remainingContent[position])) {
-                position++;
-              }
-              
-              if (position >= remainingContent.length) break;
-              
-              // Try to find the end of a JSON object
-              let braceCount = 0;
-              let bracketCount = 0;
-              let inString = false;
-              let escapeNext = false;
-              let startPos = position;
-              let endPos = -1;
-              
-              for (let i = position; i < remainingContent.length; i++) {
-                const char = remainingContent[i];
-                
-                if (escapeNext) {
-                  escapeNext = false;
-                  continue;
-                }
-                
-                if (char === '\\') {
-                  escapeNext = true;
-                  continue;
-                }
-                
-                if (char === '"' && !escapeNext) {
-                  inString = !inString;
-                  continue;
-                }
-                
-                if (!inString) {
-                  if (char === '{') braceCount++;
-                  if (char === '}') braceCount--;
-                  if (char === '[') bracketCount++;
-                  if (char === ']') bracketCount--;
-                  
-                  // If we've closed all braces and brackets, we found an object
-                  if (braceCount === 0 && bracketCount === 0 && (char === '}' || char === ']')) {
-                    endPos = i + 1;
-                    break;
-                  }
-                }
-              }
-              
-              if (endPos > startPos) {
-                try {
-                  const jsonStr = remainingContent.substring(startPos, endPos).trim();
-                  if (jsonStr) {
-                    const obj = JSON.parse(jsonStr);
-                    streamObjects.push(obj);
-                  }
-                  position = endPos;
-                } catch (objError) {
-                  // If parsing this object failed, try to skip to next potential object
-                  // Look for next '{' or '[' that might start a new object
-                  const nextBrace = remainingContent.indexOf('{', position + 1);
-                  const nextBracket = remainingContent.indexOf('[', position + 1);
-                  const nextStart = Math.min(
-                    nextBrace === -1 ? Infinity : nextBrace,
-                    nextBracket === -1 ? Infinity : nextBracket
-                  );
-                  
-                  if (nextStart !== Infinity && nextStart > position) {
-                    position = nextStart;
-                  } else {
-                    // Can't find next object, break
-                    break;
-                  }
-                }
-              } else {
-                // Couldn't find a complete object, break
-                break;
-              }
-            }
-            
-            if (streamObjects.length > 0) {
-              parsed = streamObjects;
-            } else {
-              // Last resort: try splitting by newlines and parsing each
-              const lines = content.trim().split('\n').filter(line => line.trim());
-              for (const line of lines) {
-                try {
-                  const lineObj = JSON.parse(line.trim());
-                  streamObjects.push(lineObj);
-                } catch (lineError) {
-                  // Skip invalid lines
-                }
-              }
-              
-              if (streamObjects.length > 0) {
-                parsed = streamObjects;
-              } else {
-                throw parseError; // Re-throw original error if all parsing attempts failed
-              }
-            }
-          }
-        } else {
-          // YAML file - may contain multiple documents separated by ---
-          try {
-            // Try loading all documents first (multi-document YAML)
-            const allDocs = yaml.loadAll(content);
-            if (allDocs && allDocs.length > 0) {
-              // If multiple documents, use all of them
-              parsed = allDocs;
-            } else {
-              // Fallback to single document
-              parsed = yaml.load(content);
-            }
-          } catch (yamlError) {
-            // If loadAll fails, try single document load
-            try {
-              parsed = yaml.load(content);
-            } catch (singleDocError) {
-              throw new Error(`Failed to parse YAML: ${yamlError.message}`);
-            }
-          }
-        }
-        
-        // Handle both single objects and arrays
-        if (Array.isArray(parsed)) {
-          parsedObjects.push(...parsed);
-        } else {
-          parsedObjects.push(parsed);
-        }
-      } catch (error) {
-        console.warn(`Failed to parse ${file}: ${error.message}`);
-        // Continue with other files
-      }
+  for (const name of await listDirectories(CATALOG_CACHE_DIR)) {
+    const entry = catalogRegistry.catalogs
+      .filter(candidate => name.startsWith(`${candidate.name}-`))
+      .sort((a, b) => b.name.length - a.name.length)[0];
+    if (!entry || name.includes('%') || await pathExists(path.join(CATALOG_CACHE_DIR, name, CACHE_METADATA_FILE))) {
+      continue;
     }
 
-    return parsedObjects;
-  } catch (error) {
-    throw new Error(`Failed to parse FBC directory: ${error.message}`);
+    const key = getCatalogCacheKey(entry.name, name.substring(entry.name.length + 1));
+    if (key !== name && !await pathExists(path.join(CATALOG_CACHE_DIR, key))) {
+      await fs.rename(path.join(CATALOG_CACHE_DIR, name), path.join(CATALOG_CACHE_DIR, key));
+      console.log(`Moved cache directory ${name} to ${key}`);
+    }
   }
 }
 
-// Helper function to extract channels and versions from parsed FBC data
-// Based on FBC format: olm.package, olm.channel, and olm.bundle schemas
-function extractChannelsAndVersions(parsedObjects) {
-  const channels = new Map();
-  let defaultChannel = null;
+// Helper function to resolve a catalog (name or image reference) to its image repository
+// Any tag or digest in a reference is ignored; throws when the catalog is not allowed
+function resolveCatalogImage(catalog) {
+  if (!catalog || typeof catalog !== 'string') {
+    throw new Error('catalog is required');
+  }
 
-  // Find the package object (schema == "olm.package")
-  const packageObj = parsedObjects.find(obj => obj && obj.schema === 'olm.package');
-  
-  if (packageObj) {
-    // Get default channel from package
-    if (packageObj.defaultChannel) {
-      defaultChannel = packageObj.defaultChannel;
-    }
+  const named = catalogRegistry.catalogs.find(entry => entry.name === catalog);
+  if (named) {
+    return { catalog: named.name, image: named.image };
   }
 
-  // Find all channel objects (schema == "olm.channel")
-  const channelObjects = parsedObjects.filter(obj => obj && obj.schema === 'olm.channel');
-  
-  // Create a map of bundle names to versions
-  const bundleVersions = new Map();
-  
-  // Process all bundle objects (schema == "olm.bundle") to extract versions
-  const bundleObjects = parsedObjects.filter(obj => obj && obj.schema === 'olm.bundle');
-  
-  for (const bundle of bundleObjects) {
-    if (bundle.name && bundle.properties && Array.isArray(bundle.properties)) {
-      // Find the olm.package property to get the version
-      const packageProperty = bundle.properties.find(prop => prop.type === 'olm.package');
-      if (packageProperty && packageProperty.value && packageProperty.value.version) {
-        bundleVersions.set(bundle.name, packageProperty.value.version);
-      }
-    }
+  const imported = importedCatalogs.get(catalog);
+  if (imported) {
+    return { catalog: imported.name, image: imported.image, imported: true };
   }
 
-  // Process each channel
-  for (const channelObj of channelObjects) {
-    const channelName = channelObj.name;
-    
-    if (!channelName) continue;
+  const ref = parseImageReference(catalog);
+  const matching = catalogRegistry.catalogs.find(entry => entry.image === ref.name);
+  if (matching) {
+    return { catalog: matching.name, image: matching.image };
+  }
+  if (!isAllowedCatalogImage(ref.name)) {
+    throw new Error(`Catalog image ${ref.name} is not in the allowed registries: ${catalogRegistry.allowedRegistries.join(', ') || 'none'}`);
+  }
+  return { catalog: ref.name, image: ref.name };
+}
 
-    // Initialize channel if not exists
-    if (!channels.has(channelName)) {
-      channels.set(channelName, {
-        name: channelName,
-        versions: []
-      });
-    }
+// Helper function to resolve a catalog (name or image reference) and version to an image
+// Throws when the catalog is unknown, not allowed, or the reference is malformed
+function resolveCatalog(catalog, version) {
+  if (!catalog || typeof catalog !== 'string') {
+    throw new Error('catalog is required');
+  }
+  if (version !== undefined && version !== null && version !== '' &&
+      (typeof version !== 'string' || !(TAG_PATTERN.test(version) || DIGEST_PATTERN.test(version)))) {
+    const shown = typeof version === 'string' ? version.substring(0, 100) : typeof version;
+    throw new Error(`Invalid version "${shown}": must be an image tag (e.g. v4.18) or a sha256 digest`);
+  }
 
-    const channelData = channels.get(channelName);
+  const named = catalogRegistry.catalogs.find(entry => entry.name === catalog);
+  if (named) {
+    if (!version || typeof version !== 'string') {
+      throw new Error('version is required');
+    }
+    const ref = parseImageReference(formatImageReference(named.image, version));
+    return {
+      catalog: named.name,
+      label: named.label,
+      version: ref.digest || ref.tag,
+      image: formatImageReference(ref.name, ref.digest || ref.tag),
+      cacheKey: getCatalogCacheKey(named.name, ref.digest || ref.tag)
+    };
+  }
 
-    // Extract versions from channel entries
-    if (channelObj.entries && Array.isArray(channelObj.entries)) {
-      for (const entry of channelObj.entries) {
-        // Entry name is the bundle name
-        const bundleName = entry.name;
-        
-        if (bundleName) {
-          // Get version from bundleVersions map
-          const version = bundleVersions.get(bundleName);
-          if (version && !channelData.versions.includes(version)) {
-            channelData.versions.push(version);
-          } else if (!version) {
-            // If no version found in bundle properties, use bundle name as fallback
-            if (!channelData.versions.includes(bundleName)) {
-              channelData.versions.push(bundleName);
-            }
-          }
-        }
-      }
+  // Catalogs imported under their own name only have the versions that were imported
+  const imported = importedCatalogs.get(catalog);
+  if (imported) {
+    if (!version || typeof version !== 'string') {
+      throw new Error('version is required');
+    }
+    if (!imported.versions.has(version)) {
+      throw new Error(`Version ${version} of imported catalog ${catalog} has not been imported`);
     }
+    return {
+      catalog: imported.name,
+      label: imported.label,
+      version,
+      image: imported.versions.get(version),
+      cacheKey: getCatalogCacheKey(imported.name, version),
+      imported: true
+    };
   }
 
-  // Sort versions for each channel
-  for (const [channelName, channelData] of channels) {
-    channelData.versions.sort((a, b) => {
-      // Try to sort semantically if possible
-      return b.localeCompare(a, undefined, { numeric: true, sensitivity: 'base' });
-    });
+  const ref = parseImageReference(catalog);
+  const referenceVersion = ref.digest || ref.tag;
+  if (referenceVersion && version && version !== referenceVersion) {
+    throw new Error(`Version "${version}" conflicts with the tag or digest in ${catalog}`);
+  }
+  const resolvedVersion = referenceVersion || version;
+  if (!resolvedVersion || typeof resolvedVersion !== 'string') {
+    throw new Error('version is required');
   }
+  const versionRef = parseImageReference(formatImageReference(ref.name, resolvedVersion));
 
+  // Catalogs that match a configured image are reported by their name
+  const matching = catalogRegistry.catalogs.find(entry => entry.image === ref.name);
+  if (matching) {
+    return resolveCatalog(matching.name, resolvedVersion);
+  }
+
+  if (!isAllowedCatalogImage(ref.name)) {
+    throw new Error(`Catalog image ${ref.name} is not in the allowed registries: ${catalogRegistry.allowedRegistries.join(', ') || 'none'}`);
+  }
+
+  const finalVersion = versionRef.digest || versionRef.tag;
   return {
-    defaultChannel: defaultChannel || (channels.size > 0 ? Array.from(channels.keys())[0] : null),
-    channels: Array.from(channels.values())
+    catalog: ref.name,
+    label: ref.name,
+    version: finalVersion,
+    image: formatImageReference(ref.name, finalVersion),
+    cacheKey: getCatalogCacheKey(ref.name, finalVersion)
   };
 }
 
-// API endpoint to get operator details
-app.get('/api/operator-details', async (req, res) => {
-  const { catalog, version, operator } = req.query;
+// ===== Input validation =====
+// Package, channel and bundle version names from requests end up in filesystem paths and
+// generated YAML, so they are checked against conservative patterns first. Validators
+// return an error message, or null when the value is valid.
 
-  // Validate input
-  if (!catalog || !version || !operator) {
-    return res.status(400).json({
-      error: 'Missing required parameters: catalog, version, and operator are required'
-    });
+const PACKAGE_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,252}$/;
+const CHANNEL_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._+-]{0,252}$/;
+const BUNDLE_VERSION_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._+-]{0,252}$/;
+
+// Helper function to check a name against a pattern
+function validateName(value, pattern, label) {
+  if (typeof value !== 'string' || !value) {
+    return `${label} is required`;
+  }
+  if (!pattern.test(value)) {
+    return `invalid ${label} "${value.substring(0, 100)}"`;
   }
+  return null;
+}
 
-  try {
-    // Construct path to operator directory
-    const cacheKey = `${catalog}-${version}`;
-    const cacheDir = path.join(CATALOG_CACHE_DIR, cacheKey);
-    const operatorDir = path.join(cacheDir, 'configs', operator);
+function validatePackageName(value) {
+  return validateName(value, PACKAGE_NAME_PATTERN, 'package name');
+}
+
+function validateChannelName(value) {
+  return validateName(value, CHANNEL_NAME_PATTERN, 'channel name');
+}
+
+function validateBundleVersion(value) {
+  return validateName(value, BUNDLE_VERSION_PATTERN, 'version');
+}
+
+function validateBundleName(value) {
+  return validateName(value, BUNDLE_VERSION_PATTERN, 'bundle name');
+}
+
+function validateFlag(value) {
+  return typeof value === 'boolean' ? null : 'must be true or false';
+}
+
+// Catalog images of an ImageSetConfiguration are only compared with the configuration's own
+// entries, never pulled, so any reasonably sized string is accepted
+function validateCatalogImageField(value) {
+  if (typeof value !== 'string' || !value || value.length > 1000) {
+    return 'catalog image must be a non-empty string of at most 1000 characters';
+  }
+  return null;
+}
+
+// Helper function to validate a list of objects from a request body
+// fields maps property names to validators; properties listed in optional may be absent
+function validateEntries(entries, label, fields, optional = []) {
+  if (!Array.isArray(entries)) {
+    return `${label} must be an array`;
+  }
+  for (const [index, entry] of entries.entries()) {
+    if (!entry || typeof entry !== 'object') {
+      return `${label}[${index}] must be an object`;
+    }
+    for (const [field, validate] of Object.entries(fields)) {
+      const value = entry[field];
+      if (optional.includes(field) && (value === undefined || value === null || value === '')) {
+        continue;
+      }
+      const error = validate(value);
+      if (error) {
+        return `${label}[${index}].${field}: ${error}`;
+      }
+    }
+  }
+  return null;
+}
+
+// Helper function to get the directory of a package inside a catalog's configs directory
+// Refuses names that would resolve anywhere but a direct child of configsDir
+function resolvePackageDir(configsDir, packageName) {
+  const root = path.resolve(configsDir);
+  const packageDir = path.resolve(root, packageName);
+  if (path.dirname(packageDir) !== root) {
+    throw new Error(`Invalid package name "${packageName}"`);
+  }
+  return packageDir;
+}
+
+// ===== OCI registry client =====
+// Pulls catalog content straight from a registry (OCI distribution API), so the
+// registry catalog source needs neither podman nor a privileged container.
+
+const OCI_INDEX_MEDIA_TYPES = [
+  'application/vnd.oci.image.index.v1+json',
+  'application/vnd.docker.distribution.manifest.list.v2+json'
+];
+const OCI_MANIFEST_MEDIA_TYPES = [
+  'application/vnd.oci.image.manifest.v1+json',
+  'application/vnd.docker.distribution.manifest.v2+json'
+];
+const OCI_LAYER_MEDIA_TYPES = [
+  'application/vnd.oci.image.layer.v1.tar',
+  'application/vnd.oci.image.layer.v1.tar+gzip',
+  'application/vnd.docker.image.rootfs.diff.tar',
+  'application/vnd.docker.image.rootfs.diff.tar.gzip'
+];
+
+// Image label that points at the FBC directory inside catalog images
+const CATALOG_CONFIGS_LABEL = 'operators.operatorframework.io.index.configs.v1';
+
+// Bearer tokens by registry and repository
+const registryTokens = new Map();
+
+// Helper function to list candidate auth files in the order podman reads them
+function getRegistryAuthFiles() {
+  const files = [];
+  if (REGISTRY_AUTH_FILE) {
+    files.push(REGISTRY_AUTH_FILE);
+  }
+  if (process.env.XDG_RUNTIME_DIR) {
+    files.push(path.join(process.env.XDG_RUNTIME_DIR, 'containers', 'auth.json'));
+  }
+  files.push(path.join(os.homedir(), '.config', 'containers', 'auth.json'));
+  files.push(path.join(os.homedir(), '.docker', 'config.json'));
+  return files;
+}
+
+// Helper function to find credentials for an image in the containers auth files
+// Keys may be a registry host ("quay.io"), a repository prefix ("quay.io/org") or a URL
+async function getRegistryCredentials(registry, repository) {
+  const target = `${registry}/${repository}`;
+
+  for (const file of getRegistryAuthFiles()) {
+    let auths;
+    try {
+      auths = JSON.parse(await fs.readFile(file, 'utf8')).auths || {};
+    } catch {
+      continue;
+    }
+
+    let bestMatch = null;
+    for (const [key, entry] of Object.entries(auths)) {
+      let scope = key.replace(/^https?:\/\//, '').replace(/\/+$/, '');
+      if (scope === 'index.docker.io/v1' || scope === 'index.docker.io') {
+        scope = 'docker.io';
+      }
+      const matches = target === scope || target.startsWith(`${scope}/`);
+      if (matches && (!bestMatch || scope.length > bestMatch.scope.length)) {
+        bestMatch = { scope, entry };
+      }
+    }
+
+    if (bestMatch) {
+      const { entry } = bestMatch;
+      if (entry.auth) {
+        const decoded = Buffer.from(entry.auth, 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        return { username: decoded.substring(0, separator), password: decoded.substring(separator + 1) };
+      }
+      if (entry.username && entry.password) {
+        return { username: entry.username, password: entry.password };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Helper function to get the base URL of a registry's distribution API
+function getRegistryBaseUrl(registry) {
+  const host = registry === 'docker.io' ? 'registry-1.docker.io' : registry;
+  const insecure = INSECURE_REGISTRIES.includes(registry);
+  return `${insecure ? 'http' : 'https'}://${host}`;
+}
+
+// Helper function to parse a WWW-Authenticate challenge header
+function parseAuthChallenge(header) {
+  const match = /^(\w+)\s*(.*)$/.exec(header || '');
+  if (!match) return null;
+
+  const params = {};
+  const paramPattern = /(\w+)="([^"]*)"/g;
+  let param;
+  while ((param = paramPattern.exec(match[2])) !== null) {
+    params[param[1]] = param[2];
+  }
+  return { scheme: match[1].toLowerCase(), params };
+}
+
+// Helper function to get a bearer token for pulling from a repository
+async function fetchRegistryToken(challenge, ref, credentials, signal) {
+  const { realm, service } = challenge.params;
+  if (!realm) {
+    throw new Error(`Registry ${ref.registry} sent a bearer challenge without a realm`);
+  }
+
+  const tokenUrl = new URL(realm);
+  if (service) tokenUrl.searchParams.set('service', service);
+  tokenUrl.searchParams.set('scope', challenge.params.scope || `repository:${ref.repository}:pull`);
+
+  const headers = {};
+  if (credentials) {
+    headers.Authorization = `Basic ${Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64')}`;
+  }
+
+  const response = await fetch(tokenUrl, { headers, signal });
+  if (!response.ok) {
+    throw new Error(`Failed to authenticate with ${ref.registry}: HTTP ${response.status}`);
+  }
+  const body = await response.json();
+  const token = body.token || body.access_token;
+  if (!token) {
+    throw new Error(`Registry ${ref.registry} did not return a token`);
+  }
+  return token;
+}
+
+// Helper function to send an authenticated request to a registry
+// Handles both bearer token and basic auth challenges, retrying once after a 401
+async function registryRequest(ref, urlPath, { method = 'GET', accept, signal } = {}) {
+  const url = `${getRegistryBaseUrl(ref.registry)}/v2/${ref.repository}/${urlPath}`;
+  const tokenKey = `${ref.registry}/${ref.repository}`;
+
+  const send = authorization => {
+    const headers = {};
+    if (accept) headers.Accept = accept;
+    if (authorization) headers.Authorization = authorization;
+    return fetch(url, { method, headers, signal, redirect: 'follow' });
+  };
+
+  const cachedToken = registryTokens.get(tokenKey);
+  let response = await send(cachedToken ? `Bearer ${cachedToken}` : null);
+  if (response.status !== 401) {
+    return response;
+  }
+
+  const challenge = parseAuthChallenge(response.headers.get('www-authenticate'));
+  const credentials = await getRegistryCredentials(ref.registry, ref.repository);
+
+  if (challenge && challenge.scheme === 'bearer') {
+    const token = await fetchRegistryToken(challenge, ref, credentials, signal);
+    registryTokens.set(tokenKey, token);
+    response = await send(`Bearer ${token}`);
+  } else if (challenge && challenge.scheme === 'basic' && credentials) {
+    response = await send(`Basic ${Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64')}`);
+  }
+
+  if (response.status === 401) {
+    throw new Error(`Not authorized to pull ${ref.name}. Check the credentials for ${ref.registry} in your auth file`);
+  }
+  return response;
+}
+
+// Helper function to check a registry response and raise a readable error
+async function assertRegistryResponse(response, what) {
+  if (!response.ok) {
+    let detail = '';
+    try {
+      const body = await response.json();
+      if (body.errors && body.errors.length > 0) {
+        detail = `: ${body.errors.map(err => err.message || err.code).join(', ')}`;
+      }
+    } catch {
+      // Body is not a registry error document
+    }
+    throw new Error(`Failed to fetch ${what}: HTTP ${response.status}${detail}`);
+  }
+}
+
+// Helper function to pick the CATALOG_PLATFORM entry of a multi-arch image index
+function selectPlatformManifest(index, imageName) {
+  const [platformOs, architecture] = CATALOG_PLATFORM.split('/');
+  const entry = index.manifests.find(m => m.platform && m.platform.os === platformOs && m.platform.architecture === architecture)
+    || index.manifests.find(m => m.platform && m.platform.os === platformOs);
+  if (!entry) {
+    throw new Error(`Image ${imageName} has no manifest for platform ${CATALOG_PLATFORM}`);
+  }
+  return entry;
+}
+
+// Helper function to resolve an image reference to a single-platform manifest
+// Returns { digest, manifest } where digest is the digest of the reference (index or manifest)
+async function resolveImageManifest(imageName, { signal } = {}) {
+  const ref = parseImageReference(imageName);
+  const accept = [...OCI_INDEX_MEDIA_TYPES, ...OCI_MANIFEST_MEDIA_TYPES].join(', ');
+
+  const response = await registryRequest(ref, `manifests/${ref.digest || ref.tag || 'latest'}`, { accept, signal });
+  await assertRegistryResponse(response, `manifest for ${imageName}`);
+  const digest = response.headers.get('docker-content-digest') || ref.digest;
+  let manifest = await response.json();
+  let mediaType = manifest.mediaType || response.headers.get('content-type');
+
+  // Multi-arch index: pick the manifest for CATALOG_PLATFORM
+  if (OCI_INDEX_MEDIA_TYPES.includes(mediaType) || Array.isArray(manifest.manifests)) {
+    const entry = selectPlatformManifest(manifest, imageName);
+    const platformResponse = await registryRequest(ref, `manifests/${entry.digest}`, { accept: OCI_MANIFEST_MEDIA_TYPES.join(', '), signal });
+    await assertRegistryResponse(platformResponse, `manifest ${entry.digest}`);
+    manifest = await platformResponse.json();
+    mediaType = manifest.mediaType || platformResponse.headers.get('content-type');
+  }
+
+  if (!Array.isArray(manifest.layers)) {
+    throw new Error(`Unsupported manifest type for ${imageName}: ${mediaType}`);
+  }
+
+  return { ref, digest, manifest };
+}
+
+// Helper function to get the current digest of an image tag without downloading it
+async function getRemoteImageDigest(imageName, { signal } = {}) {
+  const ref = parseImageReference(imageName);
+  if (ref.digest) {
+    return ref.digest;
+  }
+
+  const accept = [...OCI_INDEX_MEDIA_TYPES, ...OCI_MANIFEST_MEDIA_TYPES].join(', ');
+  const response = await registryRequest(ref, `manifests/${ref.tag || 'latest'}`, { method: 'HEAD', accept, signal });
+  if (!response.ok) {
+    throw new Error(`Failed to check digest of ${imageName}: HTTP ${response.status}`);
+  }
+  const digest = response.headers.get('docker-content-digest');
+  if (!digest) {
+    throw new Error(`Registry ${ref.registry} did not report a digest for ${imageName}`);
+  }
+  return digest;
+}
+
+// Helper function to list all tags of an image repository, following pagination
+async function listImageTags(imageName, { signal } = {}) {
+  const ref = parseImageReference(imageName);
+  const tags = [];
+  let last = null;
+
+  do {
+    const query = `n=1000${last ? `&last=${encodeURIComponent(last)}` : ''}`;
+    const response = await registryRequest(ref, `tags/list?${query}`, { signal });
+    await assertRegistryResponse(response, `tags of ${ref.name}`);
+    const page = (await response.json()).tags || [];
+    tags.push(...page);
+
+    // The registry announces further pages with a Link header (RFC 5988)
+    const link = response.headers.get('link');
+    last = link && /rel="?next"?/.test(link) && page.length > 0 ? page[page.length - 1] : null;
+  } while (last);
+
+  return tags;
+}
+
+// Helper function to normalize the path of an archive entry
+// Leading slashes are stripped, as tar does on extraction. Returns null for drive-letter paths
+// and paths with a ".." segment, which could leave the target directory
+function normalizeArchivePath(entryPath) {
+  if (/^[a-zA-Z]:/.test(entryPath) || entryPath.split(/[\\/]/).includes('..')) {
+    return null;
+  }
+  return path.posix.normalize(entryPath).replace(/^(\.\/|\/)+/, '');
+}
+
+// Helper function to check whether an archive entry is safe to extract
+// Symlinks and hardlinks could point outside the catalog, so only plain entries are kept
+function isSafeArchiveEntry(entryPath, entry) {
+  return entry.type !== 'SymbolicLink' && entry.type !== 'Link' && normalizeArchivePath(entryPath) !== null;
+}
+
+// Helper function to check that a path is inside a directory
+function isInsideDirectory(dir, target) {
+  return path.resolve(target).startsWith(path.resolve(dir) + path.sep);
+}
+
+// Helper function to apply a layer's whiteout files to the directory below it
+// Whiteouts that would reach outside targetDir are skipped
+async function applyWhiteouts(targetDir, whiteouts) {
+  for (const whiteout of whiteouts) {
+    const dir = path.join(targetDir, path.dirname(whiteout));
+    const name = path.basename(whiteout);
+
+    if (name === '.wh..wh..opq') {
+      // Opaque directory: hide everything from lower layers
+      if (path.resolve(dir) !== path.resolve(targetDir) && !isInsideDirectory(targetDir, dir)) {
+        console.warn(`Skipping whiteout outside the catalog: ${whiteout}`);
+        continue;
+      }
+      for (const entry of await fs.readdir(dir).catch(() => [])) {
+        await fs.rm(path.join(dir, entry), { recursive: true, force: true });
+      }
+    } else {
+      const target = path.join(dir, name.substring('.wh.'.length));
+      if (!isInsideDirectory(targetDir, target)) {
+        console.warn(`Skipping whiteout outside the catalog: ${whiteout}`);
+        continue;
+      }
+      await fs.rm(target, { recursive: true, force: true });
+    }
+  }
+}
+
+// Helper function to read the FBC directory of a catalog image from its config (defaults to /configs)
+function getConfigsPath(imageConfig) {
+  const labels = (imageConfig && imageConfig.config && imageConfig.config.Labels) || {};
+  return labels[CATALOG_CONFIGS_LABEL] ? labels[CATALOG_CONFIGS_LABEL].replace(/^\/+|\/+$/g, '') : 'configs';
+}
+
+// Helper function to unpack the configs of one image layer over the layers below it
+// Each layer is unpacked on its own (in layerDir) so its whiteouts only hide lower layers
+async function extractLayerConfigs(layerStream, { configsDir, layerDir, configsPath, signal }) {
+  await fs.mkdir(layerDir, { recursive: true });
+  const whiteouts = [];
+
+  try {
+    await pipeline(
+      layerStream,
+      tar.x({
+        cwd: layerDir,
+        filter: (entryPath, entry) => {
+          // Links and entries with drive letters or ".." segments are never extracted or applied
+          if (!isSafeArchiveEntry(entryPath, entry)) {
+            return false;
+          }
+          const normalized = normalizeArchivePath(entryPath);
+          if (normalized !== configsPath && !normalized.startsWith(`${configsPath}/`)) {
+            return false;
+          }
+          const relative = normalized.substring(configsPath.length + 1);
+          if (path.basename(relative).startsWith('.wh.')) {
+            whiteouts.push(relative);
+            return false;
+          }
+          return true;
+        }
+      }),
+      { signal }
+    );
+
+    await applyWhiteouts(configsDir, whiteouts);
+    const layerConfigs = path.join(layerDir, configsPath);
+    if (await pathExists(layerConfigs)) {
+      await fs.cp(layerConfigs, configsDir, { recursive: true, force: true, verbatimSymlinks: true });
+    }
+  } finally {
+    await fs.rm(layerDir, { recursive: true, force: true });
+  }
+}
+
+// Helper function to extract the catalog FBC directory of an image into <destDir>/configs
+// Layers are streamed from the registry and only entries below the configs path are written
+async function pullImageConfigs(imageName, destDir, { signal, onProgress } = {}) {
+  const { ref, digest, manifest } = await resolveImageManifest(imageName, { signal });
+
+  // Read the configs location from the image labels (defaults to /configs)
+  let configsPath = 'configs';
+  if (manifest.config && manifest.config.digest) {
+    const configResponse = await registryRequest(ref, `blobs/${manifest.config.digest}`, { signal });
+    await assertRegistryResponse(configResponse, `image config for ${imageName}`);
+    configsPath = getConfigsPath(await configResponse.json());
+  }
+
+  const configsDir = path.join(destDir, 'configs');
+  await fs.mkdir(configsDir, { recursive: true });
+
+  const layers = manifest.layers;
+  for (let index = 0; index < layers.length; index++) {
+    const layer = layers[index];
+    if (!OCI_LAYER_MEDIA_TYPES.includes(layer.mediaType)) {
+      throw new Error(`Unsupported layer media type ${layer.mediaType} in ${imageName}`);
+    }
+
+    if (onProgress) {
+      onProgress({ layer: index + 1, layers: layers.length, size: layer.size, digest: layer.digest });
+    }
+
+    const response = await registryRequest(ref, `blobs/${layer.digest}`, { signal });
+    await assertRegistryResponse(response, `layer ${layer.digest}`);
+    await extractLayerConfigs(Readable.fromWeb(response.body), {
+      configsDir,
+      layerDir: path.join(destDir, `.layer-${index}`),
+      configsPath,
+      signal
+    });
+  }
+
+  return { digest };
+}
+
+// ===== Catalog sources =====
+// Every route reads catalogs through a catalog source. A source exposes
+// openCatalog(catalogRef, { refresh }), taking a catalog resolved by resolveCatalog(), which
+// resolves to { configsDir, cached, cache } where configsDir is the FBC /configs directory of
+// the image and cache describes the cached copy (see getCacheStatus), and
+// listVersions({ catalog, image }), which resolves to the OpenShift versions (vX.Y) available
+// for a catalog. Sources backed by a registry also expose getRemoteDigest(imageName), used to
+// inspect cache entries.
+
+// OpenShift catalog tags look like v4.18; other tags (digests, builds, latest) are ignored
+const CATALOG_VERSION_TAG_PATTERN = /^v\d+\.\d+$/;
+
+// Helper function to sort OpenShift versions, newest first
+function sortCatalogVersions(versions) {
+  return [...new Set(versions)].sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+}
+
+// Helper function to list the OpenShift versions of a catalog from its registry tags
+async function listRegistryCatalogVersions({ image }) {
+  const tags = await listImageTags(image);
+  return sortCatalogVersions(tags.filter(tag => CATALOG_VERSION_TAG_PATTERN.test(tag)));
+}
+
+// ===== Catalog cache =====
+// Each cache entry is <CATALOG_CACHE_DIR>/<cache key>/ holding the extracted configs/
+// tree and a metadata.json recording where and when it came from:
+//   { image, digest, digests, extractedAt, lastAccessedAt, size, source, imported? }
+// digests lists every digest the image is known by (e.g. manifest list and platform
+// manifest), so a remote tag pointing at any of them counts as up to date. size is the
+// entry's size on disk in bytes and lastAccessedAt drives LRU eviction (CACHE_MAX_SIZE).
+// imported is only set for catalogs imported from an archive (see Catalog imports).
+
+const CACHE_METADATA_FILE = 'metadata.json';
+
+// Remote digest lookups by image, reused for CACHE_DIGEST_CHECK_INTERVAL
+const remoteDigestChecks = new Map();
+
+// Extractions in progress by cache key; concurrent requests for a catalog share one
+// Each is { promise, controller, listeners, waiters }: controller aborts the extraction once
+// every waiter has been cancelled, listeners receive its progress
+const catalogExtractions = new Map();
+
+// Requests reading a cached catalog, counted by cache key; the cache limit does not evict
+// a catalog while it is read
+const catalogReaders = new Map();
+
+// Helper function to count a reader of a cached catalog until the returned release is called
+function holdCatalogReader(cacheKey) {
+  catalogReaders.set(cacheKey, (catalogReaders.get(cacheKey) || 0) + 1);
+  let released = false;
+  return () => {
+    if (released) {
+      return;
+    }
+    released = true;
+    const count = catalogReaders.get(cacheKey) - 1;
+    if (count > 0) {
+      catalogReaders.set(cacheKey, count);
+    } else {
+      catalogReaders.delete(cacheKey);
+    }
+  };
+}
+
+// Helper function to read a cache entry's metadata (null for entries without one)
+async function readCacheMetadata(cacheDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(cacheDir, CACHE_METADATA_FILE), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Helper function to write a cache entry's metadata
+async function writeCacheMetadata(cacheDir, metadata) {
+  await fs.writeFile(path.join(cacheDir, CACHE_METADATA_FILE), JSON.stringify(metadata, null, 2));
+}
+
+// Helper function to format a size in bytes for log messages
+function formatSize(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Helper function to add up the size of all files under a directory
+async function getDirectorySize(dirPath) {
+  let total = 0;
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      total += await getDirectorySize(entryPath);
+    } else {
+      total += (await fs.lstat(entryPath)).size;
+    }
+  }
+  return total;
+}
+
+// Helper function to check that a cache key names an entry directly under CATALOG_CACHE_DIR
+// Dot-directories are reserved for work in progress and never listed
+function isValidCacheKey(key) {
+  return typeof key === 'string' && key !== '' && !key.startsWith('.') && path.basename(key) === key;
+}
+
+// Helper function to describe a cache entry on disk (null when it holds no extracted catalog)
+async function readCacheEntry(key) {
+  const cacheDir = path.join(CATALOG_CACHE_DIR, key);
+  if (!await pathExists(path.join(cacheDir, 'configs'))) {
+    return null;
+  }
+
+  let metadata = await readCacheMetadata(cacheDir);
+  if (!metadata || typeof metadata.size !== 'number') {
+    // Entries written before sizes were recorded are measured once
+    const stats = await fs.stat(cacheDir);
+    metadata = { extractedAt: stats.mtime.toISOString(), ...metadata, size: await getDirectorySize(cacheDir) };
+    await writeCacheMetadata(cacheDir, metadata);
+  }
+
+  return {
+    key,
+    image: metadata.image || null,
+    digest: metadata.digest || null,
+    source: metadata.source || null,
+    imported: metadata.imported || null,
+    size: metadata.size,
+    extractedAt: metadata.extractedAt || null,
+    lastAccessedAt: metadata.lastAccessedAt || metadata.extractedAt || null
+  };
+}
+
+// Helper function to list all cache entries, most recently used first
+async function listCacheEntries() {
+  if (!await pathExists(CATALOG_CACHE_DIR)) {
+    return [];
+  }
+
+  const entries = [];
+  for (const key of (await listDirectories(CATALOG_CACHE_DIR)).filter(isValidCacheKey)) {
+    const entry = await readCacheEntry(key);
+    if (entry) {
+      entries.push(entry);
+    }
+  }
+  return entries.sort((a, b) => (b.lastAccessedAt || '').localeCompare(a.lastAccessedAt || ''));
+}
+
+// Helper function to delete a cache entry from disk
+async function removeCacheEntry(key) {
+  const cacheDir = path.join(CATALOG_CACHE_DIR, key);
+  const metadata = await readCacheMetadata(cacheDir);
+  await fs.rm(cacheDir, { recursive: true, force: true });
+  if (metadata && metadata.imported) {
+    forgetImportedCatalog(metadata);
+  }
+}
+
+// Helper function to evict least recently used entries until the cache fits in CACHE_MAX_SIZE
+// keepKey (the catalog being served) is never evicted, even if it alone exceeds the limit,
+// and neither are imported catalogs, which cannot be pulled again, nor catalogs that are being
+// extracted or read
+async function enforceCacheLimit(keepKey) {
+  if (!CACHE_MAX_SIZE) {
+    return [];
+  }
+
+  const entries = await listCacheEntries();
+  let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const evicted = [];
+
+  // listCacheEntries is most recently used first, so evict from the end
+  for (const entry of entries.reverse()) {
+    if (totalSize <= CACHE_MAX_SIZE) {
+      break;
+    }
+    if (entry.key === keepKey || entry.imported || catalogExtractions.has(entry.key) || catalogReaders.has(entry.key)) {
+      continue;
+    }
+    await removeCacheEntry(entry.key);
+    totalSize -= entry.size;
+    evicted.push(entry.key);
+    console.log(`Evicted cached catalog ${entry.key} (${formatSize(entry.size)})`);
+    broadcastLog(`Evicted cached catalog ${entry.key} (${formatSize(entry.size)}) to stay within the cache size limit`, 'info', { global: true });
+  }
+
+  if (totalSize > CACHE_MAX_SIZE) {
+    broadcastLog(`Catalog cache is ${formatSize(totalSize)}, above the ${formatSize(CACHE_MAX_SIZE)} limit, because the current catalog and the catalogs in use exceed it`, 'warning');
+  }
+  return evicted;
+}
+
+// Helper function to look up the remote digest of an image, reusing recent results
+async function checkRemoteDigest(imageName, getRemoteDigest, { force = false } = {}) {
+  const previous = remoteDigestChecks.get(imageName);
+  if (!force && previous && Date.now() - previous.checkedAt < CACHE_DIGEST_CHECK_INTERVAL) {
+    return previous;
+  }
+
+  const check = { digest: null, error: null, checkedAt: Date.now() };
+  try {
+    check.digest = await getRemoteDigest(imageName);
+  } catch (error) {
+    check.error = error.message;
+    console.warn(`Could not check remote digest of ${imageName}: ${error.message}`);
+  }
+  remoteDigestChecks.set(imageName, check);
+  return check;
+}
+
+// Helper function to describe a cache entry for API responses
+// stale is true when the registry now serves a different digest, false when it
+// matches, and null when it could not be determined
+async function getCacheStatus(catalogRef, metadata, getRemoteDigest) {
+  const status = {
+    image: catalogRef.image,
+    cachedAt: metadata ? metadata.extractedAt : null,
+    digest: metadata ? metadata.digest : null,
+    remoteDigest: null,
+    stale: null,
+    checkedAt: null
+  };
+
+  if (!getRemoteDigest) {
+    return status;
+  }
+
+  const check = await checkRemoteDigest(catalogRef.image, getRemoteDigest);
+  status.checkedAt = new Date(check.checkedAt).toISOString();
+  if (check.error) {
+    status.checkError = check.error;
+  } else {
+    status.remoteDigest = check.digest;
+    if (metadata && metadata.digest) {
+      const knownDigests = metadata.digests || [metadata.digest];
+      status.stale = !knownDigests.includes(check.digest);
+    }
+  }
+  return status;
+}
+
+// Helper function to extract a catalog into a private directory and move it into place
+// Readers never see a partial tree: extraction happens in a dot-directory next to the entry,
+// which is renamed over the previous copy (if any) once complete. Any details returned by
+// source.extractCatalog are added to the metadata, and source.name overrides the recorded source.
+async function extractCatalogAtomically(catalogRef, source, { signal, onProgress } = {}) {
+  const { image: imageName, cacheKey } = catalogRef;
+  const cacheDir = path.join(CATALOG_CACHE_DIR, cacheKey);
+  const suffix = `${process.pid}-${Date.now()}`;
+  const workDir = path.join(CATALOG_CACHE_DIR, `.extract-${cacheKey}-${suffix}`);
+
+  await fs.mkdir(CATALOG_CACHE_DIR, { recursive: true });
+  try {
+    const { digest, digests, details } = await source.extractCatalog(imageName, workDir, { signal, onProgress });
+
+    const extractedAt = new Date().toISOString();
+    const metadata = {
+      image: imageName,
+      digest,
+      digests: [...new Set([digest, ...(digests || [])].filter(Boolean))],
+      extractedAt,
+      lastAccessedAt: extractedAt,
+      size: await getDirectorySize(workDir),
+      source: source.name || catalogSource.name,
+      ...details
+    };
+    await writeCacheMetadata(workDir, metadata);
+
+    // Swap the new tree in; a directory can only be renamed over an empty one, so move
+    // the previous copy aside first and delete it afterwards
+    const previousDir = path.join(CATALOG_CACHE_DIR, `.previous-${cacheKey}-${suffix}`);
+    const hadPrevious = await pathExists(cacheDir);
+    if (hadPrevious) {
+      await fs.rename(cacheDir, previousDir);
+    }
+    await fs.rename(workDir, cacheDir);
+    if (hadPrevious) {
+      await fs.rm(previousDir, { recursive: true, force: true });
+    }
+
+    return metadata;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Helper function to remove extraction leftovers from a previous run
+async function cleanupCacheWorkDirs() {
+  if (!await pathExists(CATALOG_CACHE_DIR)) {
+    return;
+  }
+
+  for (const name of await listDirectories(CATALOG_CACHE_DIR)) {
+    if (name.startsWith('.extract-') || name.startsWith('.previous-') || name.startsWith('.import-')) {
+      await fs.rm(path.join(CATALOG_CACHE_DIR, name), { recursive: true, force: true });
+      console.log(`Removed leftover cache directory: ${name}`);
+    }
+  }
+}
+
+// Helper function to wait for a shared extraction on behalf of one caller
+// A cancelled caller stops waiting right away; the extraction itself is only aborted once
+// every caller waiting for it has been cancelled
+async function waitForExtraction(extraction, { signal, onProgress } = {}) {
+  extraction.waiters++;
+  if (onProgress) {
+    extraction.listeners.add(onProgress);
+  }
+
+  let onAbort = null;
+  try {
+    if (!signal) {
+      return await extraction.promise;
+    }
+    signal.throwIfAborted();
+    return await Promise.race([
+      extraction.promise,
+      new Promise((resolve, reject) => {
+        onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+      })
+    ]);
+  } finally {
+    if (onAbort) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    if (onProgress) {
+      extraction.listeners.delete(onProgress);
+    }
+    extraction.waiters--;
+    if (extraction.waiters === 0 && signal && signal.aborted) {
+      extraction.controller.abort(signal.reason);
+    }
+  }
+}
+
+// Helper function to serve a catalog from CATALOG_CACHE_DIR, extracting it on a cache miss
+// or when options.refresh is set. source.extractCatalog(imageName, destDir, { signal, onProgress })
+// must leave the FBC tree in <destDir>/configs and resolve to { digest, digests };
+// source.getRemoteDigest (optional) reports the digest the registry currently serves for the image;
+// the podman and registry sources both ask the registry with a manifest HEAD request.
+// Only one extraction per catalog runs at a time; other callers wait for it.
+// options.signal cancels the caller's wait and options.onProgress receives { step, current, total }.
+async function openCachedCatalog(catalogRef, source, { refresh = false, signal, onProgress } = {}) {
+  const { image: imageName, cacheKey } = catalogRef;
+  const cacheDir = path.join(CATALOG_CACHE_DIR, cacheKey);
+  const configsDir = path.join(cacheDir, 'configs');
+
+  // Check if already cached
+  if (!refresh && await pathExists(configsDir)) {
+    console.log(`Using cached catalog: ${cacheKey}`);
+    broadcastLog(`Using cached catalog: ${cacheKey}`, 'info');
+    if (onProgress) {
+      onProgress({ step: 'Using cached catalog' });
+    }
+
+    const metadata = await readCacheMetadata(cacheDir);
+    await writeCacheMetadata(cacheDir, { ...metadata, lastAccessedAt: new Date().toISOString() });
+    const cache = await getCacheStatus(catalogRef, metadata, source.getRemoteDigest);
+    if (cache.stale) {
+      broadcastLog(`Cached catalog ${cacheKey} is stale: ${imageName} now points to ${cache.remoteDigest}. Refresh the catalog to update it.`, 'warning');
+    }
+    return { configsDir, cached: true, cache };
+  }
+
+  // Join an extraction that is already running (a refresh is satisfied by it too)
+  let extraction = catalogExtractions.get(cacheKey);
+  if (extraction) {
+    console.log(`Waiting for extraction in progress: ${cacheKey}`);
+    broadcastLog(`Catalog ${cacheKey} is already being extracted, waiting for it to finish...`, 'info');
+    if (onProgress) {
+      onProgress({ step: 'Waiting for extraction in progress' });
+    }
+  } else {
+    if (refresh) {
+      broadcastLog(`Refreshing catalog ${cacheKey}...`, 'info');
+    }
+    const controller = new AbortController();
+    const listeners = new Set();
+    const reportProgress = progress => listeners.forEach(listener => listener(progress));
+
+    const promise = (async () => {
+      const metadata = await extractCatalogAtomically(catalogRef, source, { signal: controller.signal, onProgress: reportProgress });
+      broadcastLog(`Cached catalog ${cacheKey} (${formatSize(metadata.size)})`, 'info');
+
+      // A fresh extraction matches the registry as of now
+      if (metadata.digest) {
+        remoteDigestChecks.set(imageName, { digest: metadata.digest, error: null, checkedAt: Date.now() });
+      }
+      await enforceCacheLimit(cacheKey);
+      return metadata;
+    })().finally(() => catalogExtractions.delete(cacheKey));
+
+    extraction = { promise, controller, listeners, waiters: 0 };
+    catalogExtractions.set(cacheKey, extraction);
+  }
+
+  const metadata = await waitForExtraction(extraction, { signal, onProgress });
+  const cache = await getCacheStatus(catalogRef, metadata, source.getRemoteDigest);
+  return { configsDir, cached: false, cache };
+}
+
+// Podman source: pulls the catalog image and copies /configs into CATALOG_CACHE_DIR
+function createPodmanCatalogSource() {
+  // Pull the image and copy its /configs directory into destDir
+  async function extractCatalog(imageName, destDir, { signal, onProgress = () => {} } = {}) {
+    let containerId = null;
+    let createdDestDir = false;
+
+    try {
+      console.log(`Pulling image: ${imageName}`);
+      broadcastLog(`Pulling image: ${imageName}`, 'info');
+
+      // Step 1: Pull the image
+      broadcastLog('Starting podman pull...', 'info');
+      onProgress({ step: 'Pulling image', current: 1, total: 4 });
+      const pullResult = await executeCommand('podman', ['pull', imageName], { signal });
+      signal?.throwIfAborted();
+      if (!pullResult.success) {
+        broadcastLog(`Failed to pull image: ${pullResult.stderr}`, 'error');
+        throw new Error(`Failed to pull image: ${pullResult.stderr}`);
+      }
+      console.log('Image pulled successfully');
+      broadcastLog('Image pulled successfully', 'success');
+
+      // Step 2: Get image ID
+      broadcastLog('Getting image ID...', 'info');
+      const imageId = await getImageId(imageName);
+      console.log(`Image ID: ${imageId}`);
+      broadcastLog(`Image ID: ${imageId}`, 'info');
+
+      // Record the digests the image is known by, for staleness checks
+      const digests = await getImageDigests(imageId);
+      broadcastLog(`Image digest: ${digests[0] || 'unknown'}`, 'info');
+
+      // Step 3: Create extraction directory
+      await fs.mkdir(destDir, { recursive: true });
+      createdDestDir = true;
+      console.log(`Created extraction directory: ${destDir}`);
+      broadcastLog(`Created extraction directory: ${destDir}`, 'info');
+
+      // Step 4: Create a container from the image
+      broadcastLog('Creating container from image...', 'info');
+      onProgress({ step: 'Creating container', current: 2, total: 4 });
+      const createResult = await executeCommand('podman', ['create', '--name', `catalog-temp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, imageId], { signal });
+      if (createResult.success) {
+        containerId = createResult.stdout.trim();
+      }
+      signal?.throwIfAborted();
+      if (!createResult.success) {
+        broadcastLog(`Failed to create container: ${createResult.stderr}`, 'error');
+        throw new Error(`Failed to create container: ${createResult.stderr}`);
+      }
+      console.log(`Created container: ${containerId}`);
+      broadcastLog(`Created container: ${containerId}`, 'info');
+
+      // Step 5: Extract /configs directory from container
+      broadcastLog('Extracting /configs directory from container...', 'info');
+      onProgress({ step: 'Copying /configs from container', current: 3, total: 4 });
+      const copyResult = await executeCommand('podman', ['cp', `${containerId}:/configs`, `${destDir}/`], { signal });
+      signal?.throwIfAborted();
+      if (!copyResult.success) {
+        broadcastLog(`Failed to extract configs directory: ${copyResult.stderr}`, 'error');
+        throw new Error(`Failed to extract configs directory: ${copyResult.stderr}`);
+      }
+      console.log('Configs directory extracted successfully');
+      broadcastLog('Configs directory extracted successfully', 'success');
+
+      // Step 6: Cleanup container
+      broadcastLog('Cleaning up container...', 'info');
+      onProgress({ step: 'Removing container', current: 4, total: 4 });
+      await executeCommand('podman', ['rm', containerId]);
+      console.log('Container removed');
+      broadcastLog('Container removed', 'info');
+
+      return { digest: digests[0] || null, digests };
+    } catch (error) {
+      // Cleanup on error
+      try {
+        if (containerId) {
+          broadcastLog('Cleaning up container after error...', 'warning');
+          await executeCommand('podman', ['rm', '-f', containerId]);
+        }
+        if (createdDestDir) {
+          broadcastLog('Cleaning up temporary directory after error...', 'warning');
+          await fs.rm(destDir, { recursive: true, force: true });
+        }
+      } catch (cleanupError) {
+        console.error('Cleanup error:', cleanupError);
+        broadcastLog(`Cleanup error: ${cleanupError.message}`, 'error');
+      }
+      throw error;
+    }
+  }
+
+  return {
+    name: 'podman',
+    getRemoteDigest: getRemoteImageDigest,
+    listVersions: listRegistryCatalogVersions,
+
+    async openCatalog(catalogRef, options) {
+      // Staleness is checked with a manifest HEAD request to the registry rather than
+      // podman image inspect, using the auth files podman reads
+      return openCachedCatalog(catalogRef, { extractCatalog, getRemoteDigest: getRemoteImageDigest }, options);
+    }
+  };
+}
+
+// Registry source: streams the catalog image layers with the built-in OCI client
+function createRegistryCatalogSource() {
+  async function extractCatalog(imageName, destDir, { signal, onProgress = () => {} } = {}) {
+    try {
+      console.log(`Pulling catalog from registry: ${imageName}`);
+      broadcastLog(`Pulling catalog from registry: ${imageName}`, 'info');
+
+      onProgress({ step: 'Resolving image manifest' });
+      const { digest } = await pullImageConfigs(imageName, destDir, {
+        signal,
+        onProgress: ({ layer, layers, size }) => {
+          const sizeMb = size ? ` (${(size / 1024 / 1024).toFixed(1)} MB)` : '';
+          broadcastLog(`Downloading and extracting layer ${layer}/${layers}${sizeMb}...`, 'info');
+          onProgress({ step: `Downloading and extracting layer ${layer}/${layers}${sizeMb}`, current: layer, total: layers });
+        }
+      });
+
+      console.log(`Catalog extracted: ${imageName} (${digest})`);
+      broadcastLog(`Configs directory extracted successfully (${digest})`, 'success');
+      return { digest, digests: [digest] };
+    } catch (error) {
+      broadcastLog(`Failed to pull catalog: ${error.message}`, 'error');
+      broadcastLog('Cleaning up temporary directory after error...', 'warning');
+      await fs.rm(destDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  return {
+    name: 'registry',
+    getRemoteDigest: getRemoteImageDigest,
+    listVersions: listRegistryCatalogVersions,
+
+    async openCatalog(catalogRef, options) {
+      return openCachedCatalog(catalogRef, { extractCatalog, getRemoteDigest: getRemoteImageDigest }, options);
+    }
+  };
+}
+
+// Local source: reads already-extracted FBC trees from LOCAL_CATALOG_DIR
+// Accepted layouts: <root>/<cache key>/configs (e.g. redhat-operator-index-v4.18/configs)
+// or <root>/<catalog>/<version>/configs
+function createLocalCatalogSource(rootDir) {
+  if (!rootDir) {
+    throw new Error('LOCAL_CATALOG_DIR must be set when CATALOG_SOURCE is "local"');
+  }
+
+  return {
+    name: 'local',
+
+    async openCatalog(catalogRef) {
+      const { catalog, version, cacheKey } = catalogRef;
+      const candidates = [
+        path.join(rootDir, cacheKey, 'configs'),
+        path.join(rootDir, catalog, version, 'configs')
+      ];
+
+      for (const configsDir of candidates) {
+        if (await pathExists(configsDir)) {
+          broadcastLog(`Using local catalog directory: ${configsDir}`, 'info');
+          // Local trees are managed outside the app, so there is nothing to go stale
+          const cache = { image: catalogRef.image, cachedAt: null, digest: null, remoteDigest: null, stale: null, checkedAt: null };
+          return { configsDir, cached: true, cache };
+        }
+      }
+
+      broadcastLog(`No local catalog directory found for ${catalog}:${version}`, 'error');
+      throw new Error(`Catalog ${catalog}:${version} not found under ${rootDir}`);
+    },
+
+    // Versions are the directories present in either layout
+    async listVersions({ catalog }) {
+      const versions = [];
+      const prefix = getCatalogCacheKey(catalog, '');
+      if (await pathExists(rootDir)) {
+        for (const name of await listDirectories(rootDir)) {
+          if (name.startsWith(prefix)) {
+            versions.push(name.substring(prefix.length));
+          }
+        }
+      }
+      const catalogDir = path.join(rootDir, catalog);
+      if (await pathExists(catalogDir)) {
+        versions.push(...await listDirectories(catalogDir));
+      }
+      return sortCatalogVersions(versions.filter(version => CATALOG_VERSION_TAG_PATTERN.test(version)));
+    }
+  };
+}
+
+// Helper function to create the catalog source selected by CATALOG_SOURCE
+function createCatalogSource(sourceName) {
+  switch (sourceName) {
+    case 'podman':
+      return createPodmanCatalogSource();
+    case 'registry':
+      return createRegistryCatalogSource();
+    case 'local':
+      return createLocalCatalogSource(LOCAL_CATALOG_DIR);
+    default:
+      throw new Error(`Unknown CATALOG_SOURCE "${sourceName}". Must be one of: podman, registry, local`);
+  }
+}
+
+const catalogSource = createCatalogSource(CATALOG_SOURCE);
+
+// ===== Catalog imports =====
+// Disconnected sites receive catalogs as files rather than pulling them: `podman save`
+// archives (docker-archive), OCI image layouts, or plain tarballs of an FBC configs directory,
+// optionally gzipped. An import lands in the cache like a pulled catalog, with
+//   imported: { catalog, version, format, fileName }
+// in its metadata. Imported copies are served as they are, whatever CATALOG_SOURCE is and
+// whether or not the registry is reachable. Catalogs imported under a name that is not
+// configured are resolved by that name until their cache entry is evicted.
+
+// Names for imported catalogs; no "/" or ":" so a name never reads as an image reference
+const IMPORT_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,127}$/;
+
+// Imported catalogs that are not configured, by name: { name, label, image, versions }
+// where versions maps each imported version to its image reference
+const importedCatalogs = new Map();
+
+// Helper function to make an imported catalog version resolvable by name
+// Takes cache metadata (or a cache entry); configured catalogs resolve already
+function registerImportedCatalog({ image, imported }) {
+  if (catalogRegistry.catalogs.some(entry => entry.name === imported.catalog)) {
+    return;
+  }
+
+  const record = importedCatalogs.get(imported.catalog)
+    || { name: imported.catalog, label: imported.catalog, image: null, versions: new Map() };
+  record.image = parseImageReference(image).name;
+  record.versions.set(imported.version, image);
+  importedCatalogs.set(imported.catalog, record);
+}
+
+// Helper function to drop an imported catalog version whose cache entry was removed
+function forgetImportedCatalog({ imported }) {
+  const record = importedCatalogs.get(imported.catalog);
+  if (record) {
+    record.versions.delete(imported.version);
+    if (record.versions.size === 0) {
+      importedCatalogs.delete(imported.catalog);
+    }
+  }
+}
+
+// Helper function to register the imported catalogs found in the cache at startup
+async function loadImportedCatalogs() {
+  for (const entry of await listCacheEntries()) {
+    if (entry.imported && entry.image) {
+      registerImportedCatalog(entry);
+    }
+  }
+}
+
+// Helper function to open a catalog through the configured source
+// Imported copies are served from the cache (a refresh of a configured catalog pulls it
+// again instead); catalogs only known from an import have nothing to pull from.
+async function openCatalog(catalogRef, options = {}) {
+  const cacheDir = path.join(CATALOG_CACHE_DIR, catalogRef.cacheKey);
+  const configsDir = path.join(cacheDir, 'configs');
+  const metadata = await readCacheMetadata(cacheDir);
+
+  if (metadata && metadata.imported && (catalogRef.imported || !options.refresh) && await pathExists(configsDir)) {
+    console.log(`Using imported catalog: ${catalogRef.cacheKey}`);
+    broadcastLog(`Using imported catalog: ${catalogRef.cacheKey}`, 'info');
+    if (options.onProgress) {
+      options.onProgress({ step: 'Using imported catalog' });
+    }
+
+    await writeCacheMetadata(cacheDir, { ...metadata, lastAccessedAt: new Date().toISOString() });
+    const cache = await getCacheStatus(catalogRef, metadata, null);
+    return { configsDir, cached: true, cache: { ...cache, imported: metadata.imported } };
+  }
+
+  if (catalogRef.imported) {
+    throw new Error(`Imported catalog ${catalogRef.catalog}:${catalogRef.version} is no longer in the cache, import it again`);
+  }
+  return catalogSource.openCatalog(catalogRef, options);
+}
+
+// Helper function to resolve a path named inside an archive, refusing ones that leave it
+function resolveArchivePath(archiveDir, name) {
+  const resolved = path.resolve(archiveDir, String(name));
+  if (!resolved.startsWith(`${archiveDir}${path.sep}`)) {
+    throw new Error(`Archive refers to a file outside of it: ${name}`);
+  }
+  return resolved;
+}
+
+// Helper function to parse the image name recorded in an archive (null when malformed)
+function parseArchiveReference(reference) {
+  try {
+    return parseImageReference(reference);
+  } catch {
+    return null;
+  }
+}
+
+// Helper function to read a JSON blob of an OCI image layout by digest
+async function readLayoutBlob(archiveDir, digest) {
+  if (typeof digest !== 'string' || !DIGEST_PATTERN.test(digest)) {
+    throw new Error(`Unsupported blob digest in OCI layout: ${digest}`);
+  }
+  return JSON.parse(await fs.readFile(path.join(archiveDir, 'blobs', 'sha256', digest.substring('sha256:'.length)), 'utf8'));
+}
+
+// Helper function to find the FBC tree in an unpacked tarball: a configs directory at the
+// top or under a single top-level directory, or package directories at the top
+async function findConfigsDirectory(archiveDir) {
+  const topLevel = await listDirectories(archiveDir);
+  const candidates = [path.join(archiveDir, 'configs')];
+  if (topLevel.length === 1) {
+    candidates.push(path.join(archiveDir, topLevel[0], 'configs'), path.join(archiveDir, topLevel[0]));
+  }
+  candidates.push(archiveDir);
+
+  for (const candidate of candidates) {
+    if (!await pathExists(candidate)) {
+      continue;
+    }
+    for (const packageName of await listDirectories(candidate)) {
+      const files = await fs.readdir(path.join(candidate, packageName));
+      if (files.some(file => /\.(json|ya?ml)$/.test(file))) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+// Helper function to turn an uploaded archive into an FBC tree in <destDir>/configs
+// The archive is unpacked into archiveDir first. Resolves to { format, digest, image, tag }
+// where image and tag come from the image name recorded in the archive, if any.
+async function unpackCatalogArchive(archivePath, archiveDir, destDir, { signal } = {}) {
+  await fs.mkdir(archiveDir, { recursive: true });
+  await fs.mkdir(destDir, { recursive: true });
+  await pipeline(createReadStream(archivePath), tar.x({ cwd: archiveDir, strict: true, filter: isSafeArchiveEntry }), { signal });
+
+  const configsDir = path.join(destDir, 'configs');
+  let result = null;
+  let layers = null;
+  let configsPath = 'configs';
+
+  if (await pathExists(path.join(archiveDir, 'manifest.json'))) {
+    // docker-archive (podman save): manifest.json lists the image config and layer tarballs
+    const manifest = JSON.parse(await fs.readFile(path.join(archiveDir, 'manifest.json'), 'utf8'));
+    if (!Array.isArray(manifest) || manifest.length === 0 || !Array.isArray(manifest[0].Layers)) {
+      throw new Error('Invalid docker-archive: manifest.json does not describe an image');
+    }
+    if (manifest.length > 1) {
+      throw new Error(`The archive holds ${manifest.length} images, save only the catalog image`);
+    }
+
+    const [image] = manifest;
+    if (image.Config) {
+      configsPath = getConfigsPath(JSON.parse(await fs.readFile(resolveArchivePath(archiveDir, image.Config), 'utf8')));
+    }
+    layers = image.Layers.map(layer => resolveArchivePath(archiveDir, layer));
+
+    const repoTag = (image.RepoTags || [])[0];
+    const ref = repoTag ? parseArchiveReference(repoTag) : null;
+    result = { format: 'docker-archive', digest: null, image: ref && ref.name, tag: ref && ref.tag };
+  } else if (await pathExists(path.join(archiveDir, 'oci-layout'))) {
+    // OCI image layout: index.json points at the manifest (or a multi-arch index) in blobs/
+    const index = JSON.parse(await fs.readFile(path.join(archiveDir, 'index.json'), 'utf8'));
+    if (!Array.isArray(index.manifests) || index.manifests.length === 0) {
+      throw new Error('Invalid OCI layout: index.json lists no images');
+    }
+    const entry = index.manifests.length === 1 ? index.manifests[0] : selectPlatformManifest(index, 'in the OCI layout');
+
+    let manifest = await readLayoutBlob(archiveDir, entry.digest);
+    if (Array.isArray(manifest.manifests)) {
+      manifest = await readLayoutBlob(archiveDir, selectPlatformManifest(manifest, 'in the OCI layout').digest);
+    }
+    if (!Array.isArray(manifest.layers)) {
+      throw new Error(`Unsupported manifest type in OCI layout: ${manifest.mediaType}`);
+    }
+    for (const layer of manifest.layers) {
+      if (!OCI_LAYER_MEDIA_TYPES.includes(layer.mediaType)) {
+        throw new Error(`Unsupported layer media type ${layer.mediaType} in OCI layout`);
+      }
+    }
+
+    if (manifest.config && manifest.config.digest) {
+      configsPath = getConfigsPath(await readLayoutBlob(archiveDir, manifest.config.digest));
+    }
+    layers = manifest.layers.map(layer => path.join(archiveDir, 'blobs', 'sha256', layer.digest.replace(/^sha256:/, '')));
+
+    // The ref.name annotation holds either a full image name or just a tag
+    const annotations = entry.annotations || {};
+    const name = annotations['io.containerd.image.name'] || annotations['org.opencontainers.image.ref.name'] || '';
+    const ref = /[/:]/.test(name) ? parseArchiveReference(name) : null;
+    result = { format: 'oci', digest: entry.digest, image: ref && ref.name, tag: ref ? ref.tag : (TAG_PATTERN.test(name) ? name : null) };
+  }
+
+  if (layers) {
+    await fs.mkdir(configsDir, { recursive: true });
+    for (let index = 0; index < layers.length; index++) {
+      broadcastLog(`Extracting layer ${index + 1}/${layers.length}...`, 'info');
+      await extractLayerConfigs(createReadStream(layers[index]), {
+        configsDir,
+        layerDir: path.join(destDir, `.layer-${index}`),
+        configsPath,
+        signal
+      });
+    }
+  } else {
+    const fbcDir = await findConfigsDirectory(archiveDir);
+    if (!fbcDir) {
+      throw new Error('Unrecognized archive: expected a podman save archive, an OCI image layout or a tarball of an FBC configs directory');
+    }
+    await fs.rename(fbcDir, configsDir);
+    result = { format: 'fbc', digest: null, image: null, tag: null };
+  }
+
+  if ((await listDirectories(configsDir)).length === 0) {
+    throw new Error(`The archive has no catalog content under /${configsPath}`);
+  }
+  return result;
+}
+
+// Helper function to import a catalog archive into the cache under a catalog name
+// Version and image default to those recorded in the archive (the image then to earlier imports)
+// Configured catalog names keep their configured image. Resolves to { catalogRef, metadata }
+async function importCatalogArchive(archivePath, { catalog, version, image, fileName }, { signal } = {}) {
+  const suffix = `${process.pid}-${Date.now()}`;
+  const workDir = path.join(CATALOG_CACHE_DIR, `.import-${suffix}`);
+
+  try {
+    broadcastLog(`Unpacking catalog archive ${fileName}...`, 'info');
+    const unpacked = await unpackCatalogArchive(archivePath, path.join(workDir, 'archive'), path.join(workDir, 'catalog'), { signal });
+    broadcastLog(`Detected ${unpacked.format} archive`, 'info');
+
+    const resolvedVersion = version || unpacked.tag;
+    if (!resolvedVersion) {
+      throw new Error('version is required: the archive does not record an image tag');
+    }
+
+    let catalogRef;
+    if (catalogRegistry.catalogs.some(entry => entry.name === catalog)) {
+      catalogRef = resolveCatalog(catalog, resolvedVersion);
+    } else {
+      const previous = importedCatalogs.get(catalog);
+      const imageName = image || unpacked.image || (previous && previous.image) || catalog;
+      catalogRef = {
+        catalog,
+        label: catalog,
+        version: resolvedVersion,
+        image: formatImageReference(imageName, resolvedVersion),
+        cacheKey: getCatalogCacheKey(catalog, resolvedVersion),
+        imported: true
+      };
+    }
+
+    if (catalogExtractions.has(catalogRef.cacheKey)) {
+      throw new Error(`Catalog ${catalogRef.cacheKey} is being pulled right now, try again once it finishes`);
+    }
+
+    // Hand the unpacked tree to the atomic swap as if a source had just extracted it
+    const imported = { catalog, version: resolvedVersion, format: unpacked.format, fileName };
+    const metadata = await extractCatalogAtomically(catalogRef, {
+      name: 'import',
+      async extractCatalog(imageName, destDir) {
+        await fs.rename(path.join(workDir, 'catalog'), destDir);
+        return { digest: unpacked.digest, digests: [], details: { imported } };
+      }
+    });
+
+    if (catalogRef.imported) {
+      registerImportedCatalog(metadata);
+    }
+    console.log(`Imported catalog ${catalogRef.cacheKey} from ${fileName} (${unpacked.format})`);
+    broadcastLog(`Imported catalog ${catalogRef.cacheKey} (${formatSize(metadata.size)})`, 'success', { global: true });
+    await enforceCacheLimit(catalogRef.cacheKey);
+    return { catalogRef, metadata };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// API endpoint to import a catalog from an archive sent as the request body
+// Query parameters: catalog (name to import under), version, image (repository to reference
+// in ImageSetConfigurations) and filename (for logs); version and image may come from the archive
+app.post('/api/catalog-imports', async (req, res) => {
+  const { catalog, version, image, filename } = req.query;
+  const fileName = typeof filename === 'string' && filename ? path.basename(filename).substring(0, 255) : 'upload';
+
+  const configured = catalogRegistry.catalogs.some(entry => entry.name === catalog);
+  if (!catalog || typeof catalog !== 'string' || (!configured && !IMPORT_NAME_PATTERN.test(catalog))) {
+    return res.status(400).json({
+      error: 'catalog must be a configured catalog name or a lowercase name of letters, digits, ".", "_" and "-"'
+    });
+  }
+  if (version !== undefined && (typeof version !== 'string' || !TAG_PATTERN.test(version))) {
+    return res.status(400).json({ error: 'version must be an image tag, e.g. v4.18' });
+  }
+  let imageName = null;
+  if (image) {
+    try {
+      imageName = parseImageReference(String(image)).name;
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid image: ${error.message}` });
+    }
+  }
+  if (Number(req.headers['content-length']) > IMPORT_MAX_SIZE) {
+    return res.status(413).json({ error: `Archive is larger than the ${formatSize(IMPORT_MAX_SIZE)} import limit` });
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort(new Error('Client disconnected'));
+    }
+  });
+
+  const uploadDir = path.join(CATALOG_CACHE_DIR, `.import-upload-${process.pid}-${Date.now()}`);
+  const archivePath = path.join(uploadDir, 'archive');
+  let received = 0;
+  let tooLarge = false;
+  try {
+    // Stream the upload to disk; chunked uploads are held to the limit as they arrive
+    await fs.mkdir(uploadDir, { recursive: true });
+    await pipeline(
+      req,
+      new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          tooLarge = received > IMPORT_MAX_SIZE;
+          callback(tooLarge ? new Error('Archive too large') : null, chunk);
+        }
+      }),
+      createWriteStream(archivePath),
+      { signal: controller.signal }
+    );
+    if (received === 0) {
+      return res.status(400).json({ error: 'The request body must be the catalog archive' });
+    }
+    console.log(`Received catalog archive ${fileName} (${formatSize(received)})`);
+
+    const { catalogRef, metadata } = await importCatalogArchive(archivePath, {
+      catalog,
+      version,
+      image: imageName,
+      fileName
+    }, { signal: controller.signal });
+
+    res.status(201).json({
+      catalog: catalogRef.catalog,
+      label: catalogRef.label,
+      version: catalogRef.version,
+      image: catalogRef.image,
+      cacheKey: catalogRef.cacheKey,
+      format: metadata.imported.format,
+      digest: metadata.digest,
+      size: metadata.size,
+      packageCount: (await listDirectories(path.join(CATALOG_CACHE_DIR, catalogRef.cacheKey, 'configs'))).length
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`Catalog import of ${fileName} cancelled: client disconnected`);
+      return;
+    }
+    if (tooLarge) {
+      return res.status(413).json({ error: `Archive is larger than the ${formatSize(IMPORT_MAX_SIZE)} import limit` });
+    }
+    console.error('Error importing catalog:', error);
+    broadcastLog(`Failed to import catalog: ${error.message}`, 'error');
+    res.status(500).json({
+      error: 'Failed to import catalog',
+      message: error.message
+    });
+  } finally {
+    await fs.rm(uploadDir, { recursive: true, force: true });
+  }
+});
+
+// ===== Fetch jobs =====
+// Pulling a catalog can take minutes, longer than proxies such as the OpenShift router keep a
+// request open, so the UI starts a background job and polls it. A job is
+//   { id, catalog, version, image, refresh, status, step, progress, error, result, createdAt, updatedAt }
+// where status is running, completed, failed or cancelled, progress is { current, total } when
+// the current step is measurable, and result is the /api/fetch-operators response.
+
+// Finished jobs are kept this long so clients can still read their result (ms)
+const FETCH_JOB_RETENTION = 60 * 60 * 1000;
+
+const fetchJobs = new Map();
+
+// Helper function to list the operators of a catalog, pulling it if needed
+async function fetchCatalogOperators(catalogRef, { refresh = false, signal, onProgress } = {}) {
+  const release = holdCatalogReader(catalogRef.cacheKey);
+  try {
+    // Resolve the catalog through the configured source (pulls it if needed, or when a refresh is forced)
+    const opened = await openCatalog(catalogRef, { refresh, signal, onProgress });
+    const { configsDir, cache } = opened;
+
+    // List operator directories
+    broadcastLog('Scanning for operators...', 'info');
+    if (onProgress) {
+      onProgress({ step: 'Scanning for operators' });
+    }
+    const operators = await listDirectories(configsDir);
+    console.log(`Found ${operators.length} operators`);
+    broadcastLog(`Found ${operators.length} operator(s)`, 'success');
+
+    // Searches use the index, so start building it while the user looks at the list
+    prepareSearchIndex(catalogRef, opened);
+
+    // Catalog stays cached for the operator details view
+    return { operators, catalog: catalogRef.catalog, version: catalogRef.version, image: catalogRef.image, cache };
+  } finally {
+    release();
+  }
+}
+
+// Helper function to describe a job for API responses
+function describeFetchJob(job) {
+  const { controller, ...description } = job;
+  return description;
+}
+
+// Helper function to update a job's state
+function updateFetchJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+}
+
+// Helper function to start a background fetch, or return the running job for the same catalog
+function startFetchJob(catalogRef, { refresh = false } = {}) {
+  if (!refresh) {
+    for (const job of fetchJobs.values()) {
+      if (job.status === 'running' && job.cacheKey === catalogRef.cacheKey) {
+        return job;
+      }
+    }
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    catalog: catalogRef.catalog,
+    version: catalogRef.version,
+    image: catalogRef.image,
+    cacheKey: catalogRef.cacheKey,
+    refresh,
+    status: 'running',
+    step: 'Starting',
+    progress: null,
+    error: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    controller: new AbortController()
+  };
+  fetchJobs.set(job.id, job);
+  console.log(`Started fetch job ${job.id} for ${catalogRef.image}`);
+
+  const onProgress = ({ step, current, total }) => {
+    updateFetchJob(job, { step, progress: total ? { current, total } : null });
+  };
+
+  fetchCatalogOperators(catalogRef, { refresh, signal: job.controller.signal, onProgress })
+    .then(result => {
+      updateFetchJob(job, { status: 'completed', step: 'Completed', progress: null, result });
+    })
+    .catch(error => {
+      if (job.controller.signal.aborted) {
+        console.log(`Fetch job ${job.id} cancelled`);
+        broadcastLog(`Fetch of ${catalogRef.image} cancelled`, 'warning');
+        updateFetchJob(job, { status: 'cancelled', step: 'Cancelled', progress: null, error: 'Fetch cancelled' });
+      } else {
+        console.error(`Fetch job ${job.id} failed:`, error);
+        broadcastLog(`Error: ${error.message}`, 'error');
+        updateFetchJob(job, { status: 'failed', progress: null, error: error.message });
+      }
+    })
+    .finally(() => {
+      setTimeout(() => fetchJobs.delete(job.id), FETCH_JOB_RETENTION).unref();
+    });
+
+  return job;
+}
+
+// API endpoint to start a background fetch job
+app.post('/api/fetch-jobs', (req, res) => {
+  const { catalog, version, refresh } = req.body;
+
+  // Validate input
+  if (!catalog) {
+    return res.status(400).json({
+      error: 'Missing required field: catalog is required'
+    });
+  }
+
+  let catalogRef;
+  try {
+    catalogRef = resolveCatalog(catalog, version);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid catalog: ${error.message}`
+    });
+  }
+
+  const job = startFetchJob(catalogRef, { refresh: refresh === true });
+  res.status(202).json(describeFetchJob(job));
+});
+
+// API endpoint to get the status of a fetch job
+app.get('/api/fetch-jobs/:id', (req, res) => {
+  const job = fetchJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Fetch job not found: ${req.params.id}` });
+  }
+  res.json(describeFetchJob(job));
+});
+
+// API endpoint to cancel a running fetch job
+app.post('/api/fetch-jobs/:id/cancel', (req, res) => {
+  const job = fetchJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Fetch job not found: ${req.params.id}` });
+  }
+  if (job.status !== 'running') {
+    return res.status(409).json({ error: `Fetch job is already ${job.status}` });
+  }
+
+  job.controller.abort(new Error('Fetch cancelled'));
+  updateFetchJob(job, { step: 'Cancelling' });
+  res.json(describeFetchJob(job));
+});
+
+// API endpoint to fetch operators
+// Kept for API clients; the UI uses fetch jobs so long pulls survive proxy timeouts
+app.post('/api/fetch-operators', async (req, res) => {
+  const { catalog, version, refresh } = req.body;
+
+  // Validate input
+  if (!catalog) {
+    return res.status(400).json({
+      error: 'Missing required field: catalog is required'
+    });
+  }
+
+  let catalogRef;
+  try {
+    catalogRef = resolveCatalog(catalog, version);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid catalog: ${error.message}`
+    });
+  }
+
+  // Stop waiting for the pull when the client goes away; the pull itself is aborted
+  // unless another request is still waiting for it
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort(new Error('Client disconnected'));
+    }
+  });
+
+  try {
+    res.json(await fetchCatalogOperators(catalogRef, { refresh: refresh === true, signal: controller.signal }));
+  } catch (error) {
+    console.error('Error fetching operators:', error);
+    broadcastLog(`Error: ${error.message}`, 'error');
+
+    res.status(500).json({
+      error: 'Failed to fetch operators',
+      message: error.message
+    });
+  }
+});
+
+// Server-Sent Events endpoint for real-time logs
+app.get('/api/logs', (req, res) => {
+  // Set headers for SSE
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+
+  // Add client to the set
+  sseClients.set(res, req.sessionId);
+
+  // Send initial connection message
+  res.write(`data: ${JSON.stringify({ message: 'Connected to log stream', type: 'info' })}\n\n`);
+
+  // Replay the events this session missed while disconnected. EventSource sends Last-Event-ID
+  // when it reconnects by itself; the page passes lastEventId when it opens a new stream.
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+  if (lastEventId) {
+    // Ids restart with the server, so an id from a previous run replays the whole buffer
+    const since = lastEventId > lastLogEventId ? 0 : lastEventId;
+    for (const event of logBuffer) {
+      if (event.id > since && (event.sessionId === null || event.sessionId === req.sessionId)) {
+        res.write(`id: ${event.id}\ndata: ${event.data}\n\n`);
+      }
+    }
+  }
+
+  // Handle client disconnect
+  req.on('close', () => {
+    sseClients.delete(res);
+    res.end();
+  });
+});
+
+// ===== FBC parsing =====
+// Catalog files are read as streams of objects: concatenated or newline-delimited JSON values,
+// or multi-document YAML. Each object is parsed on its own, so a malformed one is reported and
+// skipped without losing the rest of the file. Problems are reported as diagnostics
+//   { file, line, offset, message }
+// where file is relative to the catalog's configs directory, line is 1-based and offset
+// counts characters from the start of the file (both null when the whole file failed).
+
+// Diagnostics logged per package; the operator-details response carries all of them
+const FBC_DIAGNOSTICS_LOG_LIMIT = 20;
+
+// Helper function to locate a JSON.parse error within the text it was given
+function getJSONErrorPosition(error, text) {
+  const match = /position (\d+)/.exec(error.message);
+  if (match) {
+    return Number(match[1]);
+  }
+  // Some engines only report the end of the input
+  return /end of (JSON )?input/i.test(error.message) ? text.length : 0;
+}
+
+// Helper function to keep a parsed value as catalog objects, reporting anything that is not one
+function addCatalogValue(value, objects, report) {
+  if (Array.isArray(value)) {
+    value.forEach(item => addCatalogValue(item, objects, report));
+  } else if (value === null || value === undefined) {
+    // Empty YAML documents
+  } else if (typeof value !== 'object') {
+    report(`Expected a catalog object, found ${typeof value}`);
+  } else {
+    if (typeof value.schema !== 'string') {
+      report('Object has no schema and is ignored');
+    }
+    objects.push(value);
+  }
+}
+
+// Helper function to parse a JSON stream file value by value
+// Values are delimited by tracking nesting outside of strings. When an object is not closed, a
+// "{" at the start of a line (where opm puts every top-level object) starts the next one, so a
+// truncated object does not swallow the rest of the file.
+async function parseJSONStreamFile(file, relativePath) {
+  const objects = [];
+  const diagnostics = [];
+  const diagnose = (offset, line, message) => diagnostics.push({ file: relativePath, line, offset, message });
+
+  let offset = 0;
+  let line = 1;
+  let atLineStart = true;
+  let value = null; // { text, offset, line, opener } of the value being read
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let stray = null; // { offset, line } of text found between values
+
+  const finishValue = () => {
+    try {
+      addCatalogValue(JSON.parse(value.text), objects, message => diagnose(value.offset, value.line, message));
+    } catch (error) {
+      const position = getJSONErrorPosition(error, value.text);
+      const before = value.text.substring(0, position);
+      const newlines = before.split('\n').length - 1;
+      diagnose(value.offset + position, value.line + newlines, `Malformed JSON object starting on line ${value.line}: ${error.message.replace(/\s+/g, ' ')}`);
+    }
+    value = null;
+  };
+  const flushStray = () => {
+    if (stray) {
+      diagnose(stray.offset, stray.line, 'Unexpected text outside of a JSON object');
+      stray = null;
+    }
+  };
+
+  for await (const chunk of createReadStream(file, { encoding: 'utf8' })) {
+    let segmentStart = 0;
+
+    for (let i = 0; i < chunk.length; i++, offset++) {
+      const char = chunk[i];
+
+      if (value && !inString && atLineStart && char === '{' && value.opener === '{') {
+        // Unclosed object followed by a new top-level one
+        value.text += chunk.substring(segmentStart, i);
+        diagnose(value.offset, value.line, `Malformed JSON object starting on line ${value.line}: not closed before line ${line}`);
+        value = null;
+      }
+
+      if (!value) {
+        if (char === '{' || char === '[') {
+          flushStray();
+          value = { text: '', offset, line, opener: char };
+          segmentStart = i;
+          depth = 1;
+          inString = false;
+          escaped = false;
+        } else if (!/\s/.test(char) && !stray) {
+          stray = { offset, line };
+        }
+      } else if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"' || char === '\n') {
+          // A raw newline cannot be part of a string; let JSON.parse report it
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) {
+          value.text += chunk.substring(segmentStart, i + 1);
+          finishValue();
+        }
+      }
+
+      if (char === '\n') {
+        line++;
+      }
+      atLineStart = char === '\n';
+    }
+
+    if (value) {
+      value.text += chunk.substring(segmentStart);
+    }
+  }
+
+  if (value) {
+    diagnose(value.offset, value.line, `Malformed JSON object starting on line ${value.line}: unexpected end of file`);
+  }
+  flushStray();
+  return { objects, diagnostics };
+}
+
+// Helper function to parse a multi-document YAML file document by document
+// Documents are split on "---" lines, which can only appear at the start of a line
+async function parseYAMLStreamFile(file, relativePath) {
+  const objects = [];
+  const diagnostics = [];
+
+  let offset = 0;
+  let lineNumber = 0;
+  let document = { lines: [], offset: 0, line: 1 };
+
+  const finishDocument = () => {
+    const text = document.lines.join('\n');
+    const { offset: docOffset, line: docLine } = document;
+    try {
+      addCatalogValue(yaml.load(text), objects, message =>
+        diagnostics.push({ file: relativePath, line: docLine, offset: docOffset, message })
+      );
+    } catch (error) {
+      const mark = error.mark || { line: 0, position: 0 };
+      diagnostics.push({
+        file: relativePath,
+        line: docLine + mark.line,
+        offset: docOffset + mark.position,
+        message: `Malformed YAML document starting on line ${docLine}: ${error.reason || error.message}`
+      });
+    }
+  };
+
+  const lines = readline.createInterface({ input: createReadStream(file, { encoding: 'utf8' }), crlfDelay: Infinity });
+  for await (const text of lines) {
+    lineNumber++;
+    if (/^---(\s|$)/.test(text) && lineNumber > 1) {
+      finishDocument();
+      document = { lines: [], offset, line: lineNumber };
+    }
+    document.lines.push(text);
+    offset += text.length + 1;
+  }
+  finishDocument();
+
+  return { objects, diagnostics };
+}
+
+// Helper function to log the diagnostics of a package, up to FBC_DIAGNOSTICS_LOG_LIMIT
+function reportFBCDiagnostics(packageName, diagnostics) {
+  if (diagnostics.length === 0) {
+    return;
+  }
+
+  broadcastLog(`Catalog data for ${packageName} is incomplete: ${diagnostics.length} problem(s) found while parsing`, 'warning');
+  for (const diagnostic of diagnostics.slice(0, FBC_DIAGNOSTICS_LOG_LIMIT)) {
+    const location = diagnostic.line ? `${diagnostic.file}:${diagnostic.line} (offset ${diagnostic.offset})` : diagnostic.file;
+    console.warn(`${location}: ${diagnostic.message}`);
+    broadcastLog(`${location}: ${diagnostic.message}`, 'warning');
+  }
+  if (diagnostics.length > FBC_DIAGNOSTICS_LOG_LIMIT) {
+    broadcastLog(`...and ${diagnostics.length - FBC_DIAGNOSTICS_LOG_LIMIT} more problem(s) in ${packageName}`, 'warning');
+  }
+}
+
+// Helper function to open a catalog and parse one of its packages
+// Resolves to { objects, diagnostics, cache }; throws when the package does not exist
+async function readCatalogPackage(catalogRef, packageName) {
+  const release = holdCatalogReader(catalogRef.cacheKey);
+  try {
+    // Resolve the catalog through the configured source (fetches it if not cached)
+    const { configsDir, cache } = await openCatalog(catalogRef);
+    const packageDir = resolvePackageDir(configsDir, packageName);
+
+    // Check if operator directory exists
+    if (!(await pathExists(packageDir))) {
+      throw new Error(`Operator '${packageName}' not found in catalog ${catalogRef.image}`);
+    }
+
+    // Parse FBC directory
+    broadcastLog(`Parsing FBC directory for operator: ${packageName}`, 'info');
+    const { objects, diagnostics } = await parseFBCDirectory(packageDir);
+
+    console.log(`Parsed ${objects.length} objects from FBC directory`);
+    reportFBCDiagnostics(packageName, diagnostics);
+    return { objects, diagnostics, cache };
+  } finally {
+    release();
+  }
+}
+
+// Helper function to parse FBC (File-Based Catalog) directory
+// Resolves to { objects, diagnostics }
+async function parseFBCDirectory(operatorDir) {
+  try {
+    // Find all JSON and YAML files in the operator directory
+    const allFiles = (await glob('**/*.{json,yaml,yml}', { cwd: operatorDir, absolute: true })).sort();
+
+    if (allFiles.length === 0) {
+      throw new Error(`No catalog files (json/yaml) found in ${operatorDir}`);
+    }
+
+    const objects = [];
+    const diagnostics = [];
+
+    // Parse all files; a file that cannot be read is reported and the others still count
+    for (const file of allFiles) {
+      const relativePath = path.relative(path.dirname(operatorDir), file);
+      try {
+        const parsed = file.endsWith('.json')
+          ? await parseJSONStreamFile(file, relativePath)
+          : await parseYAMLStreamFile(file, relativePath);
+        objects.push(...parsed.objects);
+        diagnostics.push(...parsed.diagnostics);
+      } catch (error) {
+        diagnostics.push({ file: relativePath, line: null, offset: null, message: `Failed to read file: ${error.message}` });
+      }
+    }
+
+    return { objects, diagnostics };
+  } catch (error) {
+    throw new Error(`Failed to parse FBC directory: ${error.message}`);
+  }
+}
+
+// Helper function to order channel versions newest first
+// Semver versions come first in semver precedence (build metadata breaks ties), then other
+// version strings, then bundle names used for entries without a version
+function compareChannelVersions(a, b, fallbackNames = new Set()) {
+  const rank = value => fallbackNames.has(value) ? 2 : semver.valid(value) ? 0 : 1;
+  const rankDifference = rank(a) - rank(b);
+  if (rankDifference !== 0) {
+    return rankDifference;
+  }
+  if (rank(a) === 0) {
+    return semver.compareBuild(b, a);
+  }
+  return b.localeCompare(a, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Helper function to read the olm.deprecations objects of a package
+// Returns { package, channels, bundles } where package is the deprecation message of the
+// whole package (or null) and channels and bundles map names to their messages
+function extractDeprecations(parsedObjects) {
+  const deprecations = { package: null, channels: {}, bundles: {} };
+  for (const deprecationObj of parsedObjects.filter(obj => obj && obj.schema === 'olm.deprecations')) {
+    for (const entry of Array.isArray(deprecationObj.entries) ? deprecationObj.entries : []) {
+      const reference = entry && entry.reference;
+      if (!reference || typeof reference.schema !== 'string') {
+        continue;
+      }
+      // OLM shows an empty message as a plain deprecation notice
+      const message = typeof entry.message === 'string' && entry.message.trim() ? entry.message.trim() : 'Deprecated';
+      if (reference.schema === 'olm.package') {
+        deprecations.package = message;
+      } else if (reference.schema === 'olm.channel' && typeof reference.name === 'string') {
+        deprecations.channels[reference.name] = message;
+      } else if (reference.schema === 'olm.bundle' && typeof reference.name === 'string') {
+        deprecations.bundles[reference.name] = message;
+      }
+    }
+  }
+  return deprecations;
+}
+
+// Helper function to extract channels and versions from parsed FBC data
+// Based on FBC format: olm.package, olm.channel, and olm.bundle schemas
+// Each channel lists its versions newest first, along with its head from the upgrade graph
+// (the version OLM upgrades to) and its highest version, which are not always the same.
+// Deprecated channels carry their message in deprecation, deprecated versions in deprecatedVersions.
+// bundles maps each version of a channel to its bundle name, for explicit bundle selections.
+function extractChannelsAndVersions(parsedObjects) {
+  const channels = new Map();
+  let defaultChannel = null;
+
+  // Find the package object (schema == "olm.package")
+  const packageObj = parsedObjects.find(obj => obj && obj.schema === 'olm.package');
+  
+  if (packageObj) {
+    // Get default channel from package
+    if (packageObj.defaultChannel) {
+      defaultChannel = packageObj.defaultChannel;
+    }
+  }
+
+  // Find all channel objects (schema == "olm.channel")
+  const channelObjects = parsedObjects.filter(obj => obj && obj.schema === 'olm.channel');
+  
+  // Create a map of bundle names to versions
+  const bundleVersions = getBundleVersions(parsedObjects);
+  const fallbackNames = new Set();
+
+  // Process each channel
+  for (const channelObj of channelObjects) {
+    const channelName = channelObj.name;
+    
+    if (!channelName) continue;
+
+    // Initialize channel if not exists
+    if (!channels.has(channelName)) {
+      channels.set(channelName, {
+        name: channelName,
+        versions: [],
+        bundles: {}
+      });
+    }
+
+    const channelData = channels.get(channelName);
+
+    // Extract versions from channel entries
+    if (channelObj.entries && Array.isArray(channelObj.entries)) {
+      for (const entry of channelObj.entries) {
+        // Entry name is the bundle name
+        const bundleName = entry.name;
+        
+        if (bundleName) {
+          // Get version from bundleVersions map
+          const version = bundleVersions.get(bundleName);
+          channelData.bundles[version || bundleName] = bundleName;
+          if (version && !channelData.versions.includes(version)) {
+            channelData.versions.push(version);
+          } else if (!version) {
+            // If no version found in bundle properties, use bundle name as fallback
+            if (!channelData.versions.includes(bundleName)) {
+              channelData.versions.push(bundleName);
+              fallbackNames.add(bundleName);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Sort versions for each channel, find its head and attach its deprecations
+  const deprecations = extractDeprecations(parsedObjects);
+  const channelGraphs = new Map(buildUpgradeGraph(parsedObjects).channels.map(graph => [graph.name, graph]));
+  for (const [channelName, channelData] of channels) {
+    channelData.versions.sort((a, b) => compareChannelVersions(a, b, fallbackNames));
+
+    // A channel with several heads has no single head; the highest of them is the latest version
+    const graph = channelGraphs.get(channelName);
+    const headVersions = graph
+      ? graph.entries.filter(entry => graph.heads.includes(entry.name)).map(entry => entry.version || entry.name)
+      : [];
+    headVersions.sort((a, b) => compareChannelVersions(a, b, fallbackNames));
+    channelData.head = graph ? graph.head : null;
+    channelData.headVersion = channelData.head ? headVersions[0] : null;
+    channelData.highestVersion = channelData.versions.find(v => !fallbackNames.has(v)) || null;
+    channelData.latestVersion = headVersions[0] || channelData.versions[0] || null;
+
+    channelData.deprecation = deprecations.channels[channelName] || null;
+    channelData.deprecatedVersions = {};
+    for (const entry of graph ? graph.entries : []) {
+      if (deprecations.bundles[entry.name]) {
+        channelData.deprecatedVersions[entry.version || entry.name] = deprecations.bundles[entry.name];
+      }
+    }
+  }
+
+  return {
+    defaultChannel: defaultChannel || (channels.size > 0 ? Array.from(channels.keys())[0] : null),
+    channels: Array.from(channels.values()),
+    deprecations
+  };
+}
+
+// Helper function to read the ClusterServiceVersion metadata of a bundle
+// Newer catalogs carry it in an olm.csv.metadata property, older ones only in the base64
+// encoded CSV of an olm.bundle.object property; the result has the olm.csv.metadata shape
+function getBundleCSVMetadata(bundle) {
+  const properties = Array.isArray(bundle.properties) ? bundle.properties : [];
+  const metadataProperty = properties.find(prop => prop && prop.type === 'olm.csv.metadata' && prop.value);
+  if (metadataProperty) {
+    return metadataProperty.value;
+  }
+
+  for (const prop of properties) {
+    if (!prop || prop.type !== 'olm.bundle.object' || !prop.value || typeof prop.value.data !== 'string') {
+      continue;
+    }
+    try {
+      const object = JSON.parse(Buffer.from(prop.value.data, 'base64').toString('utf8'));
+      if (object && object.kind === 'ClusterServiceVersion') {
+        return {
+          ...(object.spec || {}),
+          annotations: (object.metadata && object.metadata.annotations) || {}
+        };
+      }
+    } catch {
+      // Not a JSON manifest; CSVs are always stored as JSON
+    }
+  }
+  return null;
+}
+
+// Helper function to turn an FBC or CSV icon into { base64data, mediatype } if it is a usable image
+function normalizeIcon(icon) {
+  if (!icon || typeof icon.base64data !== 'string' || typeof icon.mediatype !== 'string') {
+    return null;
+  }
+  const base64data = icon.base64data.replace(/\s+/g, '');
+  if (!base64data || !/^image\/[\w.+-]+$/.test(icon.mediatype) || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64data)) {
+    return null;
+  }
+  return { base64data, mediatype: icon.mediatype };
+}
+
+// Helper function to extract the descriptive metadata of an operator package
+// The package description and icon come from olm.package; provider, display name, capability
+// level, categories, repository and maintainers come from the CSV of the latest bundle in the
+// default channel, falling back to the CSV description and icon when the package has none
+function extractPackageMetadata(parsedObjects, defaultChannel, channels) {
+  const packageObj = parsedObjects.find(obj => obj && obj.schema === 'olm.package') || {};
+  const bundles = parsedObjects.filter(obj => obj && obj.schema === 'olm.bundle' && obj.name);
+
+  // Prefer the default channel head, then the latest version of any channel
+  const bundleVersions = getBundleVersions(parsedObjects);
+  const defaultChannelObj = channels.find(channel => channel.name === defaultChannel) || channels[0];
+  const latestVersion = defaultChannelObj ? defaultChannelObj.latestVersion : null;
+  const bundle = (defaultChannelObj && defaultChannelObj.head && bundles.find(b => b.name === defaultChannelObj.head)) ||
+    bundles.find(b => latestVersion && (bundleVersions.get(b.name) === latestVersion || b.name === latestVersion)) ||
+    null;
+
+  const csv = (bundle && getBundleCSVMetadata(bundle)) || {};
+  const annotations = csv.annotations || {};
+  const provider = csv.provider && typeof csv.provider === 'object' ? csv.provider : {};
+  const csvIcon = Array.isArray(csv.icon) ? csv.icon[0] : csv.icon;
+
+  return {
+    bundle: bundle ? bundle.name : null,
+    displayName: csv.displayName || null,
+    description: packageObj.description || csv.description || null,
+    provider: provider.name ? { name: provider.name, url: provider.url || null } : null,
+    capabilities: annotations.capabilities || null,
+    categories: typeof annotations.categories === 'string'
+      ? annotations.categories.split(',').map(category => category.trim()).filter(Boolean)
+      : [],
+    repository: annotations.repository || null,
+    keywords: (Array.isArray(csv.keywords) ? csv.keywords : []).filter(keyword => typeof keyword === 'string' && keyword),
+    maintainers: (Array.isArray(csv.maintainers) ? csv.maintainers : [])
+      .filter(maintainer => maintainer && (maintainer.name || maintainer.email))
+      .map(maintainer => ({ name: maintainer.name || null, email: maintainer.email || null })),
+    icon: normalizeIcon(packageObj.icon) || normalizeIcon(csvIcon)
+  };
+}
+
+// API endpoint to get operator details
+app.get('/api/operator-details', async (req, res) => {
+  const { catalog, version, operator } = req.query;
+
+  // Validate input
+  if (!catalog || !operator) {
+    return res.status(400).json({
+      error: 'Missing required parameters: catalog, version, and operator are required'
+    });
+  }
+
+  const operatorError = validatePackageName(operator);
+  if (operatorError) {
+    return res.status(400).json({
+      error: `Invalid operator: ${operatorError}`
+    });
+  }
+
+  let catalogRef;
+  try {
+    catalogRef = resolveCatalog(catalog, version);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid catalog: ${error.message}`
+    });
+  }
+
+  try {
+    const { objects: parsedObjects, diagnostics, cache } = await readCatalogPackage(catalogRef, operator);
+    
+    // Extract channels and versions
+    const { defaultChannel, channels, deprecations } = extractChannelsAndVersions(parsedObjects);
+    const metadata = extractPackageMetadata(parsedObjects, defaultChannel, channels);
+
+    console.log(`Extracted ${channels.length} channel(s), default: ${defaultChannel || 'none'}`);
+    broadcastLog(`Found ${channels.length} channel(s) for operator ${operator}`, 'success');
+    
+    // If no channels found, log the structure for debugging
+    if (channels.length === 0) {
+      console.log('No channels found. Sample object keys:', parsedObjects.slice(0, 3).map(obj => Object.keys(obj || {})));
+      broadcastLog(`Warning: No channels extracted. Check server logs for details.`, 'warning');
+    }
+
+    res.json({
+      operator,
+      catalog: catalogRef.catalog,
+      version: catalogRef.version,
+      image: catalogRef.image,
+      cache,
+      metadata,
+      deprecations,
+      defaultChannel,
+      channels,
+      diagnostics, // Malformed files and objects; non-empty means the data above is incomplete
+      rawData: parsedObjects // Include raw parsed data for debugging/advanced use
+    });
+
+  } catch (error) {
+    console.error('Error getting operator details:', error);
+    broadcastLog(`Error getting operator details: ${error.message}`, 'error');
+    res.status(500).json({
+      error: 'Failed to get operator details',
+      message: error.message
+    });
+  }
+});
+
+// ===== Upgrade graph =====
+// OLM upgrades along the entries of a channel: an entry upgrades from the bundle it replaces,
+// from every bundle it skips, and from every channel entry whose version is in its skipRange.
+// A channel graph is
+//   { name, head, heads, entries: [{ name, version, replaces, skips, skipRange }], edges: [{ from, to, type }] }
+// where edges point in the upgrade direction (from the installed bundle to the one it can
+// upgrade to) and type is replaces, skips or skipRange. head is the entry no other entry replaces
+// or skips; heads lists every such entry, so more than one means the channel is broken.
+
+// Helper function to map bundle names to their versions (olm.package property)
+function getBundleVersions(parsedObjects) {
+  const bundleVersions = new Map();
+  for (const bundle of parsedObjects.filter(obj => obj && obj.schema === 'olm.bundle')) {
+    if (bundle.name && Array.isArray(bundle.properties)) {
+      const packageProperty = bundle.properties.find(prop => prop && prop.type === 'olm.package');
+      if (packageProperty && packageProperty.value && packageProperty.value.version) {
+        bundleVersions.set(bundle.name, String(packageProperty.value.version));
+      }
+    }
+  }
+  return bundleVersions;
+}
+
+// Helper function to list the olm.gvk (provided) or olm.gvk.required properties of a bundle
+function getBundleGVKs(bundle, type) {
+  return (Array.isArray(bundle.properties) ? bundle.properties : [])
+    .filter(prop => prop && prop.type === type && prop.value && prop.value.kind && prop.value.version)
+    .map(prop => ({ group: prop.value.group || '', version: prop.value.version, kind: prop.value.kind }));
+}
+
+// Helper function to format an API as group/version/Kind, or version/Kind for the core group
+function formatGVK({ group, version, kind }) {
+  return group ? `${group}/${version}/${kind}` : `${version}/${kind}`;
+}
+
+// Helper function to build the upgrade graph of one olm.channel object
+function buildChannelGraph(channelObj, bundleVersions) {
+  const entries = (Array.isArray(channelObj.entries) ? channelObj.entries : [])
+    .filter(entry => entry && typeof entry.name === 'string')
+    .map(entry => ({
+      name: entry.name,
+      version: bundleVersions.get(entry.name) || null,
+      replaces: typeof entry.replaces === 'string' ? entry.replaces : null,
+      skips: Array.isArray(entry.skips) ? entry.skips.filter(skip => typeof skip === 'string') : [],
+      skipRange: typeof entry.skipRange === 'string' ? entry.skipRange : null
+    }));
+
+  const edges = [];
+  const replacedOrSkipped = new Set();
+  for (const entry of entries) {
+    if (entry.replaces) {
+      edges.push({ from: entry.replaces, to: entry.name, type: 'replaces' });
+      replacedOrSkipped.add(entry.replaces);
+    }
+    for (const skip of entry.skips) {
+      edges.push({ from: skip, to: entry.name, type: 'skips' });
+      replacedOrSkipped.add(skip);
+    }
+
+    // skipRange uses OLM's semver ranges, where prereleases match like any other version
+    const range = entry.skipRange && semver.validRange(entry.skipRange);
+    if (range) {
+      for (const other of entries) {
+        if (other.name !== entry.name && semver.valid(other.version) &&
+            semver.satisfies(other.version, range, { includePrerelease: true })) {
+          edges.push({ from: other.name, to: entry.name, type: 'skipRange' });
+        }
+      }
+    }
+  }
+
+  const heads = entries.filter(entry => !replacedOrSkipped.has(entry.name)).map(entry => entry.name);
+  return {
+    name: channelObj.name,
+    head: heads.length === 1 ? heads[0] : null,
+    heads,
+    entries,
+    edges
+  };
+}
+
+// Helper function to build the upgrade graphs of every channel in a package
+// Channels declared in several olm.channel objects are merged
+function buildUpgradeGraph(parsedObjects) {
+  const bundleVersions = getBundleVersions(parsedObjects);
+  const packageObj = parsedObjects.find(obj => obj && obj.schema === 'olm.package');
+
+  const channelObjects = new Map();
+  for (const channelObj of parsedObjects.filter(obj => obj && obj.schema === 'olm.channel' && obj.name)) {
+    const previous = channelObjects.get(channelObj.name);
+    channelObjects.set(channelObj.name, previous
+      ? { ...previous, entries: [...(previous.entries || []), ...(channelObj.entries || [])] }
+      : channelObj);
+  }
+
+  return {
+    defaultChannel: (packageObj && packageObj.defaultChannel) || null,
+    channels: [...channelObjects.values()].map(channelObj => buildChannelGraph(channelObj, bundleVersions))
+  };
+}
+
+// Helper function to list the upgrades a channel offers from an installed bundle
+// Returns [{ entry, type }] for the entries that replace or skip the bundle, or whose skipRange
+// includes its version; the bundle itself does not have to be in the channel
+function getChannelUpgrades(channelGraph, bundleName, bundleVersion) {
+  const upgrades = [];
+  for (const entry of channelGraph.entries) {
+    if (entry.name === bundleName) {
+      continue;
+    }
+    if (entry.replaces === bundleName) {
+      upgrades.push({ entry, type: 'replaces' });
+    } else if (entry.skips.includes(bundleName)) {
+      upgrades.push({ entry, type: 'skips' });
+    } else if (entry.skipRange && semver.valid(bundleVersion) && semver.validRange(entry.skipRange) &&
+               semver.satisfies(bundleVersion, entry.skipRange, { includePrerelease: true })) {
+      upgrades.push({ entry, type: 'skipRange' });
+    }
+  }
+  return upgrades;
+}
+
+// Helper function to describe one upgrade hop for the upgrade path response
+function describeUpgrade(channelName, fromName, fromVersion, { entry, type }) {
+  const explanation = {
+    replaces: `${entry.name} replaces ${fromName} in channel ${channelName}`,
+    skips: `${entry.name} skips ${fromName} in channel ${channelName}`,
+    skipRange: `${entry.name} has skipRange "${entry.skipRange}", which includes ${fromVersion}, in channel ${channelName}`
+  }[type];
+  return { type: 'upgrade', channel: channelName, from: fromName, fromVersion, to: entry.name, toVersion: entry.version, edge: type, explanation };
+}
+
+// Helper function to find the shortest upgrade path through a sequence of channel graphs
+// Only upgrades count as hops. The subscription may switch to the next channel of the sequence
+// at any bundle that channel contains or can upgrade from, so the path ends in the last channel.
+// Returns the list of steps, or null when the target cannot be reached.
+function findUpgradePath(channelGraphs, bundleVersions, fromBundle, toBundle) {
+  const stateKey = (index, bundle) => `${index}\u0000${bundle}`;
+  const lastIndex = channelGraphs.length - 1;
+  const start = { index: 0, bundle: fromBundle, previous: null, step: null };
+
+  // 0-1 breadth-first search: switches cost nothing, upgrades one hop
+  const queue = [start];
+  const visited = new Set();
+  while (queue.length > 0) {
+    const state = queue.shift();
+    const key = stateKey(state.index, state.bundle);
+    if (visited.has(key)) {
+      continue;
+    }
+    visited.add(key);
+
+    if (state.index === lastIndex && state.bundle === toBundle) {
+      const steps = [];
+      for (let current = state; current.step; current = current.previous) {
+        steps.unshift(current.step);
+      }
+      return steps;
+    }
+
+    const channelGraph = channelGraphs[state.index];
+    const version = bundleVersions.get(state.bundle) || null;
+    const upgrades = getChannelUpgrades(channelGraph, state.bundle, version);
+
+    if (state.index < lastIndex) {
+      const nextGraph = channelGraphs[state.index + 1];
+      const inNext = nextGraph.entries.some(entry => entry.name === state.bundle);
+      if (inNext || getChannelUpgrades(nextGraph, state.bundle, version).length > 0) {
+        queue.unshift({
+          index: state.index + 1,
+          bundle: state.bundle,
+          previous: state,
+          step: {
+            type: 'switch',
+            fromChannel: channelGraph.name,
+            toChannel: nextGraph.name,
+            bundle: state.bundle,
+            version,
+            explanation: `Switch the subscription from ${channelGraph.name} to ${nextGraph.name}: ${state.bundle} ${inNext ? 'is in' : 'can be upgraded in'} ${nextGraph.name}`
+          }
+        });
+      }
+    }
+
+    // Try the newest targets first so ties favour the biggest jumps
+    upgrades.sort((a, b) => compareChannelVersions(a.entry.version || a.entry.name, b.entry.version || b.entry.name));
+    for (const upgrade of upgrades) {
+      queue.push({
+        index: state.index,
+        bundle: upgrade.entry.name,
+        previous: state,
+        step: describeUpgrade(channelGraph.name, state.bundle, version, upgrade)
+      });
+    }
+  }
+  return null;
+}
+
+// Helper function to find a bundle by name or version (with or without a leading "v")
+function findBundle(value, bundleVersions, channelGraphs) {
+  const names = new Set([...bundleVersions.keys(), ...channelGraphs.flatMap(graph => graph.entries.map(entry => entry.name))]);
+  if (names.has(value)) {
+    return value;
+  }
+  const version = value.replace(/^v/, '');
+  for (const [name, bundleVersion] of bundleVersions) {
+    if (bundleVersion === version || bundleVersion.replace(/^v/, '') === version) {
+      return name;
+    }
+  }
+  return null;
+}
+
+// API endpoint to get the upgrade graph of an operator's channels
+// Optional channel limits the response to one channel
+app.get('/api/operator-graph', async (req, res) => {
+  const { catalog, version, operator, channel } = req.query;
+
+  // Validate input
+  if (!catalog || !operator) {
+    return res.status(400).json({
+      error: 'Missing required parameters: catalog, version, and operator are required'
+    });
+  }
+
+  const operatorError = validatePackageName(operator);
+  if (operatorError) {
+    return res.status(400).json({
+      error: `Invalid operator: ${operatorError}`
+    });
+  }
+
+  const channelError = channel !== undefined ? validateChannelName(channel) : null;
+  if (channelError) {
+    return res.status(400).json({
+      error: `Invalid channel: ${channelError}`
+    });
+  }
+
+  let catalogRef;
+  try {
+    catalogRef = resolveCatalog(catalog, version);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid catalog: ${error.message}`
+    });
+  }
+
+  try {
+    const { objects, diagnostics, cache } = await readCatalogPackage(catalogRef, operator);
+    const graph = buildUpgradeGraph(objects);
+
+    let channels = graph.channels;
+    if (channel) {
+      channels = channels.filter(entry => entry.name === channel);
+      if (channels.length === 0) {
+        return res.status(404).json({
+          error: `Channel '${channel}' not found for operator ${operator}`,
+          availableChannels: graph.channels.map(entry => entry.name)
+        });
+      }
+    }
+
+    for (const entry of channels.filter(entry => entry.heads.length > 1)) {
+      broadcastLog(`Channel ${entry.name} of ${operator} has ${entry.heads.length} heads: ${entry.heads.join(', ')}`, 'warning');
+    }
+    broadcastLog(`Built upgrade graph for ${operator}: ${channels.length} channel(s)`, 'success');
+
+    res.json({
+      operator,
+      catalog: catalogRef.catalog,
+      version: catalogRef.version,
+      image: catalogRef.image,
+      cache,
+      defaultChannel: graph.defaultChannel,
+      channels,
+      diagnostics
+    });
+  } catch (error) {
+    console.error('Error building operator graph:', error);
+    broadcastLog(`Error building operator graph: ${error.message}`, 'error');
+    res.status(500).json({
+      error: 'Failed to build operator graph',
+      message: error.message
+    });
+  }
+});
+
+// API endpoint to compute the shortest OLM upgrade path between two versions of an operator
+// Query: from (installed version or bundle name), fromChannel (defaults to the default channel),
+// to (version or bundle name, defaults to the head of toChannel), toChannel (defaults to
+// fromChannel) and via (comma-separated channels to switch through in between)
+app.get('/api/upgrade-path', async (req, res) => {
+  const { catalog, version, operator, from, to, fromChannel, toChannel, via } = req.query;
+
+  // Validate input
+  if (!catalog || !operator || !from) {
+    return res.status(400).json({
+      error: 'Missing required parameters: catalog, version, operator and from are required'
+    });
+  }
+
+  const operatorError = validatePackageName(operator);
+  if (operatorError) {
+    return res.status(400).json({
+      error: `Invalid operator: ${operatorError}`
+    });
+  }
+
+  const versionError = validateBundleVersion(from) || (to !== undefined && to !== '' ? validateBundleVersion(to) : null);
+  if (versionError) {
+    return res.status(400).json({
+      error: `Invalid from or to: ${versionError}`
+    });
+  }
+
+  const viaChannels = typeof via === 'string' && via ? via.split(',').map(name => name.trim()).filter(Boolean) : [];
+  for (const name of [fromChannel, toChannel, ...viaChannels].filter(name => name !== undefined && name !== '')) {
+    const channelError = validateChannelName(name);
+    if (channelError) {
+      return res.status(400).json({
+        error: `Invalid channel: ${channelError}`
+      });
+    }
+  }
+
+  let catalogRef;
+  try {
+    catalogRef = resolveCatalog(catalog, version);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid catalog: ${error.message}`
+    });
+  }
+
+  try {
+    const { objects, diagnostics, cache } = await readCatalogPackage(catalogRef, operator);
+    const graph = buildUpgradeGraph(objects);
+    const bundleVersions = getBundleVersions(objects);
+
+    // The channels the subscription goes through, in order
+    const startChannel = fromChannel || graph.defaultChannel;
+    const channelNames = [startChannel, ...viaChannels, toChannel || startChannel]
+      .filter((name, index, names) => index === 0 || name !== names[index - 1]);
+    const channelGraphs = [];
+    for (const name of channelNames) {
+      const channelGraph = graph.channels.find(entry => entry.name === name);
+      if (!channelGraph) {
+        return res.status(404).json({
+          error: `Channel '${name}' not found for operator ${operator}`,
+          availableChannels: graph.channels.map(entry => entry.name)
+        });
+      }
+      channelGraphs.push(channelGraph);
+    }
+
+    const fromBundle = findBundle(from, bundleVersions, channelGraphs);
+    if (!fromBundle) {
+      return res.status(404).json({ error: `No bundle of ${operator} matches "${from}"` });
+    }
+
+    const targetGraph = channelGraphs[channelGraphs.length - 1];
+    let toBundle;
+    if (to) {
+      toBundle = findBundle(to, bundleVersions, channelGraphs);
+      if (!toBundle) {
+        return res.status(404).json({ error: `No bundle of ${operator} matches "${to}"` });
+      }
+    } else if (targetGraph.head) {
+      toBundle = targetGraph.head;
+    } else {
+      return res.status(422).json({
+        error: `Channel ${targetGraph.name} has ${targetGraph.heads.length} heads, choose a target version`,
+        heads: targetGraph.heads
+      });
+    }
+
+    const steps = findUpgradePath(channelGraphs, bundleVersions, fromBundle, toBundle);
+    const route = channelNames.join(' -> ');
+    if (!steps) {
+      broadcastLog(`No upgrade path for ${operator} from ${fromBundle} to ${toBundle} through ${route}`, 'warning');
+      return res.status(404).json({
+        error: `No upgrade path from ${fromBundle} to ${toBundle} through channels ${route}`,
+        channels: channelNames
+      });
+    }
+
+    const hops = steps.filter(step => step.type === 'upgrade').length;
+    broadcastLog(`Upgrade path for ${operator} from ${fromBundle} to ${toBundle}: ${hops} upgrade(s)`, 'success');
+
+    res.json({
+      operator,
+      catalog: catalogRef.catalog,
+      version: catalogRef.version,
+      image: catalogRef.image,
+      cache,
+      channels: channelNames,
+      from: { bundle: fromBundle, version: bundleVersions.get(fromBundle) || null },
+      to: { bundle: toBundle, version: bundleVersions.get(toBundle) || null, head: toBundle === targetGraph.head },
+      hops,
+      steps,
+      diagnostics
+    });
+  } catch (error) {
+    console.error('Error computing upgrade path:', error);
+    broadcastLog(`Error computing upgrade path: ${error.message}`, 'error');
+    res.status(500).json({
+      error: 'Failed to compute upgrade path',
+      message: error.message
+    });
+  }
+});
+
+// Helper function to normalise an olm.bundle object for the bundle details response
+// Channel entries carry the upgrade fields, so they are listed per channel containing the bundle
+function normalizeBundle(bundleObj, channelGraphs, deprecations) {
+  const properties = Array.isArray(bundleObj.properties) ? bundleObj.properties.filter(prop => prop && prop.value) : [];
+  const valuesOf = type => properties.filter(prop => prop.type === type).map(prop => prop.value);
+  const packageProperty = valuesOf('olm.package')[0] || {};
+  const csv = getBundleCSVMetadata(bundleObj) || {};
+
+  return {
+    name: bundleObj.name,
+    package: packageProperty.packageName || bundleObj.package || null,
+    version: packageProperty.version ? String(packageProperty.version) : null,
+    image: bundleObj.image || null,
+    createdAt: (csv.annotations && csv.annotations.createdAt) || null,
+    deprecation: deprecations.bundles[bundleObj.name] || null,
+    channels: channelGraphs
+      .map(graph => ({ graph, entry: graph.entries.find(entry => entry.name === bundleObj.name) }))
+      .filter(({ entry }) => entry)
+      .map(({ graph, entry }) => ({
+        name: graph.name,
+        head: graph.head === entry.name,
+        deprecation: deprecations.channels[graph.name] || null,
+        replaces: entry.replaces,
+        skips: entry.skips,
+        skipRange: entry.skipRange
+      })),
+    relatedImages: (Array.isArray(bundleObj.relatedImages) ? bundleObj.relatedImages : [])
+      .filter(related => related && related.image)
+      .map(related => ({ name: related.name || null, image: related.image })),
+    requiredPackages: valuesOf('olm.package.required')
+      .map(value => ({ packageName: value.packageName || null, versionRange: value.versionRange || null })),
+    providedAPIs: valuesOf('olm.gvk')
+      .map(value => ({ group: value.group || '', version: value.version || null, kind: value.kind || null })),
+    requiredAPIs: valuesOf('olm.gvk.required')
+      .map(value => ({ group: value.group || '', version: value.version || null, kind: value.kind || null })),
+    propertyTypes: [...new Set(properties.map(prop => prop.type))]
+  };
+}
+
+// API endpoint to get the details of one bundle of an operator
+// bundle is a bundle name or a version, like the from and to parameters of /api/upgrade-path
+app.get('/api/bundle-details', async (req, res) => {
+  const { catalog, version, operator, bundle } = req.query;
+
+  // Validate input
+  if (!catalog || !operator || !bundle) {
+    return res.status(400).json({
+      error: 'Missing required parameters: catalog, version, operator and bundle are required'
+    });
+  }
+
+  const operatorError = validatePackageName(operator);
+  if (operatorError) {
+    return res.status(400).json({
+      error: `Invalid operator: ${operatorError}`
+    });
+  }
+
+  const bundleError = validateBundleVersion(bundle);
+  if (bundleError) {
+    return res.status(400).json({
+      error: `Invalid bundle: ${bundleError}`
+    });
+  }
+
+  let catalogRef;
+  try {
+    catalogRef = resolveCatalog(catalog, version);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid catalog: ${error.message}`
+    });
+  }
+
+  try {
+    const { objects, diagnostics, cache } = await readCatalogPackage(catalogRef, operator);
+    const { channels: channelGraphs } = buildUpgradeGraph(objects);
+
+    const bundleName = findBundle(bundle, getBundleVersions(objects), channelGraphs);
+    const bundleObj = bundleName && objects.find(obj => obj && obj.schema === 'olm.bundle' && obj.name === bundleName);
+    if (!bundleObj) {
+      return res.status(404).json({
+        error: bundleName
+          ? `Bundle ${bundleName} is listed in a channel but has no olm.bundle object`
+          : `No bundle of ${operator} matches "${bundle}"`
+      });
+    }
+
+    res.json({
+      operator,
+      catalog: catalogRef.catalog,
+      version: catalogRef.version,
+      image: catalogRef.image,
+      cache,
+      bundle: normalizeBundle(bundleObj, channelGraphs, extractDeprecations(objects)),
+      diagnostics
+    });
+  } catch (error) {
+    console.error('Error getting bundle details:', error);
+    broadcastLog(`Error getting bundle details: ${error.message}`, 'error');
+    res.status(500).json({
+      error: 'Failed to get bundle details',
+      message: error.message
+    });
+  }
+});
+
+// ===== Search index =====
+// Each catalog gets an index of its packages' descriptive metadata and channel heads, built by
+// parsing every package once. Cached catalogs keep it next to their configs directory, stamped
+// with the catalog digest so a refreshed catalog is indexed again; local catalog trees are
+// indexed in memory and stamped with the modification times of their files.
+// The same pass records a snapshot of the catalog (see Catalog snapshots).
+
+const SEARCH_INDEX_FILE = 'search-index.json';
+const SEARCH_INDEX_FORMAT = 4;
+const SEARCH_DEFAULT_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 200;
+const SEARCH_DESCRIPTION_LENGTH = 300;
+
+// Loaded indexes by cache key: { stamp, builtAt, packages }
+const searchIndexes = new Map();
+// Index builds in progress by cache key and stamp, so concurrent searches share one build
+const searchIndexBuilds = new Map();
+
+// Helper function to get the file a catalog's index is stored in (null for local catalog trees)
+function getSearchIndexFile(configsDir) {
+  const cacheDir = path.dirname(path.resolve(configsDir));
+  return path.dirname(cacheDir) === path.resolve(CATALOG_CACHE_DIR) ? path.join(cacheDir, SEARCH_INDEX_FILE) : null;
+}
+
+// Helper function to identify the catalog content an index was built from
+// Local catalog trees are stamped with the latest modification time and the number of their
+// files and directories, so editing, adding or removing any file is noticed
+async function getSearchIndexStamp(configsDir, cache) {
+  if (cache && (cache.digest || cache.cachedAt)) {
+    return cache.digest || cache.cachedAt;
+  }
+  let latest = 0;
+  let count = 0;
+  const pending = [configsDir];
+  while (pending.length > 0) {
+    const dir = pending.pop();
+    latest = Math.max(latest, (await fs.stat(dir)).mtimeMs);
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      count++;
+      if (entry.isDirectory()) {
+        pending.push(entryPath);
+      } else {
+        latest = Math.max(latest, (await fs.stat(entryPath)).mtimeMs);
+      }
+    }
+  }
+  return `mtime:${latest}:${count}`;
+}
+
+// Helper function to index every package of a catalog
+// A package that cannot be parsed is still listed by name so it can be found
+// Resolves to { packages, snapshot } where snapshot holds the packages' snapshot models
+async function buildSearchIndex(catalogRef, configsDir) {
+  const packageNames = await listDirectories(configsDir);
+  broadcastLog(`Indexing ${packageNames.length} operator(s) of ${catalogRef.image} for search...`, 'info');
+  const started = Date.now();
+
+  const packages = [];
+  const snapshot = [];
+  let failed = 0;
+  for (const name of packageNames) {
+    try {
+      const { objects } = await parseFBCDirectory(path.join(configsDir, name));
+      snapshot.push(extractSnapshotPackage(name, objects));
+      const { defaultChannel, channels, deprecations } = extractChannelsAndVersions(objects);
+      const metadata = extractPackageMetadata(objects, defaultChannel, channels);
+      const providedAPIs = new Set();
+      for (const bundle of objects.filter(obj => obj && obj.schema === 'olm.bundle')) {
+        getBundleGVKs(bundle, 'olm.gvk').forEach(gvk => providedAPIs.add(formatGVK(gvk)));
+      }
+      packages.push({
+        name,
+        displayName: metadata.displayName,
+        description: metadata.description,
+        keywords: metadata.keywords,
+        provider: metadata.provider ? metadata.provider.name : null,
+        categories: metadata.categories,
+        capabilities: metadata.capabilities,
+        defaultChannel,
+        deprecated: deprecations.package,
+        providedAPIs: [...providedAPIs],
+        channels: channels.map(channel => ({ name: channel.name, head: channel.head, latestVersion: channel.latestVersion }))
+      });
+    } catch (error) {
+      failed++;
+      console.error(`Failed to index ${name}:`, error.message);
+      packages.push({ name, displayName: null, description: null, keywords: [], provider: null, categories: [], capabilities: null, defaultChannel: null, deprecated: null, providedAPIs: [], channels: null });
+      snapshot.push({ name, unparsed: true });
+    }
+  }
+
+  const seconds = ((Date.now() - started) / 1000).toFixed(1);
+  console.log(`Indexed ${packages.length} packages of ${catalogRef.image} in ${seconds}s`);
+  broadcastLog(`Indexed ${packages.length} operator(s) for search in ${seconds}s${failed > 0 ? ` (${failed} could not be parsed)` : ''}`, failed > 0 ? 'warning' : 'success');
+  return { packages, snapshot };
+}
+
+// Helper function to get the search index of a catalog, building it if needed
+// Resolves to { stamp, builtAt, packages }
+async function getSearchIndex(catalogRef, { configsDir, cache }) {
+  const stamp = await getSearchIndexStamp(configsDir, cache);
+  const loaded = searchIndexes.get(catalogRef.cacheKey);
+  if (loaded && loaded.stamp === stamp) {
+    return loaded;
+  }
+
+  const buildKey = `${catalogRef.cacheKey}@${stamp}`;
+  let build = searchIndexBuilds.get(buildKey);
+  if (!build) {
+    // The catalog is read until the index is built
+    const release = holdCatalogReader(catalogRef.cacheKey);
+    build = (async () => {
+      const indexFile = getSearchIndexFile(configsDir);
+      if (indexFile) {
+        try {
+          const stored = JSON.parse(await fs.readFile(indexFile, 'utf8'));
+          if (stored.format === SEARCH_INDEX_FORMAT && stored.stamp === stamp && Array.isArray(stored.packages)) {
+            return { stamp, builtAt: stored.builtAt, packages: stored.packages };
+          }
+        } catch {
+          // Not indexed yet
+        }
+      }
+
+      const { packages, snapshot } = await buildSearchIndex(catalogRef, configsDir);
+      const index = { stamp, builtAt: new Date().toISOString(), packages };
+      // The catalog may have been evicted or refreshed while it was indexed
+      if (indexFile && await pathExists(configsDir)) {
+        const tempFile = `${indexFile}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify({ format: SEARCH_INDEX_FORMAT, ...index }));
+        await fs.rename(tempFile, indexFile);
+      }
+      // A new index means new catalog content, unless it only replaces an older index format
+      await saveCatalogSnapshot(catalogRef, { stamp, cache, packages: snapshot }).catch(error => {
+        console.error(`Failed to snapshot ${catalogRef.image}:`, error);
+        broadcastLog(`Failed to record a snapshot of ${catalogRef.image}: ${error.message}`, 'warning');
+      });
+      return index;
+    })();
+    searchIndexBuilds.set(buildKey, build);
+    build.then(
+      index => searchIndexes.set(catalogRef.cacheKey, index),
+      () => {}
+    ).finally(() => {
+      searchIndexBuilds.delete(buildKey);
+      release();
+    });
+  }
+  return build;
+}
+
+// Helper function to index a catalog in the background once it has been fetched
+function prepareSearchIndex(catalogRef, openedCatalog) {
+  getSearchIndex(catalogRef, openedCatalog).catch(error => {
+    console.error(`Failed to index ${catalogRef.image}:`, error);
+    broadcastLog(`Failed to index ${catalogRef.image} for search: ${error.message}`, 'warning');
+  });
+}
+
+// Helper function to score a package against the search terms (0 when a term does not match)
+// Every term has to match one of the fields; matches on the name weigh most
+function scoreSearchPackage(pkg, terms) {
+  const name = pkg.name.toLowerCase();
+  const fields = [
+    [(pkg.displayName || '').toLowerCase(), 30],
+    [pkg.keywords.join(' ').toLowerCase(), 20],
+    [(pkg.provider || '').toLowerCase(), 15],
+    [pkg.categories.join(' ').toLowerCase(), 15],
+    [(pkg.description || '').toLowerCase(), 5]
+  ];
+
+  let score = 0;
+  for (const term of terms) {
+    let best = name === term ? 100 : name.startsWith(term) ? 60 : name.includes(term) ? 40 : 0;
+    for (const [text, weight] of fields) {
+      if (weight > best && text.includes(term)) {
+        best = weight;
+      }
+    }
+    if (best === 0) {
+      return 0;
+    }
+    score += best;
+  }
+  return score;
+}
+
+// Helper function to check a package against the field filters of a search
+function matchesSearchFilters(pkg, filters) {
+  const contains = (value, filter) => (value || '').toLowerCase().includes(filter);
+  const includes = (values, filter) => values.some(value => value.toLowerCase() === filter);
+  return (!filters.name || contains(pkg.name, filters.name) || contains(pkg.displayName, filters.name)) &&
+    (!filters.provider || contains(pkg.provider, filters.provider)) &&
+    (!filters.category || includes(pkg.categories, filters.category)) &&
+    (!filters.keyword || includes(pkg.keywords, filters.keyword)) &&
+    (!filters.capabilities || (pkg.capabilities || '').toLowerCase() === filters.capabilities) &&
+    (filters.deprecated === undefined || Boolean(pkg.deprecated) === filters.deprecated);
+}
+
+// Helper function to shorten a description for search results
+function summarizeDescription(description) {
+  if (!description) {
+    return null;
+  }
+  const text = description.replace(/\s+/g, ' ').trim();
+  return text.length > SEARCH_DESCRIPTION_LENGTH ? `${text.substring(0, SEARCH_DESCRIPTION_LENGTH).trimEnd()}...` : text;
+}
+
+// API endpoint to search the operators of a catalog
+// q matches names, display names, keywords, providers, categories and descriptions; the other
+// parameters filter on one field. Results are sorted by relevance, or by name without q.
+app.get('/api/search', async (req, res) => {
+  const { catalog, version, q, name, provider, category, keyword, capabilities, deprecated, page, pageSize } = req.query;
+
+  // Validate input
+  if (!catalog) {
+    return res.status(400).json({
+      error: 'Missing required parameters: catalog and version are required'
+    });
+  }
+
+  const textParams = { q, name, provider, category, keyword, capabilities };
+  for (const [param, value] of Object.entries(textParams)) {
+    if (value !== undefined && (typeof value !== 'string' || value.length > 200)) {
+      return res.status(400).json({
+        error: `Invalid ${param}: must be a string of at most 200 characters`
+      });
+    }
+  }
+  if (deprecated !== undefined && deprecated !== 'true' && deprecated !== 'false') {
+    return res.status(400).json({
+      error: 'Invalid deprecated: must be true or false'
+    });
+  }
+
+  const pageNumber = page === undefined ? 1 : Number(page);
+  const size = pageSize === undefined ? SEARCH_DEFAULT_PAGE_SIZE : Number(pageSize);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(size) || size < 1 || size > SEARCH_MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      error: `Invalid pagination: page must be a positive integer and pageSize between 1 and ${SEARCH_MAX_PAGE_SIZE}`
+    });
+  }
+
+  let catalogRef;
+  try {
+    catalogRef = resolveCatalog(catalog, version);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid catalog: ${error.message}`
+    });
+  }
+
+  const release = holdCatalogReader(catalogRef.cacheKey);
+  try {
+    const opened = await openCatalog(catalogRef);
+    const index = await getSearchIndex(catalogRef, opened);
+
+    const normalize = value => (value || '').trim().toLowerCase();
+    const filters = {
+      name: normalize(name),
+      provider: normalize(provider),
+      category: normalize(category),
+      keyword: normalize(keyword),
+      capabilities: normalize(capabilities),
+      deprecated: deprecated === undefined ? undefined : deprecated === 'true'
+    };
+    const terms = normalize(q).split(/\s+/).filter(Boolean);
+
+    const matches = [];
+    for (const pkg of index.packages) {
+      if (!matchesSearchFilters(pkg, filters)) {
+        continue;
+      }
+      const score = terms.length > 0 ? scoreSearchPackage(pkg, terms) : 0;
+      if (terms.length === 0 || score > 0) {
+        matches.push({ pkg, score });
+      }
+    }
+    matches.sort((a, b) => b.score - a.score || a.pkg.name.localeCompare(b.pkg.name));
+
+    const start = (pageNumber - 1) * size;
+    res.json({
+      catalog: catalogRef.catalog,
+      version: catalogRef.version,
+      image: catalogRef.image,
+      cache: opened.cache,
+      indexedAt: index.builtAt,
+      total: matches.length,
+      page: pageNumber,
+      pageSize: size,
+      results: matches.slice(start, start + size).map(({ pkg: { providedAPIs, channels, ...pkg }, score }) => ({
+        ...pkg,
+        description: summarizeDescription(pkg.description),
+        ...(terms.length > 0 && { score })
+      }))
+    });
+  } catch (error) {
+    console.error('Error searching operators:', error);
+    broadcastLog(`Error searching operators: ${error.message}`, 'error');
+    res.status(500).json({
+      error: 'Failed to search operators',
+      message: error.message
+    });
+  } finally {
+    release();
+  }
+});
+
+// ===== Catalog snapshots =====
+// Every time a catalog's content changes (a first fetch, a refresh that brings a new digest, or
+// a changed local tree) a snapshot of its parsed model is stored under
+// CATALOG_SNAPSHOT_DIR/<cache key>/<id>.json, where the id is the time it was taken and the
+// digest it was taken from. Snapshots outlive cache evictions and refreshes, so any two of them
+// can be compared into a changelog of new and removed bundles, channels and deprecations.
+
+const CATALOG_SNAPSHOT_FORMAT = 1;
+// Ids of earlier snapshots have no milliseconds
+const SNAPSHOT_ID_PATTERN = /^\d{8}T\d{6}(\d{3})?Z-[a-z0-9]{1,12}$/;
+
+// Whether a scheduled refresh is in progress
+let catalogRefreshRunning = false;
+
+// Helper function to build the snapshot model of a package
+// Keeps what a changelog reports: the default channel, channel entries, bundle versions and
+// deprecations
+function extractSnapshotPackage(name, parsedObjects) {
+  const packageObj = parsedObjects.find(obj => obj && obj.schema === 'olm.package');
+  const bundleVersions = getBundleVersions(parsedObjects);
+  const deprecations = extractDeprecations(parsedObjects);
+
+  const channels = {};
+  for (const channelObj of parsedObjects.filter(obj => obj && obj.schema === 'olm.channel' && obj.name)) {
+    const entries = Array.isArray(channelObj.entries) ? channelObj.entries : [];
+    channels[channelObj.name] = {
+      entries: entries.map(entry => entry && entry.name).filter(Boolean),
+      deprecation: deprecations.channels[channelObj.name] || null
+    };
+  }
+
+  const bundles = {};
+  for (const bundle of parsedObjects.filter(obj => obj && obj.schema === 'olm.bundle' && obj.name)) {
+    bundles[bundle.name] = {
+      version: bundleVersions.get(bundle.name) || null,
+      deprecation: deprecations.bundles[bundle.name] || null
+    };
+  }
+
+  return {
+    name,
+    defaultChannel: packageObj && packageObj.defaultChannel ? packageObj.defaultChannel : null,
+    deprecation: deprecations.package,
+    channels,
+    bundles
+  };
+}
+
+// Helper function to get the directory holding the snapshots of a catalog version
+function getSnapshotDir(catalogRef) {
+  return path.join(CATALOG_SNAPSHOT_DIR, catalogRef.cacheKey);
+}
+
+// Helper function to read a stored snapshot (null when it does not exist)
+async function readCatalogSnapshot(catalogRef, id) {
+  if (!SNAPSHOT_ID_PATTERN.test(id)) {
+    return null;
+  }
+  try {
+    return JSON.parse(await fs.readFile(path.join(getSnapshotDir(catalogRef), `${id}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Helper function to list the snapshot ids of a catalog version, oldest first
+async function listCatalogSnapshotIds(catalogRef) {
+  const snapshotDir = getSnapshotDir(catalogRef);
+  if (!(await pathExists(snapshotDir))) {
+    return [];
+  }
+  const files = await fs.readdir(snapshotDir);
+  return files
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .filter(id => SNAPSHOT_ID_PATTERN.test(id))
+    .sort();
+}
+
+// Helper function to describe a snapshot without its packages
+function summarizeCatalogSnapshot(snapshot) {
+  const packages = snapshot.packages.filter(pkg => !pkg.unparsed);
+  return {
+    id: snapshot.id,
+    takenAt: snapshot.takenAt,
+    digest: snapshot.digest,
+    packageCount: snapshot.packages.length,
+    bundleCount: packages.reduce((count, pkg) => count + Object.keys(pkg.bundles).length, 0)
+  };
+}
+
+// Helper function to store a snapshot of a catalog version, unless the latest snapshot was
+// taken from the same content, and prune the oldest beyond CATALOG_SNAPSHOT_LIMIT
+async function saveCatalogSnapshot(catalogRef, { stamp, cache, packages }) {
+  const ids = await listCatalogSnapshotIds(catalogRef);
+  if (ids.length > 0) {
+    const latest = await readCatalogSnapshot(catalogRef, ids[ids.length - 1]);
+    if (latest && latest.stamp === stamp) {
+      return null;
+    }
+  }
+
+  const takenAt = new Date();
+  const digest = cache && cache.digest ? cache.digest : null;
+  const digestPart = digest ? digest.replace(/^sha256:/, '').substring(0, 12) : 'local';
+  // Milliseconds keep the ids of snapshots taken within the same second apart
+  const id = `${takenAt.toISOString().replace(/[-:.]/g, '')}-${digestPart}`;
+  const snapshot = {
+    format: CATALOG_SNAPSHOT_FORMAT,
+    id,
+    catalog: catalogRef.catalog,
+    version: catalogRef.version,
+    image: catalogRef.image,
+    digest,
+    stamp,
+    takenAt: takenAt.toISOString(),
+    packages
+  };
+
+  const snapshotDir = getSnapshotDir(catalogRef);
+  await fs.mkdir(snapshotDir, { recursive: true });
+  const snapshotFile = path.join(snapshotDir, `${id}.json`);
+  const tempFile = `${snapshotFile}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(snapshot));
+  await fs.rename(tempFile, snapshotFile);
+  console.log(`Recorded snapshot ${id} of ${catalogRef.image}`);
+  broadcastLog(`Recorded snapshot ${id} of ${catalogRef.image}`, 'info');
+
+  for (const oldId of [...ids, id].slice(0, Math.max(0, ids.length + 1 - CATALOG_SNAPSHOT_LIMIT))) {
+    await fs.rm(path.join(snapshotDir, `${oldId}.json`), { force: true });
+  }
+  return snapshot;
+}
+
+// Helper function to compare two snapshots of a catalog version
+// Packages that could not be parsed in either snapshot are left out
+function diffCatalogSnapshots(fromSnapshot, toSnapshot) {
+  const fromPackages = new Map(fromSnapshot.packages.map(pkg => [pkg.name, pkg]));
+  const toPackages = new Map(toSnapshot.packages.map(pkg => [pkg.name, pkg]));
+  const changelog = {
+    addedPackages: [],
+    removedPackages: [],
+    defaultChannelChanges: [],
+    addedChannels: [],
+    removedChannels: [],
+    addedBundles: [],
+    removedBundles: [],
+    addedDeprecations: [],
+    removedDeprecations: []
+  };
+
+  // Deprecations of a package model as { scope, name, message } entries
+  const listDeprecations = pkg => [
+    ...(pkg.deprecation ? [{ scope: 'package', name: pkg.name, message: pkg.deprecation }] : []),
+    ...Object.entries(pkg.channels).filter(([, channel]) => channel.deprecation)
+      .map(([name, channel]) => ({ scope: 'channel', name, message: channel.deprecation })),
+    ...Object.entries(pkg.bundles).filter(([, bundle]) => bundle.deprecation)
+      .map(([name, bundle]) => ({ scope: 'bundle', name, message: bundle.deprecation }))
+  ];
+  // Channels of a package model that list a bundle
+  const channelsOf = (pkg, bundleName) => Object.entries(pkg.channels)
+    .filter(([, channel]) => channel.entries.includes(bundleName))
+    .map(([name]) => name);
+
+  for (const name of [...new Set([...fromPackages.keys(), ...toPackages.keys()])].sort()) {
+    const fromPkg = fromPackages.get(name);
+    const toPkg = toPackages.get(name);
+    if ((fromPkg && fromPkg.unparsed) || (toPkg && toPkg.unparsed)) {
+      continue;
+    }
+    // Added and removed packages are listed once, not with each of their channels and bundles
+    if (!fromPkg || !toPkg) {
+      const pkg = fromPkg || toPkg;
+      const summary = { name, defaultChannel: pkg.defaultChannel, channels: Object.keys(pkg.channels), bundleCount: Object.keys(pkg.bundles).length };
+      (fromPkg ? changelog.removedPackages : changelog.addedPackages).push(summary);
+      continue;
+    }
+    if (fromPkg.defaultChannel !== toPkg.defaultChannel) {
+      changelog.defaultChannelChanges.push({ package: name, from: fromPkg.defaultChannel, to: toPkg.defaultChannel });
+    }
+
+    const before = fromPkg;
+    const after = toPkg;
+    for (const channel of Object.keys(after.channels).filter(channel => !before.channels[channel])) {
+      changelog.addedChannels.push({ package: name, channel });
+    }
+    for (const channel of Object.keys(before.channels).filter(channel => !after.channels[channel])) {
+      changelog.removedChannels.push({ package: name, channel });
+    }
+    for (const bundle of Object.keys(after.bundles).filter(bundle => !before.bundles[bundle])) {
+      changelog.addedBundles.push({ package: name, bundle, version: after.bundles[bundle].version, channels: channelsOf(after, bundle) });
+    }
+    for (const bundle of Object.keys(before.bundles).filter(bundle => !after.bundles[bundle])) {
+      changelog.removedBundles.push({ package: name, bundle, version: before.bundles[bundle].version, channels: channelsOf(before, bundle) });
+    }
+
+    const key = deprecation => `${deprecation.scope}/${deprecation.name}/${deprecation.message}`;
+    const beforeDeprecations = new Set(listDeprecations(before).map(key));
+    const afterDeprecations = new Set(listDeprecations(after).map(key));
+    for (const deprecation of listDeprecations(after).filter(entry => !beforeDeprecations.has(key(entry)))) {
+      changelog.addedDeprecations.push({ package: name, ...deprecation });
+    }
+    for (const deprecation of listDeprecations(before).filter(entry => !afterDeprecations.has(key(entry)))) {
+      changelog.removedDeprecations.push({ package: name, ...deprecation });
+    }
+  }
+
+  return changelog;
+}
+
+// Helper function to list the catalogs the scheduled refresh covers
+// CATALOG_REFRESH_CATALOGS when set, otherwise every cached catalog that can be pulled again
+async function listRefreshTargets() {
+  const references = CATALOG_REFRESH_CATALOGS.length > 0
+    ? CATALOG_REFRESH_CATALOGS
+    : (await listCacheEntries()).filter(entry => entry.image && !entry.imported).map(entry => entry.image);
+
+  const targets = [];
+  for (const reference of references) {
+    try {
+      targets.push(resolveCatalog(reference));
+    } catch (error) {
+      console.error(`Skipping scheduled refresh of ${reference}: ${error.message}`);
+    }
+  }
+  return targets;
+}
+
+// Helper function to refresh one catalog if the registry serves new content, and index it,
+// which records a snapshot when the content changed
+async function refreshCatalogIfChanged(catalogRef) {
+  if (catalogSource.getRemoteDigest && await isCatalogCached(catalogRef)) {
+    await checkRemoteDigest(catalogRef.image, catalogSource.getRemoteDigest, { force: true });
+  }
+
+  const release = holdCatalogReader(catalogRef.cacheKey);
+  try {
+    let opened = await openCatalog(catalogRef);
+    if (opened.cache && opened.cache.stale) {
+      broadcastLog(`Scheduled refresh: ${catalogRef.image} has changed, pulling it again`, 'info', { global: true });
+      opened = await openCatalog(catalogRef, { refresh: true });
+    }
+    await getSearchIndex(catalogRef, opened);
+  } finally {
+    release();
+  }
+}
+
+// Helper function to run the scheduled refresh over every target, one catalog at a time
+async function runScheduledRefresh() {
+  if (catalogRefreshRunning) {
+    return;
+  }
+  catalogRefreshRunning = true;
+  try {
+    const targets = await listRefreshTargets();
+    console.log(`Scheduled refresh of ${targets.length} catalog(s)`);
+    for (const catalogRef of targets) {
+      try {
+        await refreshCatalogIfChanged(catalogRef);
+      } catch (error) {
+        console.error(`Scheduled refresh of ${catalogRef.image} failed:`, error);
+        broadcastLog(`Scheduled refresh of ${catalogRef.image} failed: ${error.message}`, 'warning', { global: true });
+      }
+    }
+  } finally {
+    catalogRefreshRunning = false;
+  }
+}
+
+// Helper function to start the scheduled refresh when CATALOG_REFRESH_INTERVAL is set
+// The next run is scheduled once the previous one has finished
+function scheduleCatalogRefresh() {
+  if (CATALOG_REFRESH_INTERVAL <= 0) {
+    return;
+  }
+  setTimeout(() => {
+    // The refresh is not started by any session, so its progress is not sent to the browsers
+    logContext.run({ sessionId: null, serverOnly: true }, runScheduledRefresh).finally(scheduleCatalogRefresh);
+  }, CATALOG_REFRESH_INTERVAL);
+}
+
+// API endpoint to list the snapshots recorded for a catalog version
+app.get('/api/catalog-snapshots', async (req, res) => {
+  const { catalog, version } = req.query;
+
+  // Validate input
+  if (!catalog) {
+    return res.status(400).json({
+      error: 'Missing required parameters: catalog and version are required'
+    });
+  }
+
+  let catalogRef;
+  try {
+    catalogRef = resolveCatalog(catalog, version);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid catalog: ${error.message}`
+    });
+  }
+
+  try {
+    const snapshots = [];
+    for (const id of await listCatalogSnapshotIds(catalogRef)) {
+      const snapshot = await readCatalogSnapshot(catalogRef, id);
+      if (snapshot) {
+        snapshots.push(summarizeCatalogSnapshot(snapshot));
+      }
+    }
+
+    res.json({
+      catalog: catalogRef.catalog,
+      version: catalogRef.version,
+      image: catalogRef.image,
+      snapshots: snapshots.reverse() // Newest first
+    });
+  } catch (error) {
+    console.error('Error listing catalog snapshots:', error);
+    res.status(500).json({
+      error: 'Failed to list catalog snapshots',
+      message: error.message
+    });
+  }
+});
+
+// API endpoint to list the changes between two snapshots of a catalog version
+app.get('/api/catalog-changelog', async (req, res) => {
+  const { catalog, version } = req.query;
+
+  // Validate input
+  if (!catalog) {
+    return res.status(400).json({
+      error: 'Missing required parameters: catalog and version are required'
+    });
+  }
+
+  for (const param of ['from', 'to']) {
+    if (req.query[param] !== undefined && (typeof req.query[param] !== 'string' || !SNAPSHOT_ID_PATTERN.test(req.query[param]))) {
+      return res.status(400).json({
+        error: `Invalid ${param}: must be a snapshot id such as 20240514T093000Z-0123456789ab`
+      });
+    }
+  }
+
+  let catalogRef;
+  try {
+    catalogRef = resolveCatalog(catalog, version);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid catalog: ${error.message}`
+    });
+  }
+
+  try {
+    // Without ids, the latest snapshot is compared with the one before it
+    const ids = await listCatalogSnapshotIds(catalogRef);
+    const toId = req.query.to || ids[ids.length - 1];
+    const fromId = req.query.from || ids[ids.lastIndexOf(toId) - 1];
+    if (!fromId || !toId) {
+      return res.status(404).json({
+        error: 'Not enough snapshots',
+        message: `${catalogRef.image} needs two snapshots to compare, it has ${ids.length}. A snapshot is recorded each time the catalog content changes.`
+      });
+    }
 
-    // Check if operator directory exists
-    try {
-      await fs.access(operatorDir);
-    } catch {
-      // Try to extract if not cached
-      broadcastLog(`Operator directory not found, attempting to fetch catalog...`, 'warning');
-      
-      // Trigger catalog fetch (this will cache it)
-      const imageName = `registry.redhat.io/redhat/${catalog}:${version}`;
-      const pullResult = await executeCommand(`podman pull ${imageName}`);
-      if (!pullResult.success) {
-        throw new Error(`Failed to pull image: ${pullResult.stderr}`);
+    const fromSnapshot = await readCatalogSnapshot(catalogRef, fromId);
+    const toSnapshot = await readCatalogSnapshot(catalogRef, toId);
+    if (!fromSnapshot || !toSnapshot) {
+      return res.status(404).json({
+        error: 'Snapshot not found',
+        message: `No snapshot ${!fromSnapshot ? fromId : toId} of ${catalogRef.image}`
+      });
+    }
+
+    const changelog = diffCatalogSnapshots(fromSnapshot, toSnapshot);
+    res.json({
+      catalog: catalogRef.catalog,
+      version: catalogRef.version,
+      image: catalogRef.image,
+      from: summarizeCatalogSnapshot(fromSnapshot),
+      to: summarizeCatalogSnapshot(toSnapshot),
+      ...changelog
+    });
+  } catch (error) {
+    console.error('Error building catalog changelog:', error);
+    res.status(500).json({
+      error: 'Failed to build catalog changelog',
+      message: error.message
+    });
+  }
+});
+
+// ===== Dependency resolution =====
+// Bundles declare the operators they need with olm.package.required (a package and a version
+// range) and olm.gvk.required (an API some package has to provide). Dependencies are resolved
+// against the same catalog, following the requirements of every resolved dependency in turn.
+
+// Packages a single resolution may look at, to bound the work on cyclic or very deep graphs
+const DEPENDENCY_RESOLUTION_LIMIT = 100;
+
+// Helper function to list the bundles a selection mirrors from its channel
+// A selection mirrors the versions from version (its minVersion) up to maxVersion, or up to the
+// channel head without one; full selections mirror the whole channel, and a selection without
+// versions only the channel head, as oc-mirror does. The head is part of every open-ended range.
+function findSelectionBundles(pkgData, { channel: channelName, version: minVersion, maxVersion, full }) {
+  const graph = pkgData.graph.channels.find(g => g.name === channelName);
+  if (!graph) {
+    return [];
+  }
+  const isBound = (entry, bound) => Boolean(bound) && (entry.version === bound || entry.name === bound);
+  const withinRange = entry => {
+    if (isBound(entry, minVersion) || isBound(entry, maxVersion)) {
+      return true;
+    }
+    if (!entry.version || !semver.valid(entry.version)) {
+      return false;
+    }
+    return (!minVersion || (semver.valid(minVersion) && semver.gte(entry.version, minVersion))) &&
+      (!maxVersion || (semver.valid(maxVersion) && semver.lte(entry.version, maxVersion)));
+  };
+
+  const hasRange = Boolean(minVersion || maxVersion);
+  const entries = graph.entries.filter(entry =>
+    full || (hasRange && withinRange(entry)) || (!maxVersion && entry.name === graph.head));
+  return entries.map(entry => pkgData.bundles.get(entry.name)).filter(Boolean);
+}
+
+// Helper function to find the channel of a package that satisfies a requirement
+// matches(bundle, entry) decides whether a channel entry satisfies it. The default channel is
+// preferred, then the other channels by name. Resolves to { channel, minVersion, bundle } with
+// the lowest matching version and the highest matching bundle, or null.
+function chooseDependencyChannel(pkgData, matches) {
+  const graphs = [...pkgData.graph.channels].sort((a, b) =>
+    (b.name === pkgData.defaultChannel) - (a.name === pkgData.defaultChannel) || a.name.localeCompare(b.name));
+  for (const graph of graphs) {
+    const matching = graph.entries
+      .filter(entry => pkgData.bundles.has(entry.name) && matches(pkgData.bundles.get(entry.name), entry))
+      .sort((a, b) => compareChannelVersions(a.version || a.name, b.version || b.name));
+    if (matching.length > 0) {
+      const highest = matching[0];
+      const lowest = matching[matching.length - 1];
+      return { channel: graph.name, minVersion: lowest.version || lowest.name, bundle: pkgData.bundles.get(highest.name) };
+    }
+  }
+  return null;
+}
+
+// Packages providing each API by search index, so the providers of a catalog are only
+// collected once per index (the search index itself is built once per catalog stamp)
+const apiProvidersByIndex = new WeakMap();
+
+// Helper function to get the packages providing each API of a catalog: a Map of GVK to names
+function getAPIProviders(index) {
+  let providers = apiProvidersByIndex.get(index);
+  if (!providers) {
+    providers = new Map();
+    for (const pkg of index.packages) {
+      for (const gvk of pkg.providedAPIs || []) {
+        providers.set(gvk, [...(providers.get(gvk) || []), pkg.name]);
       }
+    }
+    apiProvidersByIndex.set(index, providers);
+  }
+  return providers;
+}
 
-      const imageId = await getImageId(imageName);
-      const containerId = (await executeCommand(`podman create --name catalog-temp-${Date.now()} ${imageId}`)).stdout.trim();
-      
-      await fs.mkdir(cacheDir, { recursive: true });
-      await executeCommand(`podman cp ${containerId}:/configs ${cacheDir}/`);
-      await executeCommand(`podman rm ${containerId}`);
-      
-      // Check again
-      try {
-        await fs.access(operatorDir);
-      } catch {
-        throw new Error(`Operator '${operator}' not found in catalog ${catalog}:${version}`);
+// Helper function to list the requirements of a bundle
+function getBundleRequirements(bundle) {
+  const requirements = (Array.isArray(bundle.properties) ? bundle.properties : [])
+    .filter(prop => prop && prop.type === 'olm.package.required' && prop.value && prop.value.packageName)
+    .map(prop => ({ type: 'package', packageName: prop.value.packageName, versionRange: prop.value.versionRange || '*' }));
+  for (const gvk of getBundleGVKs(bundle, 'olm.gvk.required')) {
+    requirements.push({ type: 'gvk', gvk: formatGVK(gvk), ...gvk });
+  }
+  return requirements;
+}
+
+// Helper function to resolve the dependencies of selected packages
+// selections are { name, channel, version, maxVersion, full } where version is the minVersion. Resolves to
+//   { dependencies: [{ name, channel, minVersion, bundle, selected, requiredBy, reasons }],
+//     unresolved: [{ requiredBy, requirement, reason }] }
+// where selected dependencies are already part of the selections
+async function resolveDependencies(catalogRef, opened, selections) {
+  const { configsDir } = opened;
+  const packageCache = new Map();
+  const loadPackage = async name => {
+    if (!packageCache.has(name)) {
+      const packageDir = resolvePackageDir(configsDir, name);
+      let pkgData = null;
+      if (await pathExists(packageDir)) {
+        const { objects } = await parseFBCDirectory(packageDir);
+        const { defaultChannel, channels } = extractChannelsAndVersions(objects);
+        pkgData = {
+          name,
+          defaultChannel,
+          channels,
+          graph: buildUpgradeGraph(objects),
+          bundles: new Map(objects.filter(obj => obj && obj.schema === 'olm.bundle' && obj.name).map(obj => [obj.name, obj]))
+        };
       }
+      packageCache.set(name, pkgData);
     }
+    return packageCache.get(name);
+  };
 
-    // Parse FBC directory
-    broadcastLog(`Parsing FBC directory for operator: ${operator}`, 'info');
-    const parsedObjects = await parseFBCDirectory(operatorDir);
-    
-    console.log(`Parsed ${parsedObjects.length} objects from FBC directory`);
-    
-    // Extract channels and versions
-    const { defaultChannel, channels } = extractChannelsAndVersions(parsedObjects);
+  const selectedChannels = new Map(selections.map(sel => [sel.name, sel]));
+  const dependencies = new Map();
+  const unresolved = [];
+  let apiProviders = null;
 
-    console.log(`Extracted ${channels.length} channel(s), default: ${defaultChannel || 'none'}`);
-    broadcastLog(`Found ${channels.length} channel(s) for operator ${operator}`, 'success');
-    
-    // If no channels found, log the structure for debugging
-    if (channels.length === 0) {
-      console.log('No channels found. Sample object keys:', parsedObjects.slice(0, 3).map(obj => Object.keys(obj || {})));
-      broadcastLog(`Warning: No channels extracted. Check server logs for details.`, 'warning');
+  // Bundles whose requirements still have to be checked; every bundle a selection mirrors is
+  // checked, and a requirement shared by several bundles of a package is resolved once
+  const queue = [];
+  for (const sel of selections) {
+    const pkgData = await loadPackage(sel.name);
+    for (const bundle of pkgData ? findSelectionBundles(pkgData, sel) : []) {
+      queue.push({ packageName: sel.name, bundle });
+    }
+  }
+  const checkedRequirements = new Set();
+
+  while (queue.length > 0) {
+    const { packageName, bundle } = queue.shift();
+    const requirer = `${packageName} ${getBundleVersions([bundle]).get(bundle.name) || bundle.name}`;
+
+    for (const requirement of getBundleRequirements(bundle)) {
+      const requirementKey = `${packageName}|${requirement.type === 'gvk' ? requirement.gvk : `${requirement.packageName} ${requirement.versionRange}`}`;
+      if (checkedRequirements.has(requirementKey)) {
+        continue;
+      }
+      checkedRequirements.add(requirementKey);
+
+      let candidates;
+      let matches;
+      let describe;
+      if (requirement.type === 'package') {
+        const range = semver.validRange(requirement.versionRange);
+        if (!range) {
+          unresolved.push({ requiredBy: requirer, requirement: `package ${requirement.packageName} ${requirement.versionRange}`, reason: 'Invalid version range' });
+          continue;
+        }
+        candidates = [requirement.packageName];
+        matches = (candidate, entry) => Boolean(entry.version && semver.valid(entry.version) &&
+          semver.satisfies(entry.version, range, { includePrerelease: true }));
+        describe = `${requirer} requires package ${requirement.packageName} ${requirement.versionRange}`;
+      } else {
+        // Any package providing the API will do; already selected or resolved ones come first.
+        // Providers come from the cached search index, which fetching the catalog prepares
+        if (!apiProviders) {
+          apiProviders = getAPIProviders(await getSearchIndex(catalogRef, opened));
+        }
+        candidates = (apiProviders.get(requirement.gvk) || [])
+          .filter(name => name !== packageName)
+          .sort((a, b) => (selectedChannels.has(b) || dependencies.has(b)) - (selectedChannels.has(a) || dependencies.has(a)));
+        matches = candidate => getBundleGVKs(candidate, 'olm.gvk').some(gvk => formatGVK(gvk) === requirement.gvk);
+        describe = `${requirer} requires API ${requirement.gvk}`;
+      }
+
+      let resolved = false;
+      let failure = candidates.length === 0
+        ? (requirement.type === 'gvk' ? 'No package in the catalog provides this API' : 'Package not found in the catalog')
+        : 'No channel has a matching version';
+      for (const candidateName of candidates) {
+        const existing = dependencies.get(candidateName);
+        if (existing) {
+          existing.requiredBy = [...new Set([...existing.requiredBy, packageName])];
+          existing.reasons.push(requirement.type === 'gvk' ? `${describe}, provided by ${candidateName}` : describe);
+          resolved = true;
+          break;
+        }
+        if (dependencies.size + selections.length >= DEPENDENCY_RESOLUTION_LIMIT) {
+          failure = `Resolution stopped after ${DEPENDENCY_RESOLUTION_LIMIT} packages`;
+          break;
+        }
+
+        const pkgData = await loadPackage(candidateName);
+        if (!pkgData) {
+          failure = 'Package not found in the catalog';
+          continue;
+        }
+
+        // A selected package satisfies the requirement when its channel has a matching version
+        const selected = selectedChannels.get(candidateName);
+        const choice = selected
+          ? chooseDependencyChannel({ ...pkgData, graph: { channels: pkgData.graph.channels.filter(g => g.name === selected.channel) } }, matches)
+          : chooseDependencyChannel(pkgData, matches);
+        if (!choice) {
+          if (selected) {
+            failure = `The selected channel ${selected.channel} of ${candidateName} has no matching version`;
+          }
+          continue;
+        }
+
+        dependencies.set(candidateName, {
+          name: candidateName,
+          channel: choice.channel,
+          minVersion: selected ? selected.version || null : choice.minVersion,
+          bundle: choice.bundle.name,
+          selected: Boolean(selected),
+          requiredBy: [packageName],
+          reasons: [requirement.type === 'gvk' ? `${describe}, provided by ${candidateName}` : describe]
+        });
+        if (!selected) {
+          queue.push({ packageName: candidateName, bundle: choice.bundle });
+        }
+        resolved = true;
+        break;
+      }
+
+      if (!resolved) {
+        unresolved.push({
+          requiredBy: requirer,
+          requirement: requirement.type === 'gvk' ? `API ${requirement.gvk}` : `package ${requirement.packageName} ${requirement.versionRange}`,
+          reason: failure
+        });
+      }
     }
+  }
+
+  return { dependencies: [...dependencies.values()], unresolved };
+}
+
+// API endpoint to resolve the dependencies of the packages selected for an ImageSetConfiguration
+app.post('/api/resolve-dependencies', async (req, res) => {
+  const { catalog, version, packages } = req.body;
+
+  if (!catalog || !packages || !Array.isArray(packages)) {
+    return res.status(400).json({
+      error: 'Missing required fields: catalog, version, and packages array are required'
+    });
+  }
+
+  let catalogRef;
+  try {
+    catalogRef = resolveCatalog(catalog, version);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid catalog: ${error.message}`
+    });
+  }
+
+  const packagesError = validateEntries(packages, 'packages', {
+    name: validatePackageName,
+    channel: validateChannelName,
+    version: validateBundleVersion,
+    maxVersion: validateBundleVersion,
+    full: validateFlag
+  }, ['version', 'maxVersion', 'full']);
+  if (packagesError) {
+    return res.status(400).json({
+      error: `Invalid packages: ${packagesError}`
+    });
+  }
+
+  const release = holdCatalogReader(catalogRef.cacheKey);
+  try {
+    const opened = await openCatalog(catalogRef);
+    broadcastLog(`Resolving dependencies of ${packages.map(pkg => pkg.name).join(', ')}...`, 'info');
+    const { dependencies, unresolved } = await resolveDependencies(catalogRef, opened, packages);
+
+    const missing = dependencies.filter(dependency => !dependency.selected);
+    broadcastLog(`Found ${missing.length} missing dependenc${missing.length === 1 ? 'y' : 'ies'}${unresolved.length > 0 ? `, ${unresolved.length} unresolved requirement(s)` : ''}`,
+      unresolved.length > 0 ? 'warning' : 'success');
 
     res.json({
-      operator,
-      catalog,
-      version,
+      catalog: catalogRef.catalog,
+      version: catalogRef.version,
+      image: catalogRef.image,
+      cache: opened.cache,
+      dependencies,
+      unresolved
+    });
+  } catch (error) {
+    console.error('Error resolving dependencies:', error);
+    broadcastLog(`Error resolving dependencies: ${error.message}`, 'error');
+    res.status(500).json({
+      error: 'Failed to resolve dependencies',
+      message: error.message
+    });
+  } finally {
+    release();
+  }
+});
+
+// ===== Catalog diff =====
+// Compares two catalogs, typically the same index for two OpenShift versions, package by package.
+// Both sides come from the catalogs' search indexes, so a catalog is parsed once however often
+// it is compared.
+
+// Helper function to describe a package that is only in one of the catalogs
+function summarizeDiffPackage(pkg) {
+  return {
+    name: pkg.name,
+    displayName: pkg.displayName,
+    defaultChannel: pkg.defaultChannel,
+    channels: pkg.channels ? pkg.channels.map(channel => channel.name) : []
+  };
+}
+
+// Helper function to compare a package present in both catalogs
+// Returns null when its default channel, channels and channel heads are the same
+function diffCatalogPackage(fromPkg, toPkg) {
+  const fromChannels = new Map(fromPkg.channels.map(channel => [channel.name, channel]));
+  const toChannels = new Map(toPkg.channels.map(channel => [channel.name, channel]));
+
+  const headChanges = [];
+  for (const [name, toChannel] of toChannels) {
+    const fromChannel = fromChannels.get(name);
+    if (fromChannel && (fromChannel.head !== toChannel.head || fromChannel.latestVersion !== toChannel.latestVersion)) {
+      headChanges.push({
+        channel: name,
+        from: { head: fromChannel.head, version: fromChannel.latestVersion },
+        to: { head: toChannel.head, version: toChannel.latestVersion }
+      });
+    }
+  }
+
+  const change = {
+    name: toPkg.name,
+    displayName: toPkg.displayName || fromPkg.displayName,
+    defaultChannel: fromPkg.defaultChannel !== toPkg.defaultChannel
+      ? { from: fromPkg.defaultChannel, to: toPkg.defaultChannel }
+      : null,
+    addedChannels: [...toChannels.keys()].filter(name => !fromChannels.has(name)),
+    removedChannels: [...fromChannels.keys()].filter(name => !toChannels.has(name)),
+    headChanges
+  };
+
+  const changed = change.defaultChannel || change.addedChannels.length > 0 ||
+    change.removedChannels.length > 0 || headChanges.length > 0;
+  return changed ? change : null;
+}
+
+// Helper function to compare the packages of two catalog indexes
+// Packages that could not be parsed on either side are listed apart instead of compared
+function diffCatalogIndexes(fromPackages, toPackages) {
+  const fromByName = new Map(fromPackages.map(pkg => [pkg.name, pkg]));
+  const toByName = new Map(toPackages.map(pkg => [pkg.name, pkg]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const unparsed = [];
+  let unchanged = 0;
+
+  for (const [name, toPkg] of toByName) {
+    const fromPkg = fromByName.get(name);
+    if (!fromPkg) {
+      added.push(summarizeDiffPackage(toPkg));
+    } else if (!fromPkg.channels || !toPkg.channels) {
+      unparsed.push(name);
+    } else {
+      const change = diffCatalogPackage(fromPkg, toPkg);
+      if (change) {
+        changed.push(change);
+      } else {
+        unchanged++;
+      }
+    }
+  }
+  for (const [name, fromPkg] of fromByName) {
+    if (!toByName.has(name)) {
+      removed.push(summarizeDiffPackage(fromPkg));
+    }
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return {
+    added: added.sort(byName),
+    removed: removed.sort(byName),
+    changed: changed.sort(byName),
+    unparsed: unparsed.sort(),
+    unchanged
+  };
+}
+
+// API endpoint to compare the packages of two catalogs
+app.get('/api/catalog-diff', async (req, res) => {
+  const { catalog, from, to, toCatalog } = req.query;
+
+  // Validate input
+  if (!catalog || !from || !to) {
+    return res.status(400).json({
+      error: 'Missing required parameters: catalog, from, and to are required'
+    });
+  }
+
+  let fromRef;
+  let toRef;
+  try {
+    fromRef = resolveCatalog(catalog, from);
+    toRef = resolveCatalog(toCatalog || catalog, to);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid catalog: ${error.message}`
+    });
+  }
+
+  if (fromRef.cacheKey === toRef.cacheKey) {
+    return res.status(400).json({
+      error: 'Invalid comparison: from and to are the same catalog'
+    });
+  }
+
+  const releaseFrom = holdCatalogReader(fromRef.cacheKey);
+  const releaseTo = holdCatalogReader(toRef.cacheKey);
+  try {
+    broadcastLog(`Comparing ${fromRef.image} with ${toRef.image}...`, 'info');
+    // One catalog at a time, pulling and indexing are heavy. An index is only built when the
+    // catalog has none for its current stamp; otherwise the cached search-index.json is read
+    const fromOpened = await openCatalog(fromRef);
+    const fromIndex = await getSearchIndex(fromRef, fromOpened);
+    const toOpened = await openCatalog(toRef);
+    const toIndex = await getSearchIndex(toRef, toOpened);
+
+    const diff = diffCatalogIndexes(fromIndex.packages, toIndex.packages);
+    broadcastLog(`${diff.added.length} operator(s) added, ${diff.removed.length} removed and ${diff.changed.length} changed between ${fromRef.version} and ${toRef.version}`, 'success');
+    if (diff.unparsed.length > 0) {
+      broadcastLog(`Could not compare ${diff.unparsed.length} operator(s) that failed to parse: ${diff.unparsed.slice(0, 10).join(', ')}`, 'warning');
+    }
+
+    const describe = (ref, opened, index) => ({
+      catalog: ref.catalog,
+      version: ref.version,
+      image: ref.image,
+      cache: opened.cache,
+      indexedAt: index.builtAt,
+      packageCount: index.packages.length
+    });
+
+    res.json({
+      from: describe(fromRef, fromOpened, fromIndex),
+      to: describe(toRef, toOpened, toIndex),
+      ...diff
+    });
+  } catch (error) {
+    console.error('Error comparing catalogs:', error);
+    broadcastLog(`Error comparing catalogs: ${error.message}`, 'error');
+    res.status(500).json({
+      error: 'Failed to compare catalogs',
+      message: error.message
+    });
+  } finally {
+    releaseFrom();
+    releaseTo();
+  }
+});
+
+// ===== Operator availability =====
+// Shows which catalogs and OpenShift versions carry an operator. Only the operator's own
+// package directory is parsed in each catalog. Catalogs that are not cached are reported as
+// such unless the caller asks to fetch them, since pulling a catalog can take minutes.
+
+// Versions compared when none are given: the newest ones published by any of the catalogs
+const AVAILABILITY_DEFAULT_VERSIONS = 6;
+const AVAILABILITY_MAX_CELLS = 100;
+
+// Helper function to tell whether a catalog can be read without pulling it
+async function isCatalogCached(catalogRef) {
+  if (catalogSource.name === 'local') {
+    return true;
+  }
+  return pathExists(path.join(CATALOG_CACHE_DIR, catalogRef.cacheKey, 'configs'));
+}
+
+// Helper function to describe an operator in one catalog version
+// Resolves to { status, ... } where status is available, absent, not-cached or error
+async function readOperatorAvailability(catalogRef, packageName, { fetch = false } = {}) {
+  const cell = { catalog: catalogRef.catalog, version: catalogRef.version, image: catalogRef.image };
+  if (!fetch && !(await isCatalogCached(catalogRef))) {
+    return { ...cell, status: 'not-cached' };
+  }
+
+  const release = holdCatalogReader(catalogRef.cacheKey);
+  try {
+    const { configsDir, cache } = await openCatalog(catalogRef);
+    const packageDir = resolvePackageDir(configsDir, packageName);
+    if (!(await pathExists(packageDir))) {
+      return { ...cell, status: 'absent', cache };
+    }
+
+    const { objects } = await parseFBCDirectory(packageDir);
+    const { defaultChannel, channels, deprecations } = extractChannelsAndVersions(objects);
+    const channel = channels.find(entry => entry.name === defaultChannel);
+    return {
+      ...cell,
+      status: 'available',
+      cache,
       defaultChannel,
-      channels,
-      rawData: parsedObjects // Include raw parsed data for debugging/advanced use
+      headVersion: channel ? channel.latestVersion : null,
+      channels: channels.map(entry => entry.name),
+      deprecated: deprecations.package
+    };
+  } catch (error) {
+    console.error(`Failed to read ${packageName} from ${catalogRef.image}:`, error.message);
+    return { ...cell, status: 'error', error: error.message };
+  } finally {
+    release();
+  }
+}
+
+// API endpoint to show which catalogs and OpenShift versions carry an operator
+app.get('/api/operator-availability', async (req, res) => {
+  const { operator, catalogs, versions } = req.query;
+  const fetchMissing = req.query.fetch === 'true';
+
+  // Validate input
+  if (!operator) {
+    return res.status(400).json({
+      error: 'Missing required parameter: operator is required'
+    });
+  }
+
+  const operatorError = validatePackageName(operator);
+  if (operatorError) {
+    return res.status(400).json({
+      error: `Invalid operator: ${operatorError}`
     });
+  }
 
+  const splitList = value => typeof value === 'string' && value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+  const catalogNames = catalogs ? splitList(catalogs) : catalogRegistry.catalogs.map(entry => entry.name);
+  let resolvedCatalogs;
+  try {
+    resolvedCatalogs = catalogNames.map(name => ({ ...resolveCatalogImage(name), name }));
   } catch (error) {
-    console.error('Error getting operator details:', error);
-    broadcastLog(`Error getting operator details: ${error.message}`, 'error');
+    return res.status(400).json({
+      error: `Invalid catalog: ${error.message}`
+    });
+  }
+
+  try {
+    // The versions each catalog publishes; a catalog whose versions cannot be listed is tried for all
+    const published = new Map();
+    for (const entry of resolvedCatalogs) {
+      try {
+        published.set(entry.name, (await getCatalogVersions(entry.name)).versions);
+      } catch (error) {
+        console.error(`Error listing versions of ${entry.image}:`, error.message);
+      }
+    }
+
+    let columns = splitList(versions);
+    if (columns.length === 0) {
+      columns = sortCatalogVersions([...published.values()].flat()).slice(0, AVAILABILITY_DEFAULT_VERSIONS);
+      if (columns.length === 0) {
+        return res.status(502).json({
+          error: 'Failed to list catalog versions',
+          message: 'No catalog versions could be discovered, pass the versions to check'
+        });
+      }
+    }
+
+    if (columns.length * resolvedCatalogs.length > AVAILABILITY_MAX_CELLS) {
+      return res.status(400).json({
+        error: `Too many catalog versions: at most ${AVAILABILITY_MAX_CELLS} catalog and version pairs can be checked at once`
+      });
+    }
+
+    const cellRefs = [];
+    for (const entry of resolvedCatalogs) {
+      for (const column of columns) {
+        try {
+          cellRefs.push({ entry, version: column, catalogRef: resolveCatalog(entry.name, column) });
+        } catch (error) {
+          return res.status(400).json({
+            error: `Invalid catalog: ${error.message}`
+          });
+        }
+      }
+    }
+
+    broadcastLog(`Checking ${operator} in ${cellRefs.length} catalog version(s)${fetchMissing ? ', fetching catalogs that are not cached' : ''}...`, 'info');
+    // One catalog at a time, pulling catalogs is heavy
+    const cells = [];
+    for (const { entry, version: column, catalogRef } of cellRefs) {
+      const versionsOfCatalog = published.get(entry.name);
+      if (versionsOfCatalog && !versionsOfCatalog.includes(column)) {
+        cells.push({ catalog: catalogRef.catalog, version: column, image: catalogRef.image, status: 'unpublished' });
+      } else {
+        cells.push(await readOperatorAvailability(catalogRef, operator, { fetch: fetchMissing }));
+      }
+    }
+
+    const available = cells.filter(cell => cell.status === 'available').length;
+    const notCached = cells.filter(cell => cell.status === 'not-cached').length;
+    broadcastLog(`${operator} is in ${available} of ${cells.length} catalog version(s)${notCached > 0 ? `, ${notCached} not cached` : ''}`, 'success');
+
+    res.json({
+      operator,
+      catalogs: resolvedCatalogs.map(entry => {
+        const known = catalogRegistry.catalogs.find(named => named.name === entry.catalog) || importedCatalogs.get(entry.catalog);
+        return { catalog: entry.catalog, label: known ? known.label : entry.catalog, image: entry.image };
+      }),
+      versions: columns,
+      cells
+    });
+  } catch (error) {
+    console.error('Error checking operator availability:', error);
+    broadcastLog(`Error checking operator availability: ${error.message}`, 'error');
     res.status(500).json({
-      error: 'Failed to get operator details',
+      error: 'Failed to check operator availability',
       message: error.message
     });
   }
 });
 
+// Helper function to get the channels of a selection
+// A selection lists channels with optional minVersion and maxVersion, or names a single
+// channel and the minVersion to mirror from in channel and version
+function getSelectionChannels(sel) {
+  if (Array.isArray(sel.channels)) {
+    return sel.channels;
+  }
+  return sel.channel ? [{ name: sel.channel, minVersion: sel.version }] : [];
+}
+
+// Helper function to find options of a selection that cannot be combined
+// Bundles pin exact versions, so they exclude channels and ranges; a package-level range
+// excludes ranges on its channels, and full excludes any range. Returns the conflict as a
+// message, or null.
+function getSelectionConflict(sel) {
+  const channels = getSelectionChannels(sel);
+  const hasPackageRange = Boolean(sel.minVersion || sel.maxVersion);
+  const hasChannelRange = channels.some(channel => channel.minVersion || channel.maxVersion);
+  
+  if (Array.isArray(sel.bundles) && sel.bundles.length > 0 && (channels.length > 0 || hasPackageRange)) {
+    return 'bundles cannot be combined with channels or version ranges';
+  }
+  if (hasPackageRange && hasChannelRange) {
+    return 'a package-level version range cannot be combined with channel version ranges';
+  }
+  if (sel.full && (hasPackageRange || hasChannelRange)) {
+    return 'full cannot be combined with version ranges';
+  }
+  return null;
+}
+
+// Helper function to build the package entry of a selection
+// Only the options a selection sets are written, so a package without any mirrors the
+// head of its default channel, as oc-mirror does
+function buildPackageConfig(sel) {
+  const packageConfig = { name: sel.operator };
+  const channels = getSelectionChannels(sel);
+  
+  if (channels.length > 0) {
+    packageConfig.channels = channels.map(channel => ({
+      name: channel.name,
+      ...(channel.minVersion && { minVersion: channel.minVersion }),
+      ...(channel.maxVersion && { maxVersion: channel.maxVersion })
+    }));
+  }
+  
+  // Package-level ranges apply to the default channel
+  if (sel.minVersion) {
+    packageConfig.minVersion = sel.minVersion;
+  }
+  if (sel.maxVersion) {
+    packageConfig.maxVersion = sel.maxVersion;
+  }
+  if (Array.isArray(sel.bundles) && sel.bundles.length > 0) {
+    packageConfig.bundles = sel.bundles.map(name => ({ name }));
+  }
+  if (sel.full) {
+    packageConfig.full = true;
+  }
+  
+  // Use defaultChannel parameter only when channels are listed and the default channel is NOT among them
+  // (default channel is not in channels array, only referenced via defaultChannel parameter);
+  // when it is listed, the parameter would be redundant
+  if (sel.defaultChannel && channels.length > 0 && !channels.some(channel => channel.name === sel.defaultChannel)) {
+    packageConfig.defaultChannel = sel.defaultChannel;
+  }
+  
+  return packageConfig;
+}
+
 // Helper function to generate ImageSetConfiguration YAML
-function generateImageSetConfig(catalog, version, selections, targetCatalog, archiveSize) {
-  const imageName = `registry.redhat.io/redhat/${catalog}:${version}`;
+// Selections may name their own catalog and catalogVersion; each catalog gets its own
+// operators entry, in the order the catalogs first appear. targetCatalog applies to the
+// entry of the catalog and version given for the whole configuration.
+// catalogOptions set full and skipDependencies per catalog; a catalog without selections
+// is only added when full is set, which mirrors every package of it.
+function generateImageSetConfig(catalog, version, selections, targetCatalog, archiveSize, catalogOptions = []) {
+  const imageName = resolveCatalog(catalog, version).image;
+  const selectionsByImage = new Map();
+  for (const sel of selections) {
+    const selectionImage = sel.catalog ? resolveCatalog(sel.catalog, sel.catalogVersion || version).image : imageName;
+    if (!selectionsByImage.has(selectionImage)) {
+      selectionsByImage.set(selectionImage, []);
+    }
+    selectionsByImage.get(selectionImage).push(sel);
+  }
   
-  const operatorConfig = {
-    catalog: imageName,
-    packages: selections.map(sel => {
-      const packageConfig = {
-        name: sel.operator,
-        channels: [
-          {
-            name: sel.channel,
-            minVersion: sel.version
-          }
-        ]
-      };
-      
-      // Use defaultChannel parameter only when default channel is NOT selected
-      if (sel.defaultChannel && sel.defaultChannel !== sel.channel) {
-        // User selected a non-default channel
-        // Correction 1: Add defaultChannel parameter (top-level field)
-        packageConfig.defaultChannel = sel.defaultChannel;
-        // Correction 2: Do NOT add default channel as a standard channel entry
-        // (default channel is not in channels array, only referenced via defaultChannel parameter)
-      } else if (sel.defaultChannel && sel.defaultChannel === sel.channel) {
-        // User selected the default channel - it's already explicitly configured in channels array
-        // Do NOT add defaultChannel parameter to avoid redundancy
-      }
-      
-      return packageConfig;
-    })
-  };
+  const optionsByImage = new Map();
+  for (const options of catalogOptions) {
+    const optionsImage = resolveCatalog(options.catalog, options.catalogVersion || version).image;
+    optionsByImage.set(optionsImage, options);
+    if (options.full && !selectionsByImage.has(optionsImage)) {
+      selectionsByImage.set(optionsImage, []);
+    }
+  }
+  
+  const operators = [...selectionsByImage].map(([catalogImage, catalogSelections]) => {
+    const options = optionsByImage.get(catalogImage) || {};
+    return {
+      catalog: catalogImage,
+      ...(options.full && { full: true }),
+      ...(options.skipDependencies && { skipDependencies: true }),
+      ...(catalogSelections.length > 0 && { packages: catalogSelections.map(buildPackageConfig) })
+    };
+  });
   
   // Add targetCatalog if provided
-  if (targetCatalog && targetCatalog.trim()) {
+  const operatorConfig = operators.find(entry => entry.catalog === imageName);
+  if (targetCatalog && targetCatalog.trim() && operatorConfig) {
     operatorConfig.targetCatalog = targetCatalog.trim();
   }
   
   const mirrorConfig = {
-    operators: [operatorConfig]
+    operators
   };
   
   // Add archiveSize if provided
@@ -639,7 +4690,31 @@ function generateImageSetConfig(catalog, version, selections, targetCatalog, arc
   return yaml.dump(config);
 }
 
+// Helper function to find the catalog name and version of an ImageSetConfiguration catalog image
+// Images of configured and imported catalogs map back to their name, anything else keeps the full reference
+// (as is for oci:// and other references that do not name a registry image)
+function describeCatalogImage(catalogImage) {
+  if (!catalogImage) {
+    return { catalog: '', version: '' };
+  }
+  let ref;
+  try {
+    ref = parseImageReference(catalogImage);
+  } catch (error) {
+    return { catalog: catalogImage, version: '' };
+  }
+  const named = catalogRegistry.catalogs.find(entry => entry.image === ref.name)
+    || [...importedCatalogs.values()].find(entry => entry.image === ref.name);
+  return { catalog: named ? named.name : ref.name, version: ref.digest || ref.tag || '' };
+}
+
 // Helper function to parse ImageSetConfiguration
+// Every package records the catalog it is mirrored from (catalog, catalogVersion and the
+// catalogImage of its operators entry); catalog and version describe the first catalog.
+// A package is listed once per channel, with the channel's range, and once with an empty
+// channel for its package-level range, which applies to the default channel; that entry is
+// left out when the package has channels and no range of its own. version is the highest
+// configured version: maxVersion, else minVersion.
 function parseImageSetConfig(configContent) {
   try {
     const config = yaml.load(configContent);
@@ -656,26 +4731,49 @@ function parseImageSetConfig(configContent) {
       throw new Error('No operators found in configuration');
     }
     
-    // Get the first operator catalog (assuming single catalog per config)
-    const firstOperator = operators[0];
-    const catalogImage = firstOperator.catalog || '';
-    
-    // Extract catalog name and version from image
-    const catalogMatch = catalogImage.match(/redhat\/([^:]+):(.+)/);
-    const catalogName = catalogMatch ? catalogMatch[1] : '';
-    const catalogVersion = catalogMatch ? catalogMatch[2] : '';
-    
-    // Extract packages
+    // Extract packages, remembering the catalog of each
+    const catalogs = [];
     const packages = [];
     for (const op of operators) {
+      if (!op || typeof op !== 'object') continue;
+      const catalogImage = typeof op.catalog === 'string' ? op.catalog : '';
+      const { catalog: catalogName, version: catalogVersion } = describeCatalogImage(catalogImage);
+      if (!catalogs.some(entry => entry.catalogImage === catalogImage)) {
+        catalogs.push({
+          catalog: catalogName,
+          version: catalogVersion,
+          catalogImage,
+          full: op.full === true,
+          skipDependencies: op.skipDependencies === true,
+          ...(op.targetCatalog && { targetCatalog: op.targetCatalog })
+        });
+      }
+
       if (op.packages && Array.isArray(op.packages)) {
         for (const pkg of op.packages) {
-          if (pkg.channels && Array.isArray(pkg.channels) && pkg.channels.length > 0) {
-            const channel = pkg.channels[0];
+          if (!pkg || !pkg.name) continue;
+          const channels = Array.isArray(pkg.channels) ? pkg.channels.filter(channel => channel && channel.name) : [];
+          const packageOptions = {
+            configuredChannels: channels.map(channel => channel.name),
+            ...(Array.isArray(pkg.bundles) && { bundles: pkg.bundles.map(bundle => bundle && bundle.name).filter(Boolean) }),
+            ...(pkg.full === true && { full: true })
+          };
+          // A package-level range is listed next to the channels, so it is kept on update
+          const ranges = channels.length > 0 && !pkg.minVersion && !pkg.maxVersion
+            ? channels
+            : [...channels, { name: '', minVersion: pkg.minVersion, maxVersion: pkg.maxVersion }];
+          
+          for (const range of ranges) {
             const packageInfo = {
               name: pkg.name,
-              channel: channel.name || '',
-              version: channel.minVersion || channel.maxVersion || ''
+              channel: range.name,
+              version: range.maxVersion || range.minVersion || '',
+              ...(range.minVersion && { minVersion: range.minVersion }),
+              ...(range.maxVersion && { maxVersion: range.maxVersion }),
+              ...packageOptions,
+              catalog: catalogName,
+              catalogVersion,
+              catalogImage
             };
             
             // Extract defaultChannel if present (at package level in ImageSetConfiguration)
@@ -689,10 +4787,15 @@ function parseImageSetConfig(configContent) {
       }
     }
     
+    if (catalogs.length === 0) {
+      throw new Error('No operators found in configuration');
+    }
+    
     return {
-      catalog: catalogName,
-      version: catalogVersion,
-      catalogImage: catalogImage,
+      catalog: catalogs[0].catalog,
+      version: catalogs[0].version,
+      catalogImage: catalogs[0].catalogImage,
+      catalogs,
       packages: packages
     };
   } catch (error) {
@@ -702,14 +4805,83 @@ function parseImageSetConfig(configContent) {
 
 // API endpoint to generate ImageSetConfiguration
 app.post('/api/generate-imageset-config', async (req, res) => {
-  const { catalog, version, selections, targetCatalog, archiveSize } = req.body;
+  const { catalog, version, selections, targetCatalog, archiveSize, catalogOptions } = req.body;
   
-  if (!catalog || !version || !selections || !Array.isArray(selections)) {
+  if (!catalog || !selections || !Array.isArray(selections)) {
     return res.status(400).json({
       error: 'Missing required fields: catalog, version, and selections array are required'
     });
   }
   
+  try {
+    resolveCatalog(catalog, version);
+  } catch (error) {
+    return res.status(400).json({
+      error: `Invalid catalog: ${error.message}`
+    });
+  }
+
+  const selectionsError = validateEntries(selections, 'selections', {
+    operator: validatePackageName,
+    channel: validateChannelName,
+    version: validateBundleVersion,
+    minVersion: validateBundleVersion,
+    maxVersion: validateBundleVersion,
+    full: validateFlag,
+    defaultChannel: validateChannelName
+  }, ['channel', 'version', 'minVersion', 'maxVersion', 'full', 'defaultChannel']) ||
+    validateEntries(catalogOptions || [], 'catalogOptions', {
+      full: validateFlag,
+      skipDependencies: validateFlag
+    }, ['full', 'skipDependencies']);
+  if (selectionsError) {
+    return res.status(400).json({
+      error: `Invalid selections: ${selectionsError}`
+    });
+  }
+
+  for (const [index, sel] of selections.entries()) {
+    const entryError =
+      (sel.channels !== undefined ? validateEntries(sel.channels, `selections[${index}].channels`, {
+        name: validateChannelName,
+        minVersion: validateBundleVersion,
+        maxVersion: validateBundleVersion
+      }, ['minVersion', 'maxVersion']) : null) ||
+      (sel.bundles !== undefined
+        ? validateEntries(Array.isArray(sel.bundles) ? sel.bundles.map(name => ({ name })) : sel.bundles, `selections[${index}].bundles`, { name: validateBundleName })
+        : null);
+    if (entryError) {
+      return res.status(400).json({
+        error: `Invalid selections: ${entryError}`
+      });
+    }
+    const conflict = getSelectionConflict(sel);
+    if (conflict) {
+      return res.status(400).json({
+        error: `Invalid selections: selections[${index}]: ${conflict}`
+      });
+    }
+    if (sel.catalog) {
+      try {
+        resolveCatalog(sel.catalog, sel.catalogVersion || version);
+      } catch (error) {
+        return res.status(400).json({
+          error: `Invalid selections: selections[${index}].catalog: ${error.message}`
+        });
+      }
+    }
+  }
+
+  for (const [index, options] of (catalogOptions || []).entries()) {
+    try {
+      resolveCatalog(options.catalog, options.catalogVersion || version);
+    } catch (error) {
+      return res.status(400).json({
+        error: `Invalid catalogOptions: catalogOptions[${index}].catalog: ${error.message}`
+      });
+    }
+  }
+  
   // Validate archiveSize if provided
   if (archiveSize !== undefined && archiveSize !== null) {
     if (isNaN(archiveSize) || archiveSize <= 0) {
@@ -720,7 +4892,7 @@ app.post('/api/generate-imageset-config', async (req, res) => {
   }
   
   try {
-    const yamlContent = generateImageSetConfig(catalog, version, selections, targetCatalog, archiveSize);
+    const yamlContent = generateImageSetConfig(catalog, version, selections, targetCatalog, archiveSize, catalogOptions);
     
     res.json({
       success: true,
@@ -761,140 +4933,208 @@ app.post('/api/parse-imageset-config', async (req, res) => {
   }
 });
 
+// Helper function to compare a configured package with the channels of an opened catalog
+async function getPackageVersionInfo(extractPath, pkg) {
+  try {
+    const operatorDir = resolvePackageDir(extractPath, pkg.name);
+    
+    // Check if operator directory exists
+    try {
+      await fs.access(operatorDir);
+    } catch {
+      // Operator not found
+      return {
+        name: pkg.name,
+        channel: pkg.channel,
+        currentVersion: pkg.version,
+        latestVersion: pkg.version,
+        hasUpdate: false,
+        error: 'Operator not found',
+        operatorNotFound: true
+      };
+    }
+    
+    const { objects: parsedObjects, diagnostics } = await parseFBCDirectory(operatorDir);
+    reportFBCDiagnostics(pkg.name, diagnostics);
+    const { defaultChannel, channels, deprecations } = extractChannelsAndVersions(parsedObjects);
+    
+    // Get latest version for default channel if it exists
+    let defaultChannelLatestVersion = null;
+    if (defaultChannel) {
+      const defaultChannelObj = channels.find(c => c.name === defaultChannel);
+      if (defaultChannelObj) {
+        defaultChannelLatestVersion = defaultChannelObj.latestVersion;
+      }
+    }
+    
+    // Find the channel; packages configured without channels follow the default channel
+    const channel = channels.find(c => c.name === (pkg.channel || defaultChannel));
+    if (channel && channel.versions && channel.versions.length > 0) {
+      // The channel head is what OLM upgrades to, even when a higher version exists
+      const latestVersion = channel.latestVersion;
+
+      // Deprecation messages of what the configuration keeps or updates to
+      const deprecated = {
+        package: deprecations.package,
+        channel: channel.deprecation,
+        currentVersion: (pkg.version && channel.deprecatedVersions[pkg.version]) || null,
+        latestVersion: channel.deprecatedVersions[latestVersion] || null
+      };
+      const hasDeprecations = Object.values(deprecated).some(Boolean);
+
+      return {
+        name: pkg.name,
+        channel: pkg.channel,
+        currentVersion: pkg.version,
+        latestVersion: latestVersion,
+        headVersion: channel.headVersion,
+        highestVersion: channel.highestVersion,
+        // Only a configured version can be raised; explicit bundles and full packages have none
+        hasUpdate: Boolean(pkg.version) && latestVersion !== pkg.version,
+        defaultChannel: defaultChannel || null,
+        defaultChannelLatestVersion: defaultChannelLatestVersion,
+        availableChannels: channels.map(c => c.name),
+        ...(hasDeprecations && { deprecations: deprecated }),
+        ...(diagnostics.length > 0 && { diagnostics })
+      };
+    } else {
+      // Channel not found, but operator exists
+      return {
+        name: pkg.name,
+        channel: pkg.channel,
+        currentVersion: pkg.version,
+        latestVersion: pkg.version,
+        hasUpdate: false,
+        error: 'Channel not found',
+        channelNotFound: true,
+        defaultChannel: defaultChannel || null,
+        defaultChannelLatestVersion: defaultChannelLatestVersion,
+        availableChannels: channels.map(c => c.name),
+        ...(deprecations.package && { deprecations: { package: deprecations.package, channel: null, currentVersion: null, latestVersion: null } }),
+        ...(diagnostics.length > 0 && { diagnostics })
+      };
+    }
+  } catch (error) {
+    // General error - try to determine if it's operator not found
+    const operatorDir = resolvePackageDir(extractPath, pkg.name);
+    try {
+      await fs.access(operatorDir);
+      // Directory exists but parsing failed
+      return {
+        name: pkg.name,
+        channel: pkg.channel,
+        currentVersion: pkg.version,
+        latestVersion: pkg.version,
+        hasUpdate: false,
+        error: error.message
+      };
+    } catch {
+      // Operator not found
+      return {
+        name: pkg.name,
+        channel: pkg.channel,
+        currentVersion: pkg.version,
+        latestVersion: pkg.version,
+        hasUpdate: false,
+        error: 'Operator not found',
+        operatorNotFound: true
+      };
+    }
+  }
+}
+
 // API endpoint to get latest versions for operators in a config
+// Packages may name their own catalog and catalogVersion; each catalog is opened once
 app.post('/api/get-latest-versions', async (req, res) => {
   const { catalog, version, packages } = req.body;
   
-  if (!catalog || !version || !packages || !Array.isArray(packages)) {
+  if (!packages || !Array.isArray(packages) || (!catalog && !packages.every(pkg => pkg && pkg.catalog))) {
     return res.status(400).json({
       error: 'Missing required fields: catalog, version, and packages array are required'
     });
   }
+
+  const packagesError = validateEntries(packages, 'packages', {
+    name: validatePackageName,
+    channel: validateChannelName,
+    version: validateBundleVersion,
+    catalogImage: validateCatalogImageField
+  }, ['channel', 'version', 'catalogImage']);
+  if (packagesError) {
+    return res.status(400).json({
+      error: `Invalid packages: ${packagesError}`
+    });
+  }
   
-  try {
-    // Ensure catalog is cached
-    const cacheKey = `${catalog}-${version}`;
-    const cacheDir = path.join(CATALOG_CACHE_DIR, cacheKey);
-    const extractPath = path.join(cacheDir, 'configs');
-    
-    // Check if cached, if not, fetch it
+  // Group the packages by the catalog they come from, keeping the request order
+  const catalogGroups = new Map();
+  for (const [index, pkg] of packages.entries()) {
+    let catalogRef;
     try {
-      await fs.access(extractPath);
-    } catch {
-      // Need to fetch catalog
-      const imageName = `registry.redhat.io/redhat/${catalog}:${version}`;
-      broadcastLog(`Pulling catalog ${imageName} for version comparison...`, 'info');
-      
-      const pullResult = await executeCommand(`podman pull ${imageName}`);
-      if (!pullResult.success) {
-        throw new Error(`Failed to pull image: ${pullResult.stderr}`);
-      }
-      
-      const imageId = await getImageId(imageName);
-      const containerId = (await executeCommand(`podman create --name catalog-temp-${Date.now()} ${imageId}`)).stdout.trim();
-      
-      await fs.mkdir(cacheDir, { recursive: true });
-      await executeCommand(`podman cp ${containerId}:/configs ${cacheDir}/`);
-      await executeCommand(`podman rm ${containerId}`);
+      catalogRef = resolveCatalog(pkg.catalog || catalog, pkg.catalog ? pkg.catalogVersion : version);
+    } catch (error) {
+      return res.status(400).json({
+        error: pkg.catalog ? `Invalid catalog for packages[${index}]: ${error.message}` : `Invalid catalog: ${error.message}`
+      });
     }
+    if (!catalogGroups.has(catalogRef.cacheKey)) {
+      catalogGroups.set(catalogRef.cacheKey, { catalogRef, entries: [] });
+    }
+    catalogGroups.get(catalogRef.cacheKey).entries.push({ index, pkg });
+  }
+  
+  const releases = [...catalogGroups.keys()].map(holdCatalogReader);
+  try {
+    const versionInfo = new Array(packages.length);
+    const catalogs = [];
     
-    // Get latest versions for each package
-    const versionInfo = [];
-    
-    for (const pkg of packages) {
+    for (const { catalogRef, entries } of catalogGroups.values()) {
+      // Ensure catalog is available, fetching it through the catalog source if needed
+      broadcastLog(`Loading catalog ${catalogRef.image} for version comparison...`, 'info');
+      let opened;
       try {
-        const operatorDir = path.join(extractPath, pkg.name);
-        
-        // Check if operator directory exists
-        try {
-          await fs.access(operatorDir);
-        } catch {
-          // Operator not found
-          versionInfo.push({
-            name: pkg.name,
-            channel: pkg.channel,
-            currentVersion: pkg.version,
-            latestVersion: pkg.version,
-            hasUpdate: false,
-            error: 'Operator not found',
-            operatorNotFound: true
-          });
-          continue;
-        }
-        
-        const parsedObjects = await parseFBCDirectory(operatorDir);
-        const { defaultChannel, channels } = extractChannelsAndVersions(parsedObjects);
-        
-        // Get latest version for default channel if it exists
-        let defaultChannelLatestVersion = null;
-        if (defaultChannel) {
-          const defaultChannelObj = channels.find(c => c.name === defaultChannel);
-          if (defaultChannelObj && defaultChannelObj.versions && defaultChannelObj.versions.length > 0) {
-            defaultChannelLatestVersion = defaultChannelObj.versions[0];
-          }
-        }
-        
-        // Find the channel
-        const channel = channels.find(c => c.name === pkg.channel);
-        if (channel && channel.versions && channel.versions.length > 0) {
-          const latestVersion = channel.versions[0]; // Already sorted, first is latest
-          versionInfo.push({
-            name: pkg.name,
-            channel: pkg.channel,
-            currentVersion: pkg.version,
-            latestVersion: latestVersion,
-            hasUpdate: latestVersion !== pkg.version,
-            defaultChannel: defaultChannel || null,
-            defaultChannelLatestVersion: defaultChannelLatestVersion,
-            availableChannels: channels.map(c => c.name)
-          });
-        } else {
-          // Channel not found, but operator exists
-          versionInfo.push({
-            name: pkg.name,
-            channel: pkg.channel,
-            currentVersion: pkg.version,
-            latestVersion: pkg.version,
-            hasUpdate: false,
-            error: 'Channel not found',
-            channelNotFound: true,
-            defaultChannel: defaultChannel || null,
-            defaultChannelLatestVersion: defaultChannelLatestVersion,
-            availableChannels: channels.map(c => c.name)
-          });
-        }
+        opened = await openCatalog(catalogRef);
       } catch (error) {
-        // General error - try to determine if it's operator not found
-        const operatorDir = path.join(extractPath, pkg.name);
-        try {
-          await fs.access(operatorDir);
-          // Directory exists but parsing failed
-          versionInfo.push({
-            name: pkg.name,
-            channel: pkg.channel,
-            currentVersion: pkg.version,
-            latestVersion: pkg.version,
-            hasUpdate: false,
-            error: error.message
-          });
-        } catch {
-          // Operator not found
-          versionInfo.push({
+        // A single catalog that cannot be opened fails the request as a whole
+        if (catalogGroups.size === 1) {
+          throw error;
+        }
+        broadcastLog(`Error loading catalog ${catalogRef.image}: ${error.message}`, 'error');
+        catalogs.push({ catalog: catalogRef.catalog, version: catalogRef.version, image: catalogRef.image, error: error.message });
+        for (const { index, pkg } of entries) {
+          versionInfo[index] = {
             name: pkg.name,
             channel: pkg.channel,
             currentVersion: pkg.version,
             latestVersion: pkg.version,
             hasUpdate: false,
-            error: 'Operator not found',
-            operatorNotFound: true
-          });
+            error: `Catalog unavailable: ${error.message}`,
+            catalogUnavailable: true,
+            catalog: catalogRef.catalog,
+            catalogVersion: catalogRef.version,
+            catalogImage: pkg.catalogImage || catalogRef.image
+          };
         }
+        continue;
+      }
+      catalogs.push({ catalog: catalogRef.catalog, version: catalogRef.version, image: catalogRef.image, cache: opened.cache });
+      
+      // Get latest versions for each package
+      for (const { index, pkg } of entries) {
+        versionInfo[index] = {
+          ...await getPackageVersionInfo(opened.configsDir, pkg),
+          catalog: catalogRef.catalog,
+          catalogVersion: catalogRef.version,
+          catalogImage: pkg.catalogImage || catalogRef.image
+        };
       }
     }
     
     res.json({
       success: true,
-      versionInfo: versionInfo
+      versionInfo: versionInfo,
+      cache: catalogs[0].cache || null,
+      catalogs
     });
   } catch (error) {
     console.error('Error getting latest versions:', error);
@@ -903,10 +5143,60 @@ app.post('/api/get-latest-versions', async (req, res) => {
       error: 'Failed to get latest versions',
       message: error.message
     });
+  } finally {
+    releases.forEach(release => release());
   }
 });
 
+// Helper function to find an operators, packages or channels entry of an ImageSetConfiguration
+// that is not an object, which the update could not apply changes to
+// Returns a message naming the first such entry, or null
+function findMalformedOperatorEntry(operators) {
+  const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  const checkList = (list, label, checkEntry) => {
+    if (list === undefined || list === null) {
+      return null;
+    }
+    if (!Array.isArray(list)) {
+      return `${label} must be a list`;
+    }
+    for (const [index, entry] of list.entries()) {
+      if (!isObject(entry)) {
+        return `${label}[${index}] must be an object`;
+      }
+      const error = checkEntry ? checkEntry(entry, `${label}[${index}]`) : null;
+      if (error) {
+        return error;
+      }
+    }
+    return null;
+  };
+
+  return checkList(operators, 'mirror.operators', (op, opLabel) =>
+    checkList(op.packages, `${opLabel}.packages`, (pkg, pkgLabel) =>
+      checkList(pkg.channels, `${pkgLabel}.channels`)));
+}
+
+// Helper function to move a configured version range up to a new version
+// A range with a maxVersion keeps its minVersion and has its maxVersion raised, so the versions it
+// already mirrors stay mirrored; a range with only a minVersion starts from the new version
+function raiseVersionRange(range, newVersion) {
+  if (range.maxVersion !== undefined) {
+    range.maxVersion = newVersion;
+  } else {
+    range.minVersion = newVersion;
+  }
+}
+
+// Helper function to check whether an update request entry applies to an operators entry
+// Entries without a catalogImage apply to every catalog of the configuration
+function appliesToCatalog(entry, op) {
+  return !entry.catalogImage || entry.catalogImage === op.catalog;
+}
+
 // API endpoint to update ImageSetConfiguration with new versions
+// Every entry may carry the catalogImage of the operators entry it belongs to, so the same
+// package name can be updated independently in several catalogs
 app.post('/api/update-imageset-config', async (req, res) => {
   const { originalConfig, updates, removeOperators, addDefaultChannels, replaceWithDefaultChannels, setDefaultChannelParam } = req.body;
   
@@ -915,6 +5205,37 @@ app.post('/api/update-imageset-config', async (req, res) => {
       error: 'Missing required fields: originalConfig and updates array are required'
     });
   }
+
+  // Operators to remove are package names, or { name, catalogImage } to remove from one catalog only
+  const removals = Array.isArray(removeOperators)
+    ? removeOperators.map(entry => (typeof entry === 'string' ? { name: entry } : entry))
+    : [];
+
+  const channelChange = { operator: validatePackageName, channel: validateChannelName, version: validateBundleVersion, catalogImage: validateCatalogImageField };
+  const inputError =
+    validateEntries(updates, 'updates', {
+      name: validatePackageName,
+      channel: validateChannelName,
+      originalChannel: validateChannelName,
+      newVersion: validateBundleVersion,
+      catalogImage: validateCatalogImageField
+    }, ['channel', 'originalChannel', 'catalogImage']) ||
+    validateEntries(removals, 'removeOperators', {
+      name: validatePackageName,
+      catalogImage: validateCatalogImageField
+    }, ['catalogImage']) ||
+    (addDefaultChannels ? validateEntries(addDefaultChannels, 'addDefaultChannels', channelChange, ['catalogImage']) : null) ||
+    (replaceWithDefaultChannels ? validateEntries(replaceWithDefaultChannels, 'replaceWithDefaultChannels', channelChange, ['catalogImage']) : null) ||
+    (setDefaultChannelParam ? validateEntries(setDefaultChannelParam, 'setDefaultChannelParam', {
+      operator: validatePackageName,
+      defaultChannel: validateChannelName,
+      catalogImage: validateCatalogImageField
+    }, ['catalogImage']) : null);
+  if (inputError) {
+    return res.status(400).json({
+      error: `Invalid update request: ${inputError}`
+    });
+  }
   
   try {
     const config = yaml.load(originalConfig);
@@ -922,36 +5243,53 @@ app.post('/api/update-imageset-config', async (req, res) => {
     if (!config || config.kind !== 'ImageSetConfiguration') {
       throw new Error('Invalid ImageSetConfiguration file');
     }
+    if (!config.mirror || typeof config.mirror !== 'object') {
+      return res.status(400).json({
+        error: 'Invalid ImageSetConfiguration: the mirror section is missing'
+      });
+    }
+    const entryError = findMalformedOperatorEntry(config.mirror.operators);
+    if (entryError) {
+      return res.status(400).json({
+        error: `Invalid ImageSetConfiguration: ${entryError}`
+      });
+    }
     
     // Update versions in the config
-    const mirror = config.mirror || {};
-    const operators = mirror.operators || [];
+    const operators = Array.isArray(config.mirror.operators) ? config.mirror.operators : [];
+    // Operator entries whose packages were all removed by this update
+    const emptied = new Set();
     
     for (const op of operators) {
       if (op.packages && Array.isArray(op.packages)) {
         // Remove missing operators if specified
-        if (removeOperators && Array.isArray(removeOperators) && removeOperators.length > 0) {
-          op.packages = op.packages.filter(pkg => !removeOperators.includes(pkg.name));
+        if (removals.length > 0 && op.packages.length > 0) {
+          op.packages = op.packages.filter(pkg => !removals.some(removal => removal.name === pkg.name && appliesToCatalog(removal, op)));
+          if (op.packages.length === 0) {
+            emptied.add(op);
+          }
         }
         
         for (const pkg of op.packages) {
-          // Check for channel replacement (originalChannel specified) or regular update
-          const update = updates.find(u => 
-            u.name === pkg.name && 
-            (u.originalChannel ? u.originalChannel === pkg.channels[0]?.name : u.channel === pkg.channels[0]?.name)
-          );
-          
-          if (update && pkg.channels && pkg.channels.length > 0) {
-            // If originalChannel is specified, this is a channel replacement
+          const channels = Array.isArray(pkg.channels) ? pkg.channels : [];
+          for (const update of updates.filter(u => u.name === pkg.name && appliesToCatalog(u, op))) {
             if (update.originalChannel) {
-              // Update channel name
-              pkg.channels[0].name = update.channel;
-            }
-            // Update version
-            pkg.channels[0].minVersion = update.newVersion;
-            // Remove maxVersion if it exists
-            if (pkg.channels[0].maxVersion !== undefined) {
-              delete pkg.channels[0].maxVersion;
+              // Channel replacement: the original channel's range does not carry over to the new channel
+              const channel = channels.find(ch => ch.name === update.originalChannel);
+              if (channel) {
+                channel.name = update.channel;
+                channel.minVersion = update.newVersion;
+                delete channel.maxVersion;
+              }
+            } else if (update.channel) {
+              // Regular update of one of the configured channels
+              const channel = channels.find(ch => ch.name === update.channel);
+              if (channel) {
+                raiseVersionRange(channel, update.newVersion);
+              }
+            } else if (channels.length === 0 || pkg.minVersion || pkg.maxVersion) {
+              // Package-level range, which applies to the default channel
+              raiseVersionRange(pkg, update.newVersion);
             }
           }
         }
@@ -965,7 +5303,7 @@ app.post('/api/update-imageset-config', async (req, res) => {
           for (const pkg of op.packages) {
             // Process all default channel replacements for this operator
             for (const defaultReplace of replaceWithDefaultChannels) {
-              if (defaultReplace.operator === pkg.name) {
+              if (defaultReplace.operator === pkg.name && appliesToCatalog(defaultReplace, op)) {
                 // Replace all channels with the default channel only
                 pkg.channels = [{
                   name: defaultReplace.channel,
@@ -990,7 +5328,7 @@ app.post('/api/update-imageset-config', async (req, res) => {
             // Skip if this operator is being replaced (already handled above)
             const isBeingReplaced = replaceWithDefaultChannels && 
               Array.isArray(replaceWithDefaultChannels) &&
-              replaceWithDefaultChannels.some(r => r.operator === pkg.name);
+              replaceWithDefaultChannels.some(r => r.operator === pkg.name && appliesToCatalog(r, op));
             
             if (isBeingReplaced) {
               continue; // Skip additions if replacement is happening
@@ -998,8 +5336,9 @@ app.post('/api/update-imageset-config', async (req, res) => {
             
             // Process all default channel additions for this operator
             for (const defaultAdd of addDefaultChannels) {
-              if (defaultAdd.operator === pkg.name) {
+              if (defaultAdd.operator === pkg.name && appliesToCatalog(defaultAdd, op)) {
                 // Check if this default channel is already in channels array (before any modifications)
+                pkg.channels = pkg.channels || [];
                 const hasChannel = pkg.channels.some(ch => ch.name === defaultAdd.channel);
                 
                 if (!hasChannel) {
@@ -1016,11 +5355,7 @@ app.post('/api/update-imageset-config', async (req, res) => {
                   // Update existing default channel version if needed
                   const existingChannel = pkg.channels.find(ch => ch.name === defaultAdd.channel);
                   if (existingChannel) {
-                    existingChannel.minVersion = defaultAdd.version;
-                    // Remove maxVersion if it exists
-                    if (existingChannel.maxVersion !== undefined) {
-                      delete existingChannel.maxVersion;
-                    }
+                    raiseVersionRange(existingChannel, defaultAdd.version);
                   }
                 }
                 
@@ -1045,9 +5380,10 @@ app.post('/api/update-imageset-config', async (req, res) => {
         if (op.packages && Array.isArray(op.packages)) {
           for (const pkg of op.packages) {
             for (const defaultParam of setDefaultChannelParam) {
-              if (defaultParam.operator === pkg.name) {
+              if (defaultParam.operator === pkg.name && appliesToCatalog(defaultParam, op)) {
                 // Check if default channel is NOT in channels array
-                const hasDefaultInChannels = pkg.channels.some(ch => ch.name === defaultParam.defaultChannel);
+                // Packages without channels follow the default channel already
+                const hasDefaultInChannels = !Array.isArray(pkg.channels) || pkg.channels.some(ch => ch.name === defaultParam.defaultChannel);
                 if (!hasDefaultInChannels) {
                   // Default channel is not in channels array, so set defaultChannel parameter
                   pkg.defaultChannel = defaultParam.defaultChannel;
@@ -1075,10 +5411,11 @@ app.post('/api/update-imageset-config', async (req, res) => {
       }
     }
     
-    // Remove empty operator entries (if all packages were removed)
-    config.mirror.operators = operators.filter(op => 
-      op.packages && Array.isArray(op.packages) && op.packages.length > 0
-    );
+    // Remove operator entries whose packages were all removed; full catalogs and
+    // entries without a packages list are kept as they are
+    if (emptied.size > 0) {
+      config.mirror.operators = operators.filter(op => !emptied.has(op));
+    }
     
     const updatedYaml = yaml.dump(config);
     
@@ -1096,14 +5433,210 @@ app.post('/api/update-imageset-config', async (req, res) => {
   }
 });
 
+// API endpoint to list configured and imported catalogs and the registries custom images may come from
+app.get('/api/catalogs', (req, res) => {
+  const imported = [...importedCatalogs.values()].map(({ name, label, image }) => ({ name, label, image, imported: true }));
+  res.json({
+    catalogs: [...catalogRegistry.catalogs, ...imported],
+    allowedRegistries: catalogRegistry.allowedRegistries
+  });
+});
+
+// API endpoint to list the catalog cache
+app.get('/api/cache', async (req, res) => {
+  try {
+    const entries = await listCacheEntries();
+    res.json({
+      directory: CATALOG_CACHE_DIR,
+      maxSize: CACHE_MAX_SIZE,
+      totalSize: entries.reduce((sum, entry) => sum + entry.size, 0),
+      entries
+    });
+  } catch (error) {
+    console.error('Error listing catalog cache:', error);
+    res.status(500).json({
+      error: 'Failed to list catalog cache',
+      message: error.message
+    });
+  }
+});
+
+// API endpoint to inspect a single cache entry, including whether it is stale
+app.get('/api/cache/:key', async (req, res) => {
+  const { key } = req.params;
+
+  if (!isValidCacheKey(key)) {
+    return res.status(400).json({ error: `Invalid cache key: ${key}` });
+  }
+
+  try {
+    const entry = await readCacheEntry(key);
+    if (!entry) {
+      return res.status(404).json({ error: `Cache entry not found: ${key}` });
+    }
+
+    const cacheDir = path.join(CATALOG_CACHE_DIR, key);
+    const packages = await listDirectories(path.join(cacheDir, 'configs'));
+    const status = entry.image
+      ? await getCacheStatus({ image: entry.image }, await readCacheMetadata(cacheDir), catalogSource.getRemoteDigest)
+      : null;
+
+    res.json({
+      ...entry,
+      packageCount: packages.length,
+      remoteDigest: status ? status.remoteDigest : null,
+      stale: status ? status.stale : null,
+      checkedAt: status ? status.checkedAt : null,
+      ...(status && status.checkError && { checkError: status.checkError })
+    });
+  } catch (error) {
+    console.error('Error inspecting cache entry:', error);
+    res.status(500).json({
+      error: 'Failed to inspect cache entry',
+      message: error.message
+    });
+  }
+});
+
+// API endpoint to evict a single cache entry
+app.delete('/api/cache/:key', async (req, res) => {
+  const { key } = req.params;
+
+  if (!isValidCacheKey(key)) {
+    return res.status(400).json({ error: `Invalid cache key: ${key}` });
+  }
+
+  try {
+    if (!await pathExists(path.join(CATALOG_CACHE_DIR, key))) {
+      return res.status(404).json({ error: `Cache entry not found: ${key}` });
+    }
+
+    await removeCacheEntry(key);
+    console.log(`Evicted cached catalog ${key}`);
+    broadcastLog(`Evicted cached catalog ${key}`, 'info', { global: true });
+    res.json({ evicted: [key] });
+  } catch (error) {
+    console.error('Error evicting cache entry:', error);
+    res.status(500).json({
+      error: 'Failed to evict cache entry',
+      message: error.message
+    });
+  }
+});
+
+// API endpoint to evict every cache entry
+app.delete('/api/cache', async (req, res) => {
+  try {
+    const keys = (await listCacheEntries()).map(entry => entry.key);
+    for (const key of keys) {
+      await removeCacheEntry(key);
+    }
+    console.log(`Cleared catalog cache (${keys.length} entries)`);
+    broadcastLog(`Cleared catalog cache (${keys.length} entries)`, 'info', { global: true });
+    res.json({ evicted: keys });
+  } catch (error) {
+    console.error('Error clearing catalog cache:', error);
+    res.status(500).json({
+      error: 'Failed to clear catalog cache',
+      message: error.message
+    });
+  }
+});
+
+// Discovered catalog versions by image, reused for CATALOG_VERSIONS_TTL
+const catalogVersionLists = new Map();
+
+// Helper function to list the versions of a catalog, reusing recent results
+async function getCatalogVersions(catalog, { refresh = false } = {}) {
+  const resolved = resolveCatalogImage(catalog);
+  if (resolved.imported) {
+    const versions = sortCatalogVersions([...importedCatalogs.get(resolved.catalog).versions.keys()]);
+    return { ...resolved, versions, fetchedAt: new Date().toISOString(), cached: true };
+  }
+  const previous = catalogVersionLists.get(resolved.image);
+  if (!refresh && previous && Date.now() - previous.fetchedAt < CATALOG_VERSIONS_TTL) {
+    return { ...resolved, versions: previous.versions, fetchedAt: new Date(previous.fetchedAt).toISOString(), cached: true };
+  }
+
+  const versions = await catalogSource.listVersions(resolved);
+  const fetchedAt = Date.now();
+  catalogVersionLists.set(resolved.image, { versions, fetchedAt });
+  console.log(`Found ${versions.length} version(s) of ${resolved.image}`);
+  return { ...resolved, versions, fetchedAt: new Date(fetchedAt).toISOString(), cached: false };
+}
+
+// API endpoint to list the OpenShift versions available for a catalog, or for every
+// configured catalog when none is given
+app.get('/api/catalog-versions', async (req, res) => {
+  const { catalog } = req.query;
+  const refresh = req.query.refresh === 'true';
+
+  if (catalog) {
+    try {
+      resolveCatalogImage(catalog);
+    } catch (error) {
+      return res.status(400).json({
+        error: `Invalid catalog: ${error.message}`
+      });
+    }
+
+    try {
+      res.json(await getCatalogVersions(catalog, { refresh }));
+    } catch (error) {
+      console.error('Error listing catalog versions:', error);
+      res.status(502).json({
+        error: 'Failed to list catalog versions',
+        message: error.message
+      });
+    }
+    return;
+  }
+
+  // A registry failure for one catalog does not hide the others
+  const catalogs = await Promise.all([...catalogRegistry.catalogs, ...importedCatalogs.values()].map(async entry => {
+    try {
+      return await getCatalogVersions(entry.name, { refresh });
+    } catch (error) {
+      console.error(`Error listing versions of ${entry.image}:`, error.message);
+      return { catalog: entry.name, image: entry.image, versions: [], error: error.message };
+    }
+  }));
+  res.json({ catalogs });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
+  res.json({ status: 'ok', catalogSource: catalogSource.name });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Open http://localhost:${PORT} in your browser`);
-});
+// Start server when run directly; the tests require this file for its helpers
+if (require.main === module) {
+  migrateLegacyCacheDirs().catch(error => console.error('Failed to migrate cache directories:', error));
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Catalog source: ${catalogSource.name}`);
+    console.log(`Catalog cache: ${CATALOG_CACHE_DIR}${CACHE_MAX_SIZE ? ` (limit ${formatSize(CACHE_MAX_SIZE)})` : ''}`);
+    cleanupCacheWorkDirs()
+      .then(loadImportedCatalogs)
+      .catch(error => console.error('Error loading catalog cache:', error));
+    if (CATALOG_REFRESH_INTERVAL > 0) {
+      console.log(`Scheduled catalog refresh every ${CATALOG_REFRESH_INTERVAL / 1000}s`);
+      scheduleCatalogRefresh();
+    }
+    console.log(`Open http://localhost:${PORT} in your browser`);
+  });
+}
 
+module.exports = {
+  getCatalogCacheKey,
+  normalizeArchivePath,
+  isSafeArchiveEntry,
+  parseFBCDirectory,
+  getBundleVersions,
+  buildUpgradeGraph,
+  findUpgradePath,
+  findBundle,
+  getSelectionConflict,
+  generateImageSetConfig,
+  parseImageSetConfig
+};
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeArchivePath, isSafeArchiveEntry } = require('../server');
+
+test('relative entries are kept as they are', () => {
+  assert.equal(normalizeArchivePath('configs/my-operator/catalog.json'), 'configs/my-operator/catalog.json');
+});
+
+test('leading "./" and "/" are stripped', () => {
+  assert.equal(normalizeArchivePath('./configs/my-operator/catalog.json'), 'configs/my-operator/catalog.json');
+  assert.equal(normalizeArchivePath('/configs/my-operator/catalog.json'), 'configs/my-operator/catalog.json');
+  assert.equal(normalizeArchivePath('//configs/'), 'configs/');
+});
+
+test('redundant segments are normalized', () => {
+  assert.equal(normalizeArchivePath('configs//my-operator/./catalog.json'), 'configs/my-operator/catalog.json');
+});
+
+test('entries with ".." segments or drive letters are refused', () => {
+  assert.equal(normalizeArchivePath('../etc/passwd'), null);
+  assert.equal(normalizeArchivePath('configs/../../etc/passwd'), null);
+  assert.equal(normalizeArchivePath('/configs/..'), null);
+  assert.equal(normalizeArchivePath('configs\\..\\..\\etc'), null);
+  assert.equal(normalizeArchivePath('C:/Windows/win.ini'), null);
+});
+
+test('names that only contain dots are not ".." segments', () => {
+  assert.equal(normalizeArchivePath('configs/..data/catalog.json'), 'configs/..data/catalog.json');
+});
+
+test('links are never safe to extract', () => {
+  assert.equal(isSafeArchiveEntry('configs/op/catalog.json', { type: 'File' }), true);
+  assert.equal(isSafeArchiveEntry('/configs/op', { type: 'Directory' }), true);
+  assert.equal(isSafeArchiveEntry('configs/op/catalog.json', { type: 'SymbolicLink' }), false);
+  assert.equal(isSafeArchiveEntry('configs/op/catalog.json', { type: 'Link' }), false);
+  assert.equal(isSafeArchiveEntry('../configs/op/catalog.json', { type: 'File' }), false);
+});
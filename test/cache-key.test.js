@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getCatalogCacheKey } = require('../server');
+
+test('cache key of a configured catalog is <catalog>-<version>', () => {
+  assert.equal(getCatalogCacheKey('redhat-operator-index', 'v4.18'), 'redhat-operator-index-v4.18');
+});
+
+test('cache key of an image reference replaces slashes', () => {
+  assert.equal(getCatalogCacheKey('quay.example.com/mirror/my-index', 'v1'), 'quay.example.com_mirror_my-index-v1');
+});
+
+test('cache key encodes characters that would make keys alike', () => {
+  assert.equal(getCatalogCacheKey('registry.example.com:5000/my_index', 'v1'), 'registry.example.com%3A5000_my%5Findex-v1');
+  assert.equal(getCatalogCacheKey('redhat-operator-index', 'v4.18-1'), 'redhat-operator-index-v4.18%2D1');
+  assert.equal(getCatalogCacheKey('my-index', 'sha256:abc'), 'my-index-sha256%3Aabc');
+});
+
+test('distinct catalogs and versions never share a cache key', () => {
+  const pairs = [
+    ['a/b', 'v1'],
+    ['a_b', 'v1'],
+    ['a', 'b-v1'],
+    ['a-b', 'v1'],
+    ['a%5Fb', 'v1'],
+    ['a', 'v1%2D1'],
+    ['a', 'v1-1']
+  ];
+  const keys = pairs.map(([catalog, version]) => getCatalogCacheKey(catalog, version));
+  assert.equal(new Set(keys).size, pairs.length);
+});
+
+test('the last dash of a cache key separates the catalog from the version', () => {
+  const key = getCatalogCacheKey('quay.example.com/team-a/my-index', 'v4.18-rc.1');
+  assert.equal(key.substring(key.lastIndexOf('-') + 1), 'v4.18%2Drc.1');
+});
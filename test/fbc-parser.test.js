@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { parseFBCDirectory } = require('../server');
+
+let tmpDir;
+
+test.before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fbc-parser-test-'));
+});
+
+test.after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+// Helper function to write the files of a package directory and parse it
+async function parsePackage(name, files) {
+  const packageDir = path.join(tmpDir, name);
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(packageDir, file)), { recursive: true });
+    await fs.writeFile(path.join(packageDir, file), content);
+  }
+  return parseFBCDirectory(packageDir);
+}
+
+test('parses a JSON stream of objects, as opm renders them', async () => {
+  const { objects, diagnostics } = await parsePackage('json-stream', {
+    'catalog.json': [
+      '{',
+      '    "schema": "olm.package",',
+      '    "name": "my-operator",',
+      '    "defaultChannel": "stable"',
+      '}',
+      '{',
+      '    "schema": "olm.channel",',
+      '    "name": "stable",',
+      '    "package": "my-operator",',
+      '    "entries": [{ "name": "my-operator.v1.0.0" }]',
+      '}',
+      ''
+    ].join('\n')
+  });
+  assert.deepEqual(objects.map(obj => obj.schema), ['olm.package', 'olm.channel']);
+  assert.deepEqual(objects[1].entries, [{ name: 'my-operator.v1.0.0' }]);
+  assert.deepEqual(diagnostics, []);
+});
+
+test('keeps braces inside strings out of the nesting', async () => {
+  const { objects, diagnostics } = await parsePackage('json-strings', {
+    'catalog.json': '{"schema": "olm.package", "name": "braces", "description": "} { \\" ]"}\n'
+  });
+  assert.equal(objects.length, 1);
+  assert.equal(objects[0].description, '} { " ]');
+  assert.deepEqual(diagnostics, []);
+});
+
+test('a malformed object does not hide the objects after it', async () => {
+  const { objects, diagnostics } = await parsePackage('json-malformed', {
+    'catalog.json': [
+      '{"schema": "olm.package", "name": "my-operator"}',
+      '{"schema": "olm.channel", "name": "stable",',
+      '{"schema": "olm.bundle", "name": "my-operator.v1.0.0"}',
+      '{"schema": "olm.bundle", "name": "my-operator.v1.1.0", }',
+      '{"schema": "olm.bundle", "name": "my-operator.v1.2.0"}',
+      ''
+    ].join('\n')
+  });
+  assert.deepEqual(objects.map(obj => obj.name), ['my-operator', 'my-operator.v1.0.0', 'my-operator.v1.2.0']);
+  assert.equal(diagnostics.length, 2);
+  assert.equal(diagnostics[0].file, path.join('json-malformed', 'catalog.json'));
+  assert.equal(diagnostics[0].line, 2);
+  assert.match(diagnostics[0].message, /not closed before line 3/);
+  assert.equal(diagnostics[1].line, 4);
+  assert.match(diagnostics[1].message, /^Malformed JSON object starting on line 4/);
+});
+
+test('reports a truncated file and text outside of objects', async () => {
+  const { objects, diagnostics } = await parsePackage('json-truncated', {
+    'catalog.json': 'garbage\n{"schema": "olm.package", "name": "my-operator"}\n{"schema": "olm.bundle",\n'
+  });
+  assert.deepEqual(objects.map(obj => obj.name), ['my-operator']);
+  assert.deepEqual(diagnostics.map(diagnostic => [diagnostic.line, diagnostic.message]), [
+    [1, 'Unexpected text outside of a JSON object'],
+    [3, 'Malformed JSON object starting on line 3: unexpected end of file']
+  ]);
+});
+
+test('parses multi-document YAML and reports the broken document only', async () => {
+  const { objects, diagnostics } = await parsePackage('yaml-stream', {
+    'catalog.yaml': [
+      'schema: olm.package',
+      'name: my-operator',
+      '---',
+      'schema: olm.channel',
+      'name: stable',
+      'entries: [ { name: a ]',
+      '---',
+      'schema: olm.bundle',
+      'name: my-operator.v1.0.0',
+      '---',
+      ''
+    ].join('\n')
+  });
+  assert.deepEqual(objects.map(obj => obj.name), ['my-operator', 'my-operator.v1.0.0']);
+  assert.equal(diagnostics.length, 1);
+  assert.match(diagnostics[0].message, /^Malformed YAML document starting on line 3/);
+});
+
+test('reads every JSON and YAML file of the package, nested ones included', async () => {
+  const { objects, diagnostics } = await parsePackage('files', {
+    'package.yaml': 'schema: olm.package\nname: my-operator\n',
+    'bundles/v1.json': '{"schema": "olm.bundle", "name": "my-operator.v1.0.0"}',
+    'README.md': '# not a catalog file',
+    'channels.yml': '- schema: olm.channel\n  name: stable\n- name: missing-schema\n'
+  });
+  assert.deepEqual(objects.map(obj => obj.name).sort(), ['missing-schema', 'my-operator', 'my-operator.v1.0.0', 'stable']);
+  assert.deepEqual(diagnostics.map(diagnostic => diagnostic.message), ['Object has no schema and is ignored']);
+});
+
+test('fails for a directory without catalog files', async () => {
+  await assert.rejects(parsePackage('empty', { 'README.md': 'nothing here' }), /No catalog files \(json\/yaml\) found/);
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const yaml = require('js-yaml');
+
+const { getSelectionConflict, generateImageSetConfig, parseImageSetConfig } = require('../server');
+
+const REDHAT_IMAGE = 'registry.redhat.io/redhat/redhat-operator-index:v4.18';
+const COMMUNITY_IMAGE = 'registry.redhat.io/redhat/community-operator-index:v4.17';
+
+// Helper function to generate a configuration and parse it again
+function roundTrip(selections, { targetCatalog, archiveSize, catalogOptions } = {}) {
+  const content = generateImageSetConfig('redhat-operator-index', 'v4.18', selections, targetCatalog, archiveSize, catalogOptions);
+  return { content, parsed: parseImageSetConfig(content) };
+}
+
+test('channels keep their ranges and order', () => {
+  const { content, parsed } = roundTrip([{
+    operator: 'my-operator',
+    defaultChannel: 'stable',
+    channels: [
+      { name: 'fast', minVersion: '1.3.0' },
+      { name: 'candidate', minVersion: '1.0.0', maxVersion: '1.2.0' }
+    ]
+  }]);
+
+  const config = yaml.load(content);
+  assert.equal(config.kind, 'ImageSetConfiguration');
+  assert.equal(config.apiVersion, 'mirror.openshift.io/v2alpha1');
+  assert.deepEqual(config.mirror.operators[0].packages[0].defaultChannel, 'stable');
+
+  assert.equal(parsed.catalog, 'redhat-operator-index');
+  assert.equal(parsed.version, 'v4.18');
+  assert.deepEqual(parsed.packages.map(pkg => [pkg.channel, pkg.minVersion, pkg.maxVersion, pkg.version]), [
+    ['fast', '1.3.0', undefined, '1.3.0'],
+    ['candidate', '1.0.0', '1.2.0', '1.2.0']
+  ]);
+  for (const pkg of parsed.packages) {
+    assert.equal(pkg.name, 'my-operator');
+    assert.deepEqual(pkg.configuredChannels, ['fast', 'candidate']);
+    assert.equal(pkg.defaultChannel, 'stable');
+    assert.equal(pkg.catalogImage, REDHAT_IMAGE);
+  }
+});
+
+test('a package-level range is listed with an empty channel', () => {
+  const { parsed } = roundTrip([{ operator: 'my-operator', channels: [], minVersion: '1.0.0', maxVersion: '2.0.0' }]);
+  assert.equal(parsed.packages.length, 1);
+  assert.equal(parsed.packages[0].channel, '');
+  assert.equal(parsed.packages[0].minVersion, '1.0.0');
+  assert.equal(parsed.packages[0].maxVersion, '2.0.0');
+  assert.deepEqual(parsed.packages[0].configuredChannels, []);
+});
+
+test('a package-level range next to channels is kept', () => {
+  const parsed = parseImageSetConfig(yaml.dump({
+    kind: 'ImageSetConfiguration',
+    apiVersion: 'mirror.openshift.io/v2alpha1',
+    mirror: {
+      operators: [{
+        catalog: REDHAT_IMAGE,
+        packages: [{ name: 'my-operator', minVersion: '1.1.0', channels: [{ name: 'stable' }] }]
+      }]
+    }
+  }));
+  assert.deepEqual(parsed.packages.map(pkg => [pkg.channel, pkg.minVersion]), [['stable', undefined], ['', '1.1.0']]);
+});
+
+test('bundles, full and a package without options survive the round trip', () => {
+  const { parsed } = roundTrip([
+    { operator: 'pinned-operator', bundles: ['pinned-operator.v1.0.0', 'pinned-operator.v1.1.0'] },
+    { operator: 'full-operator', full: true },
+    { operator: 'head-operator' }
+  ]);
+  const byName = Object.fromEntries(parsed.packages.map(pkg => [pkg.name, pkg]));
+  assert.deepEqual(byName['pinned-operator'].bundles, ['pinned-operator.v1.0.0', 'pinned-operator.v1.1.0']);
+  assert.equal(byName['pinned-operator'].version, '');
+  assert.equal(byName['full-operator'].full, true);
+  assert.equal(byName['head-operator'].channel, '');
+  assert.equal(byName['head-operator'].version, '');
+  assert.equal(byName['head-operator'].full, undefined);
+});
+
+test('every catalog keeps its packages and options', () => {
+  const { content, parsed } = roundTrip([
+    { operator: 'first-operator', channels: [{ name: 'stable', minVersion: '1.0.0' }] },
+    { operator: 'second-operator', catalog: 'community-operator-index', catalogVersion: 'v4.17', channels: [{ name: 'alpha', minVersion: '0.1.0' }] }
+  ], {
+    targetCatalog: 'mirror/redhat-operator-index',
+    archiveSize: 4,
+    catalogOptions: [
+      { catalog: 'community-operator-index', catalogVersion: 'v4.17', skipDependencies: true },
+      { catalog: 'certified-operator-index', catalogVersion: 'v4.18', full: true }
+    ]
+  });
+
+  assert.equal(yaml.load(content).mirror.archiveSize, 4);
+  assert.deepEqual(parsed.catalogs, [
+    { catalog: 'redhat-operator-index', version: 'v4.18', catalogImage: REDHAT_IMAGE, full: false, skipDependencies: false, targetCatalog: 'mirror/redhat-operator-index' },
+    { catalog: 'community-operator-index', version: 'v4.17', catalogImage: COMMUNITY_IMAGE, full: false, skipDependencies: true },
+    { catalog: 'certified-operator-index', version: 'v4.18', catalogImage: 'registry.redhat.io/redhat/certified-operator-index:v4.18', full: true, skipDependencies: false }
+  ]);
+  assert.deepEqual(parsed.packages.map(pkg => [pkg.name, pkg.catalog, pkg.catalogVersion]), [
+    ['first-operator', 'redhat-operator-index', 'v4.18'],
+    ['second-operator', 'community-operator-index', 'v4.17']
+  ]);
+});
+
+test('catalogs that are not registry images keep their reference', () => {
+  const parsed = parseImageSetConfig([
+    'kind: ImageSetConfiguration',
+    'apiVersion: mirror.openshift.io/v2alpha1',
+    'mirror:',
+    '  operators:',
+    '    - catalog: oci:///home/user/catalogs/my-index',
+    '      packages:',
+    '        - name: my-operator'
+  ].join('\n'));
+  assert.equal(parsed.catalogs[0].catalog, 'oci:///home/user/catalogs/my-index');
+  assert.equal(parsed.packages[0].catalogImage, 'oci:///home/user/catalogs/my-index');
+});
+
+test('configurations without operators are refused', () => {
+  assert.throws(() => parseImageSetConfig('kind: Other\n'), /Invalid ImageSetConfiguration file/);
+  assert.throws(() => parseImageSetConfig('kind: ImageSetConfiguration\nmirror: {}\n'), /No operators found/);
+  assert.throws(() => parseImageSetConfig('kind: ImageSetConfiguration\nmirror:\n  operators: [null]\n'), /No operators found/);
+});
+
+test('options oc-mirror cannot combine are reported', () => {
+  assert.equal(getSelectionConflict({ operator: 'a', channels: [{ name: 'stable', minVersion: '1.0.0' }] }), null);
+  assert.equal(getSelectionConflict({ operator: 'a', full: true, channels: [{ name: 'stable' }] }), null);
+  assert.match(getSelectionConflict({ operator: 'a', bundles: ['a.v1'], channels: [{ name: 'stable' }] }), /bundles cannot be combined/);
+  assert.match(getSelectionConflict({ operator: 'a', minVersion: '1.0.0', channels: [{ name: 'stable', maxVersion: '2.0.0' }] }), /package-level version range/);
+  assert.match(getSelectionConflict({ operator: 'a', full: true, minVersion: '1.0.0' }), /full cannot be combined/);
+  assert.match(getSelectionConflict({ operator: 'a', full: true, channels: [{ name: 'stable', minVersion: '1.0.0' }] }), /full cannot be combined/);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getBundleVersions, buildUpgradeGraph, findUpgradePath, findBundle } = require('../server');
+
+// Helper function to build an olm.bundle object of my-operator
+function bundle(version) {
+  return {
+    schema: 'olm.bundle',
+    name: `my-operator.v${version}`,
+    package: 'my-operator',
+    properties: [{ type: 'olm.package', value: { packageName: 'my-operator', version } }]
+  };
+}
+
+const objects = [
+  { schema: 'olm.package', name: 'my-operator', defaultChannel: 'stable' },
+  {
+    schema: 'olm.channel',
+    name: 'stable',
+    package: 'my-operator',
+    entries: [
+      { name: 'my-operator.v1.0.0' },
+      { name: 'my-operator.v1.1.0', replaces: 'my-operator.v1.0.0' },
+      { name: 'my-operator.v1.2.0', replaces: 'my-operator.v1.1.0' }
+    ]
+  },
+  {
+    schema: 'olm.channel',
+    name: 'stable',
+    package: 'my-operator',
+    entries: [
+      { name: 'my-operator.v1.3.0', replaces: 'my-operator.v1.2.0', skipRange: '>=1.0.0 <1.3.0' }
+    ]
+  },
+  {
+    schema: 'olm.channel',
+    name: 'fast',
+    package: 'my-operator',
+    entries: [
+      { name: 'my-operator.v1.3.0' },
+      { name: 'my-operator.v2.0.0-rc.1', replaces: 'my-operator.v1.3.0' },
+      { name: 'my-operator.v2.0.0', replaces: 'my-operator.v2.0.0-rc.1', skips: ['my-operator.v1.3.0'] }
+    ]
+  },
+  ...['1.0.0', '1.1.0', '1.2.0', '1.3.0', '2.0.0-rc.1', '2.0.0'].map(bundle)
+];
+
+const graph = buildUpgradeGraph(objects);
+const bundleVersions = getBundleVersions(objects);
+const channel = name => graph.channels.find(entry => entry.name === name);
+
+test('channels declared in several objects are merged into one graph', () => {
+  assert.equal(graph.defaultChannel, 'stable');
+  assert.deepEqual(graph.channels.map(entry => entry.name), ['stable', 'fast']);
+  assert.deepEqual(channel('stable').entries.map(entry => entry.version), ['1.0.0', '1.1.0', '1.2.0', '1.3.0']);
+  assert.equal(channel('stable').head, 'my-operator.v1.3.0');
+  assert.equal(channel('fast').head, 'my-operator.v2.0.0');
+});
+
+test('the graph has replaces, skips and skipRange edges', () => {
+  const edges = channel('stable').edges.map(edge => `${edge.type}:${edge.from}->${edge.to}`);
+  assert.ok(edges.includes('replaces:my-operator.v1.2.0->my-operator.v1.3.0'));
+  assert.ok(edges.includes('skipRange:my-operator.v1.0.0->my-operator.v1.3.0'));
+  assert.ok(edges.includes('skipRange:my-operator.v1.2.0->my-operator.v1.3.0'));
+  assert.ok(channel('fast').edges.some(edge => edge.type === 'skips' && edge.from === 'my-operator.v1.3.0' && edge.to === 'my-operator.v2.0.0'));
+});
+
+test('the shortest path takes a skipRange over several replaces', () => {
+  const steps = findUpgradePath([channel('stable')], bundleVersions, 'my-operator.v1.0.0', 'my-operator.v1.3.0');
+  assert.equal(steps.length, 1);
+  assert.equal(steps[0].edge, 'skipRange');
+  assert.equal(steps[0].to, 'my-operator.v1.3.0');
+  assert.match(steps[0].explanation, /has skipRange ">=1.0.0 <1.3.0", which includes 1.0.0/);
+});
+
+test('a path can switch channels at a bundle the next channel contains', () => {
+  const steps = findUpgradePath([channel('stable'), channel('fast')], bundleVersions, 'my-operator.v1.1.0', 'my-operator.v2.0.0');
+  assert.deepEqual(steps.map(step => step.type === 'switch' ? `switch:${step.toChannel}` : `${step.edge}:${step.to}`), [
+    'skipRange:my-operator.v1.3.0',
+    'switch:fast',
+    'skips:my-operator.v2.0.0'
+  ]);
+});
+
+test('a path to the bundle already installed has no steps', () => {
+  assert.deepEqual(findUpgradePath([channel('stable')], bundleVersions, 'my-operator.v1.2.0', 'my-operator.v1.2.0'), []);
+});
+
+test('there is no path to an older bundle or out of a channel without a switch point', () => {
+  assert.equal(findUpgradePath([channel('stable')], bundleVersions, 'my-operator.v1.3.0', 'my-operator.v1.0.0'), null);
+  assert.equal(findUpgradePath([channel('fast'), channel('stable')], bundleVersions, 'my-operator.v2.0.0', 'my-operator.v1.3.0'), null);
+});
+
+test('bundles are found by name or by version, with or without a leading "v"', () => {
+  const channelGraphs = [channel('stable'), channel('fast')];
+  assert.equal(findBundle('my-operator.v1.2.0', bundleVersions, channelGraphs), 'my-operator.v1.2.0');
+  assert.equal(findBundle('1.2.0', bundleVersions, channelGraphs), 'my-operator.v1.2.0');
+  assert.equal(findBundle('v2.0.0-rc.1', bundleVersions, channelGraphs), 'my-operator.v2.0.0-rc.1');
+  assert.equal(findBundle('9.9.9', bundleVersions, channelGraphs), null);
+});